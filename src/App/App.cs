@@ -28,6 +28,8 @@ public partial class App
         services.AddScoped<LanguageServicesClient>();
         services.AddScoped<InputOutputCache>();
         services.AddScoped<TemplateCache>();
+        services.AddScoped<SnippetLibrary>();
+        services.AddScoped<KeyBindings>();
 
         services.AddLogging(builder =>
         {
@@ -10,17 +10,43 @@ internal sealed class CursorSynchronizer(
 
     private DocumentMapping inputToOutputMapping, outputToInputMapping;
     private IAsyncDisposable? inputCursorSubscription, outputCursorSubscription;
+    private IAsyncDisposable? inputHoverSubscription, outputHoverSubscription;
+    private IAsyncDisposable? inputScrollSubscription, outputScrollSubscription;
 
     public async Task InitAsync()
     {
         inputCursorSubscription = await services.Interop.OnDidChangeCursorPositionAsync(inputEditor.Id, OnInputCursorPositionChangedAsync);
         outputCursorSubscription = await services.Interop.OnDidChangeCursorPositionAsync(outputEditor.Id, OnOutputCursorPositionChangedAsync);
+        inputHoverSubscription = await services.Interop.OnDidHoverAsync(inputEditor.Id, OnInputHoverAsync);
+        outputHoverSubscription = await services.Interop.OnDidHoverAsync(outputEditor.Id, OnOutputHoverAsync);
     }
 
     public async ValueTask DisposeAsync()
     {
         await inputCursorSubscription?.DisposeAsync();
         await outputCursorSubscription?.DisposeAsync();
+        await inputHoverSubscription?.DisposeAsync();
+        await outputHoverSubscription?.DisposeAsync();
+        await EnableScrollSyncAsync(false);
+    }
+
+    /// <summary>
+    /// Scrolling one editor scrolls the other one to the corresponding position.
+    /// </summary>
+    public async Task EnableScrollSyncAsync(bool enable)
+    {
+        if (enable && inputScrollSubscription == null)
+        {
+            inputScrollSubscription = await services.Interop.OnDidScrollChangeAsync(inputEditor.Id, OnInputScrollChangedAsync);
+            outputScrollSubscription = await services.Interop.OnDidScrollChangeAsync(outputEditor.Id, OnOutputScrollChangedAsync);
+        }
+        else if (!enable && inputScrollSubscription != null)
+        {
+            await inputScrollSubscription.DisposeAsync();
+            await outputScrollSubscription?.DisposeAsync();
+            inputScrollSubscription = null;
+            outputScrollSubscription = null;
+        }
     }
 
     public void Enable(CompiledFileOutputMetadata? metadata)
@@ -37,15 +63,27 @@ internal sealed class CursorSynchronizer(
         }
     }
 
-    private async Task OnInputCursorPositionChangedAsync(int position)
+    /// <summary>
+    /// Selects the part of the output corresponding to <paramref name="position"/> in the input.
+    /// </summary>
+    /// <returns>
+    /// <see langword="false"/> if there is no mapping for the <paramref name="position"/>.
+    /// </returns>
+    public async Task<bool> RevealInputPositionAsync(int position)
     {
         if (inputToOutputMapping.IsDefault ||
             !inputToOutputMapping.TryFind(position, out _, out var outputSpan))
         {
-            return;
+            return false;
         }
 
         await services.Interop.SetSelectionAsync(outputEditor.Id, outputSpan.Start, outputSpan.End);
+        return true;
+    }
+
+    private async Task OnInputCursorPositionChangedAsync(int position)
+    {
+        await RevealInputPositionAsync(position);
     }
 
     private async Task OnOutputCursorPositionChangedAsync(int position)
@@ -58,4 +96,45 @@ internal sealed class CursorSynchronizer(
 
         await services.Interop.SetSelectionAsync(inputEditor.Id, inputSpan.Start, inputSpan.End);
     }
+
+    private async Task OnInputHoverAsync(int position)
+    {
+        await HighlightMappedRangeAsync(inputToOutputMapping, position, outputEditor);
+    }
+
+    private async Task OnOutputHoverAsync(int position)
+    {
+        await HighlightMappedRangeAsync(outputToInputMapping, position, inputEditor);
+    }
+
+    private async Task HighlightMappedRangeAsync(DocumentMapping mapping, int position, BlazorMonaco.Editor.Editor targetEditor)
+    {
+        if (position >= 0 && !mapping.IsDefault &&
+            mapping.TryFind(position, out _, out var targetSpan))
+        {
+            await services.Interop.HighlightMappedRangeAsync(targetEditor.Id, targetSpan.Start, targetSpan.End);
+        }
+        else
+        {
+            await services.Interop.ClearMappedRangeHighlightAsync(targetEditor.Id);
+        }
+    }
+
+    private async Task OnInputScrollChangedAsync(int position)
+    {
+        if (!inputToOutputMapping.IsDefault &&
+            inputToOutputMapping.TryFindNearest(position, out _, out var outputSpan))
+        {
+            await services.Interop.ScrollToOffsetAsync(outputEditor.Id, outputSpan.Start);
+        }
+    }
+
+    private async Task OnOutputScrollChangedAsync(int position)
+    {
+        if (!outputToInputMapping.IsDefault &&
+            outputToInputMapping.TryFindNearest(position, out _, out var inputSpan))
+        {
+            await services.Interop.ScrollToOffsetAsync(inputEditor.Id, inputSpan.Start);
+        }
+    }
 }
@@ -0,0 +1,330 @@
+﻿using System.Text.Json;
+
+namespace DotNetLab.Lab;
+
+/// <summary>
+/// Keyboard shortcuts of lab commands (dispatched by <c>Page.razor.js</c>):
+/// built-in defaults and user remappings (stored in local storage as JSON).
+/// </summary>
+/// <remarks>
+/// Shortcuts are normalized strings like <c>Ctrl+Shift+S</c> (modifiers in the order <c>Ctrl</c>, <c>Alt</c>, <c>Shift</c>;
+/// <c>Ctrl</c> also means <c>Cmd</c> on macOS). The JavaScript side formats key events the same way.
+/// </remarks>
+internal sealed class KeyBindings(ILocalStorageService localStorage)
+{
+    private const string OverridesKey = "KeyBindings";
+
+    public static readonly ImmutableArray<LabCommand> Commands =
+    [
+        new() { Id = LabCommand.Compile, Title = "Compile", DefaultShortcut = "Ctrl+S" },
+        new() { Id = LabCommand.CopyUrl, Title = "Copy URL to clipboard", DefaultShortcut = "Ctrl+;" },
+        new() { Id = LabCommand.NextInput, Title = "Next input file", DefaultShortcut = "Alt+PageDown" },
+        new() { Id = LabCommand.PreviousInput, Title = "Previous input file", DefaultShortcut = "Alt+PageUp" },
+        new() { Id = LabCommand.NextOutput, Title = "Next output tab", DefaultShortcut = "Alt+Shift+PageDown" },
+        new() { Id = LabCommand.PreviousOutput, Title = "Previous output tab", DefaultShortcut = "Alt+Shift+PageUp" },
+        new() { Id = LabCommand.ToggleSettings, Title = "Toggle settings", DefaultShortcut = "Ctrl+Alt+," },
+        new() { Id = LabCommand.Format, Title = "Format document", DefaultShortcut = "Ctrl+I", InputEditorOnly = true },
+        new() { Id = LabCommand.ShowShortcuts, Title = "Show keyboard shortcuts", DefaultShortcut = "?" },
+    ];
+
+    /// <summary>
+    /// IDs of commands whose shortcuts work only in the input editor (see <see cref="LabCommand.InputEditorOnly"/>).
+    /// </summary>
+    public static readonly ImmutableArray<string> InputEditorCommands = [.. Commands.Where(static c => c.InputEditorOnly).Select(static c => c.Id)];
+
+    /// <summary>
+    /// Default keybindings of the Monaco editors (including our own editor actions).
+    /// Lab commands take precedence, so using one of these shortcuts makes the editor command unreachable.
+    /// </summary>
+    public static readonly ImmutableDictionary<string, string> EditorShortcuts = new Dictionary<string, string>
+    {
+        ["Ctrl+A"] = "Select All",
+        ["Ctrl+C"] = "Copy",
+        ["Ctrl+D"] = "Add Selection to Next Find Match",
+        ["Ctrl+F"] = "Find",
+        ["Ctrl+G"] = "Go to Line",
+        ["Ctrl+H"] = "Replace",
+        ["Ctrl+K"] = "Chords (e.g., Ctrl+K Ctrl+C to add line comment)",
+        ["Ctrl+L"] = "Expand Line Selection",
+        ["Ctrl+U"] = "Cursor Undo",
+        ["Ctrl+V"] = "Paste",
+        ["Ctrl+X"] = "Cut",
+        ["Ctrl+Y"] = "Redo",
+        ["Ctrl+Z"] = "Undo",
+        ["Ctrl+/"] = "Toggle Line Comment",
+        ["Ctrl+]"] = "Indent Line",
+        ["Ctrl+["] = "Outdent Line",
+        ["Ctrl+."] = "Quick Fix",
+        ["Ctrl+,"] = "Go to Symbol in Workspace",
+        ["Ctrl+Space"] = "Trigger Suggest",
+        ["Ctrl+Enter"] = "Insert Line Below",
+        ["Ctrl+F2"] = "Change All Occurrences",
+        ["Ctrl+Shift+Enter"] = "Insert Line Above",
+        ["Ctrl+Shift+K"] = "Delete Line",
+        ["Ctrl+Shift+L"] = "Select All Occurrences of Find Match",
+        ["Ctrl+Shift+O"] = "Go to Symbol",
+        ["Ctrl+Shift+Space"] = "Trigger Parameter Hints",
+        ["Ctrl+Shift+["] = "Fold",
+        ["Ctrl+Shift+]"] = "Unfold",
+        ["Ctrl+Shift+\\"] = "Go to Bracket",
+        ["Alt+Z"] = "Toggle Word Wrap",
+        ["Alt+F12"] = "Peek Definition",
+        ["Alt+ArrowUp"] = "Move Line Up",
+        ["Alt+ArrowDown"] = "Move Line Down",
+        ["Alt+Shift+F"] = "Format Document",
+        ["Alt+Shift+ArrowUp"] = "Copy Line Up",
+        ["Alt+Shift+ArrowDown"] = "Copy Line Down",
+        ["Shift+F12"] = "Go to References",
+        ["F1"] = "Command Palette",
+        ["F2"] = "Rename Symbol",
+        ["F3"] = "Find Next",
+        ["F8"] = "Go to Next Problem",
+        ["F12"] = "Go to Definition",
+    }.ToImmutableDictionary();
+
+    private static readonly ImmutableArray<string> namedKeys =
+    [
+        "ArrowDown", "ArrowLeft", "ArrowRight", "ArrowUp",
+        "Backspace", "Delete", "End", "Enter", "Escape", "Home", "Insert", "PageDown", "PageUp", "Space", "Tab",
+        .. Enumerable.Range(1, 12).Select(static i => $"F{i}"),
+    ];
+
+    /// <summary>
+    /// Command IDs mapped to user-chosen shortcuts (an empty string means the command has no shortcut).
+    /// </summary>
+    public ImmutableDictionary<string, string> Overrides { get; private set; } = ImmutableDictionary<string, string>.Empty;
+
+    /// <summary>
+    /// Command IDs mapped to their effective shortcuts (commands without a shortcut are omitted).
+    /// </summary>
+    public ImmutableDictionary<string, string> Active { get; private set; } = GetActiveShortcuts(ImmutableDictionary<string, string>.Empty);
+
+    public string? GetShortcut(string commandId)
+    {
+        return Active.GetValueOrDefault(commandId);
+    }
+
+    /// <returns>
+    /// Shortcuts mapped to command IDs (as expected by <c>setShortcuts</c> in <c>Page.razor.js</c>).
+    /// </returns>
+    public Dictionary<string, string> GetCommandsByShortcut()
+    {
+        var result = new Dictionary<string, string>();
+        foreach (var command in Commands)
+        {
+            // If more commands share a shortcut, the first one wins (conflicts are displayed in the settings).
+            if (GetShortcut(command.Id) is { } shortcut)
+            {
+                result.TryAdd(shortcut, command.Id);
+            }
+        }
+        return result;
+    }
+
+    public async Task LoadAsync()
+    {
+        var json = await localStorage.TryLoadOptionAsync<string>(OverridesKey);
+        SetOverrides(ParseOverrides(json));
+    }
+
+    /// <param name="shortcut">
+    /// <see langword="null"/> to restore the default shortcut, empty to remove the shortcut.
+    /// </param>
+    /// <returns>
+    /// An error message if <paramref name="shortcut"/> is invalid (in which case nothing is saved).
+    /// </returns>
+    public async Task<string?> SaveAsync(string commandId, string? shortcut)
+    {
+        var overrides = Overrides;
+
+        if (shortcut is null)
+        {
+            overrides = overrides.Remove(commandId);
+        }
+        else if (string.IsNullOrWhiteSpace(shortcut))
+        {
+            overrides = overrides.SetItem(commandId, "");
+        }
+        else if (TryParseShortcut(shortcut, out var normalized, out var error))
+        {
+            overrides = overrides.SetItem(commandId, normalized);
+        }
+        else
+        {
+            return error;
+        }
+
+        SetOverrides(overrides);
+        await localStorage.SetItemAsync(OverridesKey, JsonSerializer.Serialize(overrides, SettingsJsonContext.Default.ImmutableDictionaryStringString));
+        return null;
+    }
+
+    private void SetOverrides(ImmutableDictionary<string, string> overrides)
+    {
+        Overrides = overrides;
+        Active = GetActiveShortcuts(overrides);
+    }
+
+    public static ImmutableDictionary<string, string> ParseOverrides(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+        {
+            return ImmutableDictionary<string, string>.Empty;
+        }
+
+        try
+        {
+            var overrides = JsonSerializer.Deserialize(json, SettingsJsonContext.Default.ImmutableDictionaryStringString);
+
+            // Ignore unknown commands and invalid shortcuts (e.g., from older or newer versions of the app).
+            return (overrides ?? ImmutableDictionary<string, string>.Empty)
+                .Where(static p => Commands.Any(c => c.Id == p.Key) &&
+                    (p.Value.Length == 0 || TryParseShortcut(p.Value, out var normalized, out _) && normalized == p.Value))
+                .ToImmutableDictionary();
+        }
+        catch (JsonException)
+        {
+            return ImmutableDictionary<string, string>.Empty;
+        }
+    }
+
+    public static ImmutableDictionary<string, string> GetActiveShortcuts(ImmutableDictionary<string, string> overrides)
+    {
+        var builder = ImmutableDictionary.CreateBuilder<string, string>();
+        foreach (var command in Commands)
+        {
+            var shortcut = overrides.TryGetValue(command.Id, out var userShortcut) ? userShortcut : command.DefaultShortcut;
+            if (!string.IsNullOrEmpty(shortcut))
+            {
+                builder.Add(command.Id, shortcut);
+            }
+        }
+        return builder.ToImmutable();
+    }
+
+    /// <summary>
+    /// Normalizes a user-typed shortcut, e.g., <c>shift+ctrl+s</c> to <c>Ctrl+Shift+S</c>.
+    /// </summary>
+    public static bool TryParseShortcut(
+        string text,
+        [NotNullWhen(returnValue: true)] out string? shortcut,
+        [NotNullWhen(returnValue: false)] out string? error)
+    {
+        shortcut = null;
+        bool ctrl = false, alt = false, shift = false;
+        string? key = null;
+
+        foreach (var part in text.Split('+', StringSplitOptions.TrimEntries))
+        {
+            if (key != null)
+            {
+                error = $"Unexpected '{part}' after key '{key}'.";
+                return false;
+            }
+
+            switch (part.ToLowerInvariant())
+            {
+                case "ctrl" or "control" or "cmd" or "meta":
+                    ctrl = true;
+                    break;
+                case "alt" or "option":
+                    alt = true;
+                    break;
+                case "shift":
+                    shift = true;
+                    break;
+                case "":
+                    error = "Empty key.";
+                    return false;
+                case var _ when part.Length == 1:
+                    key = char.ToUpperInvariant(part[0]).ToString();
+                    break;
+                case var lower:
+                    key = namedKeys.FirstOrDefault(k => k.Equals(lower, StringComparison.OrdinalIgnoreCase));
+                    if (key == null)
+                    {
+                        error = $"Unknown key '{part}'.";
+                        return false;
+                    }
+                    break;
+            }
+        }
+
+        if (key == null)
+        {
+            error = "Missing key (e.g., 'Ctrl+S').";
+            return false;
+        }
+
+        // Shift is part of the character for symbols (e.g., `?` is `Shift+/` on US keyboards).
+        if (shift && key.Length == 1 && !char.IsAsciiLetterOrDigit(key[0]))
+        {
+            error = $"Shift cannot be combined with '{key}', type the shifted character instead (e.g., '?').";
+            return false;
+        }
+
+        var builder = new StringBuilder();
+        if (ctrl) builder.Append("Ctrl+");
+        if (alt) builder.Append("Alt+");
+        if (shift) builder.Append("Shift+");
+        builder.Append(key);
+
+        shortcut = builder.ToString();
+        error = null;
+        return true;
+    }
+
+    /// <returns>
+    /// Descriptions of other lab commands and editor commands which use the same shortcut as <paramref name="commandId"/>.
+    /// </returns>
+    public static ImmutableArray<string> GetConflicts(string commandId, ImmutableDictionary<string, string> active)
+    {
+        if (!active.TryGetValue(commandId, out var shortcut))
+        {
+            return [];
+        }
+
+        var builder = ImmutableArray.CreateBuilder<string>();
+
+        foreach (var command in Commands)
+        {
+            if (command.Id != commandId && active.GetValueOrDefault(command.Id) == shortcut)
+            {
+                builder.Add($"Same as lab command '{command.Title}'.");
+            }
+        }
+
+        if (EditorShortcuts.TryGetValue(shortcut, out var editorCommand))
+        {
+            builder.Add($"Overrides editor command '{editorCommand}'.");
+        }
+
+        return builder.DrainToImmutable();
+    }
+}
+
+internal sealed record LabCommand
+{
+    public const string Compile = "compile";
+    public const string CopyUrl = "copy-url";
+    public const string NextInput = "next-input";
+    public const string PreviousInput = "previous-input";
+    public const string NextOutput = "next-output";
+    public const string PreviousOutput = "previous-output";
+    public const string ToggleSettings = "toggle-settings";
+    public const string Format = "format";
+    public const string ShowShortcuts = "show-shortcuts";
+
+    /// <summary>
+    /// Stable identifier (used as the key of user remappings in local storage).
+    /// </summary>
+    public required string Id { get; init; }
+    public required string Title { get; init; }
+    public required string DefaultShortcut { get; init; }
+
+    /// <summary>
+    /// Whether the shortcut works only when the input editor has focus
+    /// (elsewhere, the key is left to the focused element, e.g., the output editor).
+    /// </summary>
+    public bool InputEditorOnly { get; init; }
+}
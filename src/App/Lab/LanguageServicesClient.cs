@@ -2,6 +2,7 @@
 using BlazorMonaco.Languages;
 using Microsoft.JSInterop;
 using System.IO.Compression;
+using System.Text.Json;
 
 namespace DotNetLab.Lab;
 
@@ -15,10 +16,16 @@ internal sealed class LanguageServicesClient(
 {
     private readonly LanguageSelector cSharpLanguageSelector = new(CompiledAssembly.CSharpLanguageId);
     private readonly LanguageSelector outputLanguageSelector = new(CompiledAssembly.OutputLanguageId);
-    private IAsyncDisposable? completionProvider, semanticTokensProvider, codeActionProvider, hoverProvider, signatureHelpProvider;
-    private IAsyncDisposable? outputSemanticTokensProvider, outputDefinitionProvider;
-    private int outputRegistered;
+    private readonly LanguageSelector razorLanguageSelector = new(CompiledAssembly.RazorLanguageId);
+    private readonly LanguageSelector ilLanguageSelector = new(CompiledAssembly.ILLanguageId);
+    private IAsyncDisposable? completionProvider, semanticTokensProvider, codeActionProvider, hoverProvider, signatureHelpProvider, definitionProvider, referenceProvider, renameProvider, inlayHintsProvider;
+    private IAsyncDisposable? documentSymbolProvider, razorDocumentSymbolProvider;
+    private IAsyncDisposable? foldingRangeProvider, razorFoldingRangeProvider, selectionRangeProvider, razorSelectionRangeProvider;
+    private IAsyncDisposable? documentHighlightProvider, razorLinkedEditingRangeProvider, codeLensProvider;
+    private IAsyncDisposable? outputSemanticTokensProvider, outputDefinitionProvider, outputLinkProvider, ilLinkProvider, formattingProvider;
+    private int outputRegistered, formattingRegistered;
     private string? currentModelUrl;
+    private ImmutableArray<string> razorModelUris = [];
     private DebounceInfo completionDebounce = new(new CancellationTokenSource());
     private DebounceInfo diagnosticsDebounce = new(new CancellationTokenSource());
     private (string ModelUri, string? RangeJson, Task<string?> Result)? lastCodeActions;
@@ -26,13 +33,21 @@ internal sealed class LanguageServicesClient(
 
     public bool Enabled => completionProvider != null;
 
-    public (string ModelUri, CompiledFileOutputMetadata? Metadata)? CurrentMetadata { get; set; }
+    /// <summary>
+    /// Current output model and the input model it was produced from (if any).
+    /// </summary>
+    public (string ModelUri, CompiledFileOutputMetadata? Metadata, string? InputModelUri)? CurrentMetadata { get; set; }
+
+    public InlayHintsOptions InlayHintsOptions { get; private set; } = InlayHintsOptions.Default;
 
     public async ValueTask DisposeAsync()
     {
         await UnregisterAsync();
         await outputSemanticTokensProvider?.DisposeAsync();
         await outputDefinitionProvider?.DisposeAsync();
+        await outputLinkProvider?.DisposeAsync();
+        await ilLinkProvider?.DisposeAsync();
+        await formattingProvider?.DisposeAsync();
         completionDebounce.Dispose();
         diagnosticsDebounce.Dispose();
     }
@@ -98,6 +113,10 @@ internal sealed class LanguageServicesClient(
         // and don't need to react to live changes) and hence are always enabled.
         await RegisterOutputAsync();
 
+        // Formatting is also provided directly by our compiler
+        // (it works on the whole text sent over, independently of the language services workspace).
+        await RegisterFormattingAsync();
+
         if (enable)
         {
             await RegisterAsync();
@@ -137,7 +156,7 @@ internal sealed class LanguageServicesClient(
             RegisterRangeProvider = false,
         });
 
-        outputDefinitionProvider = await blazorMonacoInterop.RegisterDefinitionProviderAsync(outputLanguageSelector, new(loggerFactory)
+        outputDefinitionProvider = await blazorMonacoInterop.RegisterDefinitionProviderAsync(outputLanguageSelector, new DefinitionProvider(loggerFactory)
         {
             ProvideDefinition = (modelUri, offset) =>
             {
@@ -147,12 +166,70 @@ internal sealed class LanguageServicesClient(
                     TryGetOutputToOutputMapping(m.Metadata, out var mapping) &&
                     mapping.TryFind(offset, out var sourceSpan, out var targetSpan))
                 {
-                    return targetSpan;
+                    return (targetSpan, null);
+                }
+
+                // Fall back to navigating from the output to the input.
+                if (CurrentMetadata is { Metadata.OutputToInput: { } outputToInput, InputModelUri: { } inputModelUri } m2 &&
+                    m2.ModelUri == modelUri &&
+                    DocumentMapping.Deserialize(outputToInput).TryFind(offset, out _, out var inputSpan))
+                {
+                    return (inputSpan, inputModelUri);
                 }
 
                 return null;
             },
         });
+
+        outputLinkProvider = await blazorMonacoInterop.RegisterLinkProviderAsync(outputLanguageSelector, new(loggerFactory)
+        {
+            ProvideLinks = GetOutputLinks,
+        });
+
+        // IL labels link to their definitions (see `ILStructure` in the compiler).
+        ilLinkProvider = await blazorMonacoInterop.RegisterLinkProviderAsync(ilLanguageSelector, new(loggerFactory)
+        {
+            ProvideLinks = GetOutputLinks,
+        });
+    }
+
+    private IEnumerable<(StringSpan Span, StringSpan TargetSpan, string? TargetModelUri)> GetOutputLinks(string modelUri)
+    {
+        if (CurrentMetadata is not { Metadata: { } metadata } m ||
+            m.ModelUri != modelUri)
+        {
+            yield break;
+        }
+
+        if (TryGetOutputToOutputMapping(metadata, out var outputToOutput))
+        {
+            foreach (var (source, target) in outputToOutput.Values)
+            {
+                yield return (source, target, null);
+            }
+        }
+
+        if (metadata.OutputToInput is { } outputToInput &&
+            m.InputModelUri is { } inputModelUri)
+        {
+            foreach (var (source, target) in DocumentMapping.Deserialize(outputToInput).Values)
+            {
+                yield return (source, target, inputModelUri);
+            }
+        }
+    }
+
+    private async Task RegisterFormattingAsync()
+    {
+        if (Interlocked.CompareExchange(ref formattingRegistered, 1, 0) != 0)
+        {
+            return;
+        }
+
+        formattingProvider = await blazorMonacoInterop.RegisterFormattingProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ProvideFormatting = worker.ProvideFormattingAsync,
+        });
     }
 
     private async Task RegisterAsync()
@@ -191,6 +268,7 @@ internal sealed class LanguageServicesClient(
                 lastCodeActions = (modelUri, rangeJson, result);
                 return result;
             },
+            ResolveCodeAction = worker.ResolveCodeActionAsync,
         });
 
         hoverProvider = await blazorMonacoInterop.RegisterHoverProviderAsync(cSharpLanguageSelector, new(loggerFactory)
@@ -202,6 +280,153 @@ internal sealed class LanguageServicesClient(
         {
             ProvideSignatureHelp = worker.ProvideSignatureHelpAsync,
         });
+
+        definitionProvider = await blazorMonacoInterop.RegisterWorkspaceDefinitionProviderAsync(cSharpLanguageSelector, new DefinitionProviderAsync(loggerFactory)
+        {
+            ProvideDefinition = worker.ProvideDefinitionAsync,
+        });
+
+        referenceProvider = await blazorMonacoInterop.RegisterReferenceProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ProvideReferences = worker.ProvideReferencesAsync,
+        });
+
+        // Razor inputs are not part of the workspace, so we send their text along to rename references there, too.
+        renameProvider = await blazorMonacoInterop.RegisterRenameProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ResolveRenameLocation = worker.ResolveRenameLocationAsync,
+            ProvideRenameEdits = async (modelUri, positionJson, newName, cancellationToken) =>
+            {
+                var razorCodes = ImmutableDictionary.CreateBuilder<string, string>();
+                foreach (var razorModelUri in razorModelUris)
+                {
+                    razorCodes[razorModelUri] = await GetModelValueAsync(razorModelUri);
+                }
+
+                return await worker.ProvideRenameEditsAsync(modelUri, positionJson, newName, razorCodes.ToImmutable(), cancellationToken);
+            },
+        });
+
+        documentSymbolProvider = await blazorMonacoInterop.RegisterDocumentSymbolProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ProvideDocumentSymbols = (modelUri, cancellationToken) =>
+            {
+                return worker.ProvideDocumentSymbolsAsync(modelUri, razorCode: null, cancellationToken);
+            },
+        });
+
+        codeLensProvider = await blazorMonacoInterop.RegisterCodeLensProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ProvideCodeLenses = worker.ProvideCodeLensesAsync,
+        });
+
+        // Razor inputs are not part of the language services workspace, so we send their text along.
+        razorDocumentSymbolProvider = await blazorMonacoInterop.RegisterDocumentSymbolProviderAsync(razorLanguageSelector, new(loggerFactory)
+        {
+            ProvideDocumentSymbols = async (modelUri, cancellationToken) =>
+            {
+                var code = await GetModelValueAsync(modelUri);
+                return await worker.ProvideDocumentSymbolsAsync(modelUri, razorCode: code, cancellationToken);
+            },
+        });
+
+        foldingRangeProvider = await blazorMonacoInterop.RegisterFoldingRangeProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ProvideFoldingRanges = (modelUri, cancellationToken) =>
+            {
+                return worker.ProvideFoldingRangesAsync(modelUri, razorCode: null, cancellationToken);
+            },
+        });
+
+        razorFoldingRangeProvider = await blazorMonacoInterop.RegisterFoldingRangeProviderAsync(razorLanguageSelector, new(loggerFactory)
+        {
+            ProvideFoldingRanges = async (modelUri, cancellationToken) =>
+            {
+                var code = await GetModelValueAsync(modelUri);
+                return await worker.ProvideFoldingRangesAsync(modelUri, razorCode: code, cancellationToken);
+            },
+        });
+
+        selectionRangeProvider = await blazorMonacoInterop.RegisterSelectionRangeProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ProvideSelectionRanges = (modelUri, positionsJson, cancellationToken) =>
+            {
+                return worker.ProvideSelectionRangesAsync(modelUri, razorCode: null, positionsJson, cancellationToken);
+            },
+        });
+
+        razorSelectionRangeProvider = await blazorMonacoInterop.RegisterSelectionRangeProviderAsync(razorLanguageSelector, new(loggerFactory)
+        {
+            ProvideSelectionRanges = async (modelUri, positionsJson, cancellationToken) =>
+            {
+                var code = await GetModelValueAsync(modelUri);
+                return await worker.ProvideSelectionRangesAsync(modelUri, razorCode: code, positionsJson, cancellationToken);
+            },
+        });
+
+        documentHighlightProvider = await blazorMonacoInterop.RegisterDocumentHighlightProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ProvideDocumentHighlights = worker.ProvideDocumentHighlightsAsync,
+        });
+
+        razorLinkedEditingRangeProvider = await blazorMonacoInterop.RegisterLinkedEditingRangeProviderAsync(razorLanguageSelector, new(loggerFactory)
+        {
+            ProvideLinkedEditingRanges = async (modelUri, positionJson, cancellationToken) =>
+            {
+                var code = await GetModelValueAsync(modelUri);
+                return await worker.ProvideLinkedEditingRangesAsync(modelUri, razorCode: code, positionJson, cancellationToken);
+            },
+        });
+
+        await RegisterInlayHintsProviderAsync();
+    }
+
+    /// <summary>
+    /// Monaco does not have a workspace symbol provider, so this is used by our own UI (<see cref="SymbolSearch"/>).
+    /// </summary>
+    public async Task<ImmutableArray<MonacoSymbolInformation>> ProvideWorkspaceSymbolsAsync(string query, CancellationToken cancellationToken)
+    {
+        if (!Enabled)
+        {
+            return [];
+        }
+
+        var json = await worker.ProvideWorkspaceSymbolsAsync(query, cancellationToken);
+        if (json is null)
+        {
+            // The request was canceled.
+            return [];
+        }
+
+        return JsonSerializer.Deserialize(json, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoSymbolInformation);
+    }
+
+    private async Task RegisterInlayHintsProviderAsync()
+    {
+        inlayHintsProvider = await blazorMonacoInterop.RegisterInlayHintsProviderAsync(cSharpLanguageSelector, new(loggerFactory)
+        {
+            ProvideInlayHints = (modelUri, rangeJson, cancellationToken) =>
+            {
+                return worker.ProvideInlayHintsAsync(modelUri, rangeJson, InlayHintsOptions, cancellationToken);
+            },
+        });
+    }
+
+    public async Task SetInlayHintsOptionsAsync(InlayHintsOptions options)
+    {
+        if (InlayHintsOptions == options)
+        {
+            return;
+        }
+
+        InlayHintsOptions = options;
+
+        // Re-register the provider so Monaco requests the hints again.
+        if (inlayHintsProvider != null)
+        {
+            await UnregisterOneAsync(ref inlayHintsProvider);
+            await RegisterInlayHintsProviderAsync();
+        }
     }
 
     private async Task RegisterSemanticTokensProviderAsync()
@@ -214,6 +439,8 @@ internal sealed class LanguageServicesClient(
                 TokenModifiers = SemanticTokensUtil.TokenModifiers.LspValues,
             },
             ProvideSemanticTokens = worker.ProvideSemanticTokensAsync,
+            ProvideSemanticTokensEdits = worker.ProvideSemanticTokensEditsAsync,
+            ReleaseSemanticTokens = worker.ReleaseSemanticTokensAsync,
         });
     }
 
@@ -225,7 +452,26 @@ internal sealed class LanguageServicesClient(
             UnregisterOneAsync(ref semanticTokensProvider),
             UnregisterOneAsync(ref codeActionProvider),
             UnregisterOneAsync(ref hoverProvider),
-            UnregisterOneAsync(ref signatureHelpProvider));
+            UnregisterOneAsync(ref signatureHelpProvider),
+            UnregisterOneAsync(ref definitionProvider),
+            UnregisterOneAsync(ref referenceProvider),
+            UnregisterOneAsync(ref renameProvider),
+            UnregisterOneAsync(ref documentSymbolProvider),
+            UnregisterOneAsync(ref razorDocumentSymbolProvider),
+            UnregisterOneAsync(ref foldingRangeProvider),
+            UnregisterOneAsync(ref razorFoldingRangeProvider),
+            UnregisterOneAsync(ref selectionRangeProvider),
+            UnregisterOneAsync(ref razorSelectionRangeProvider),
+            UnregisterOneAsync(ref documentHighlightProvider),
+            UnregisterOneAsync(ref razorLinkedEditingRangeProvider),
+            UnregisterOneAsync(ref codeLensProvider),
+            UnregisterOneAsync(ref inlayHintsProvider));
+    }
+
+    private async Task<string> GetModelValueAsync(string modelUri)
+    {
+        var model = await BlazorMonaco.Editor.Global.GetModel(jsRuntime, modelUri);
+        return await model.GetValue(EndOfLinePreference.TextDefined, preserveBOM: false);
     }
 
     private static Task UnregisterOneAsync(ref IAsyncDisposable? disposable)
@@ -247,12 +493,15 @@ internal sealed class LanguageServicesClient(
 
     public async Task OnDidChangeWorkspaceAsync(ImmutableArray<ModelInfo> models, bool refresh = false)
     {
+        razorModelUris = models.Where(static m => m.FileName.IsRazorFileName()).Select(static m => m.Uri).ToImmutableArray();
+
         if (!Enabled)
         {
             return;
         }
 
         InvalidateCaches();
+        await blazorMonacoInterop.InvalidateCompletionCacheAsync();
         worker.OnDidChangeWorkspace(models, refresh);
 
         _ = UpdateDiagnosticsAsync();
@@ -313,9 +562,11 @@ internal sealed class LanguageServicesClient(
         return await UpdateDiagnosticsAfterCompilationAsync();
     }
 
-    public Task<bool> UpdateDiagnosticsAfterCompilationAsync()
+    public async Task<bool> UpdateDiagnosticsAfterCompilationAsync()
     {
-        return UpdateDiagnosticsAsync(afterCompilation: true);
+        // Completions can change after compilation, too (e.g., due to new references).
+        await blazorMonacoInterop.InvalidateCompletionCacheAsync();
+        return await UpdateDiagnosticsAsync(afterCompilation: true);
     }
 
     private async Task<bool> UpdateDiagnosticsAsync(bool afterCompilation = false)
@@ -1,17 +1,84 @@
-﻿export function registerEventListeners(dotNetObj) {
+﻿/**
+ * Maps shortcuts (e.g., `Ctrl+S`) to lab command IDs (see `KeyBindings.cs`).
+ * @type {Record<string, string>}
+ */
+let commandsByShortcut = {};
+
+/**
+ * Command IDs whose shortcuts work only when the input editor has focus (see `LabCommand.InputEditorOnly`).
+ * @type {string[]}
+ */
+let inputEditorCommands = [];
+
+export function setShortcuts(/** @type {Record<string, string>} */ shortcuts, /** @type {string[]} */ inputEditorOnly) {
+    commandsByShortcut = shortcuts;
+    inputEditorCommands = inputEditorOnly;
+}
+
+/**
+ * Formats the key event the same way `KeyBindings.TryParseShortcut` normalizes shortcuts.
+ * @param {KeyboardEvent} e
+ * @returns {string | null}
+ */
+function getShortcut(e) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) {
+        return null;
+    }
+
+    // Letters and digits are taken from the physical key so modifiers do not change them
+    // (e.g., Alt+S produces `ß` on macOS).
+    const match = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code);
+    const key = match ? match[1] ?? match[2] : e.key === ' ' ? 'Space' : e.key;
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    // Shift is part of the character for symbols (e.g., `?`).
+    if (e.shiftKey && (match || key.length > 1)) parts.push('Shift');
+    parts.push(key.length === 1 ? key.toUpperCase() : key);
+    return parts.join('+');
+}
+
+/**
+ * @param {EventTarget | undefined} target
+ */
+function isEditable(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || target.closest('input, textarea, select, .monaco-editor') !== null);
+}
+
+/**
+ * @param {EventTarget | undefined} target
+ */
+function isInInputEditor(target) {
+    return target instanceof HTMLElement && target.closest('#input-editor') !== null;
+}
+
+export function registerEventListeners(dotNetObj) {
     const keyDownHandler = (/** @type {KeyboardEvent} */ e) => {
-        const ctrl = (e.ctrlKey || e.metaKey);
-        if (ctrl && e.key === 's') {
-            e.preventDefault();
-            dotNetObj.invokeMethodAsync('CompileAndRenderAsync');
-        } else if (ctrl && e.key === ';') {
-            e.preventDefault();
-
-            // Instead of just copying the URL directly in JavaScript,
-            // invoke the.NET method so the URL is updated to reflect the current state and
-            // the UI displays "copied" checkmark afterwards.
-            dotNetObj.invokeMethodAsync('CopyUrlToClipboardAsync');
+        const shortcut = getShortcut(e);
+        const command = shortcut && commandsByShortcut[shortcut];
+        if (!command) {
+            return;
+        }
+
+        // Let users type characters bound as shortcuts (e.g., `?`) into the editors and text fields
+        // (the actual target is needed because events from shadow DOM are retargeted to the host;
+        // Monaco editors do not always receive keys in a text area, e.g., with the EditContext API).
+        const target = e.composedPath()[0];
+        if (!e.ctrlKey && !e.metaKey && !e.altKey && e.key.length === 1 && isEditable(target)) {
+            return;
         }
+
+        // Leave the key to the focused element (e.g., the output editor or a dialog).
+        if (inputEditorCommands.includes(command) && !isInInputEditor(target)) {
+            return;
+        }
+
+        // Lab commands take precedence over editor keybindings (conflicts are shown in the settings).
+        e.preventDefault();
+        e.stopPropagation();
+        dotNetObj.invokeMethodAsync('ExecuteCommandAsync', command);
     };
 
     let lastClipboardText = null;
@@ -58,7 +125,8 @@
         }
     };
 
-    document.addEventListener('keydown', keyDownHandler);
+    // Capture phase so the handler runs before Monaco editors handle the key.
+    document.addEventListener('keydown', keyDownHandler, true);
 
     // Monitor clipboard but only once we have been granted permissions
     // (to avoid obtrusive permission popups).
@@ -77,7 +145,7 @@
     }
 
     return () => {
-        document.removeEventListener('keydown', keyDownHandler);
+        document.removeEventListener('keydown', keyDownHandler, true);
         if (clipboardMonitoringStarted) {
             window.removeEventListener('focus', focusHandler);
             window.removeEventListener('blur', blurHandler);
@@ -6,6 +6,8 @@ namespace DotNetLab.Lab;
 [JsonSourceGenerationOptions(JsonSerializerDefaults.Web)]
 [JsonSerializable(typeof(GitHubCommitResponse))]
 [JsonSerializable(typeof(GitHubBranchCommitsResponse))]
+[JsonSerializable(typeof(ImmutableArray<Snippet>))]
+[JsonSerializable(typeof(ImmutableDictionary<string, string>))]
 internal sealed partial class SettingsJsonContext : JsonSerializerContext;
 
 internal sealed class GitHubCommitResponse
@@ -0,0 +1,13 @@
+﻿/**
+ * @param {string} fileName
+ * @param {string} text
+ */
+export function downloadText(fileName, text) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const blobUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = blobUrl;
+    link.click();
+    URL.revokeObjectURL(blobUrl);
+}
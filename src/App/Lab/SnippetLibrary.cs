@@ -0,0 +1,203 @@
+﻿using BlazorMonaco.Languages;
+using System.Text.Json;
+
+namespace DotNetLab.Lab;
+
+/// <summary>
+/// Snippets offered as completions in input editors: built-in repro templates
+/// and user-defined ones (stored in local storage as JSON).
+/// </summary>
+internal sealed class SnippetLibrary(
+    ILoggerFactory loggerFactory,
+    ILocalStorageService localStorage,
+    BlazorMonacoInterop blazorMonacoInterop)
+    : IAsyncDisposable
+{
+    private const string UserSnippetsKey = "UserSnippets";
+
+    /// <remarks>
+    /// Bodies use the <see href="https://code.visualstudio.com/docs/editing/userdefinedsnippets#_snippet-syntax">snippet syntax</see>
+    /// (<c>$1</c> and <c>${1:placeholder}</c> are tab stops, <c>$0</c> is the final cursor position).
+    /// </remarks>
+    public static readonly ImmutableArray<Snippet> BuiltIn =
+    [
+        new()
+        {
+            Prefix = "program",
+            Description = "Minimal top-level program",
+            Body = """
+                using System;
+
+                Console.WriteLine(${1:"Hello"});
+                $0
+                """,
+        },
+        new()
+        {
+            Prefix = "generator",
+            Description = "Source generator",
+            Body = """
+                using Microsoft.CodeAnalysis;
+
+                [Generator]
+                public sealed class ${1:Generator} : IIncrementalGenerator
+                {
+                    public void Initialize(IncrementalGeneratorInitializationContext context)
+                    {
+                        context.RegisterPostInitializationOutput(static context =>
+                        {
+                            context.AddSource("${2:Generated}.g.cs", "$0");
+                        });
+                    }
+                }
+                """,
+        },
+        new()
+        {
+            Prefix = "refstruct",
+            Description = "Ref struct test",
+            Body = """
+                var s = new ${1:S}();
+                s.M();
+
+                ref struct $1
+                {
+                    public void M()
+                    {
+                        $0
+                    }
+                }
+                """,
+        },
+        new()
+        {
+            Prefix = "component",
+            Description = "Component with parameter",
+            Language = CompiledAssembly.RazorLanguageId,
+            Body = """
+                <p>@${1:Value}</p>
+
+                @code {
+                    [Parameter] public ${2:string} $1 { get; set; }$0
+                }
+                """,
+        },
+    ];
+
+    private IAsyncDisposable? cSharpProvider, razorProvider;
+
+    public ImmutableArray<Snippet> UserSnippets { get; private set; } = [];
+
+    public async ValueTask DisposeAsync()
+    {
+        await cSharpProvider?.DisposeAsync();
+        await razorProvider?.DisposeAsync();
+        cSharpProvider = null;
+        razorProvider = null;
+    }
+
+    public async Task RegisterAsync()
+    {
+        if (cSharpProvider != null)
+        {
+            return;
+        }
+
+        cSharpProvider = await registerAsync(CompiledAssembly.CSharpLanguageId);
+        razorProvider = await registerAsync(CompiledAssembly.RazorLanguageId);
+
+        Task<IAsyncDisposable> registerAsync(string languageId)
+        {
+            return blazorMonacoInterop.RegisterCompletionProviderAsync(new(languageId), new(loggerFactory)
+            {
+                ProvideCompletionItemsFunc = (modelUri, _, _, _) =>
+                {
+                    // Output models (e.g., decompiled C#) are read-only.
+                    var snippets = CompiledAssembly.TryParseInputModelUri(modelUri, out _)
+                        ? BuiltIn.Concat(UserSnippets)
+                        : [];
+                    var list = GetCompletionList(snippets, languageId);
+                    return Task.FromResult(JsonSerializer.Serialize(list, BlazorMonacoJsonContext.Default.MonacoCompletionList));
+                },
+                ResolveCompletionItemFunc = static (_, _) => Task.FromResult<string?>(null),
+            });
+        }
+    }
+
+    /// <returns>
+    /// JSON of the user snippets as it was last saved (so it can be edited or exported).
+    /// </returns>
+    public async Task<string> LoadAsync()
+    {
+        var json = await localStorage.TryLoadOptionAsync<string>(UserSnippetsKey) ?? "[]";
+        UserSnippets = Parse(json, out _);
+        return json;
+    }
+
+    /// <returns>
+    /// An error message if <paramref name="json"/> is invalid
+    /// (it is saved nevertheless so users do not lose their work).
+    /// </returns>
+    public async Task<string?> SaveAsync(string json)
+    {
+        await localStorage.SetItemAsync(UserSnippetsKey, json);
+        UserSnippets = Parse(json, out var error);
+        return error;
+    }
+
+    public static ImmutableArray<Snippet> Parse(string json, out string? error)
+    {
+        error = null;
+
+        if (string.IsNullOrWhiteSpace(json))
+        {
+            return [];
+        }
+
+        try
+        {
+            var snippets = JsonSerializer.Deserialize(json, SettingsJsonContext.Default.ImmutableArraySnippet);
+            return snippets.IsDefault ? [] : snippets;
+        }
+        catch (JsonException ex)
+        {
+            error = ex.Message;
+            return [];
+        }
+    }
+
+    public static MonacoCompletionList GetCompletionList(IEnumerable<Snippet> snippets, string languageId)
+    {
+        return new MonacoCompletionList
+        {
+            Suggestions = snippets
+                .Where(s => s.Language == languageId)
+                .Select(static (s, i) => new MonacoCompletionItem
+                {
+                    Index = i,
+                    Label = s.Prefix,
+                    Kind = CompletionItemKind.Snippet,
+                    InsertText = s.Body,
+                    InsertTextRules = CompletionItemInsertTextRule.InsertAsSnippet,
+                    Detail = s.Description,
+                    Documentation = s.Body,
+                })
+                .ToImmutableArray(),
+        };
+    }
+}
+
+internal sealed record Snippet
+{
+    /// <summary>
+    /// The text which is typed to get the snippet.
+    /// </summary>
+    public required string Prefix { get; init; }
+    public required string Body { get; init; }
+    public string? Description { get; init; }
+
+    /// <summary>
+    /// Monaco language ID of input editors where the snippet is offered.
+    /// </summary>
+    public string Language { get; init; } = CompiledAssembly.CSharpLanguageId;
+}
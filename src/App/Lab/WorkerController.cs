@@ -523,6 +523,20 @@ internal sealed class WorkerController : IAsyncDisposable
             cancellationToken: cancellationToken);
     }
 
+    public Task<string?> ProvideSemanticTokensEditsAsync(string modelUri, string? previousResultId, bool debug, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideSemanticTokensEdits(modelUri, previousResultId, debug) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task ReleaseSemanticTokensAsync(string resultId)
+    {
+        return PostMessageAsync(
+            new WorkerInputMessage.ReleaseSemanticTokens(resultId) { Id = messageId++ });
+    }
+
     public Task<string?> ProvideCodeActionsAsync(string modelUri, string? rangeJson, CancellationToken cancellationToken)
     {
         return PostAndReceiveMessageAsync(
@@ -531,6 +545,14 @@ internal sealed class WorkerController : IAsyncDisposable
             cancellationToken: cancellationToken);
     }
 
+    public Task<string?> ResolveCodeActionAsync(MonacoCodeAction action, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ResolveCodeAction(action) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
     public Task<string?> ProvideHoverAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
     {
         return PostAndReceiveMessageAsync(
@@ -547,6 +569,110 @@ internal sealed class WorkerController : IAsyncDisposable
             cancellationToken: cancellationToken);
     }
 
+    public Task<string?> ProvideDefinitionAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideDefinition(modelUri, positionJson) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideReferencesAsync(string modelUri, string positionJson, bool includeDeclaration, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideReferences(modelUri, positionJson, includeDeclaration) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ResolveRenameLocationAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ResolveRenameLocation(modelUri, positionJson) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideRenameEditsAsync(string modelUri, string positionJson, string newName, ImmutableDictionary<string, string> razorCodes, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideRenameEdits(modelUri, positionJson, newName, razorCodes) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideDocumentSymbolsAsync(string modelUri, string? razorCode, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideDocumentSymbols(modelUri, razorCode) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideCodeLensesAsync(string modelUri, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideCodeLenses(modelUri) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideWorkspaceSymbolsAsync(string query, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideWorkspaceSymbols(query) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideFoldingRangesAsync(string modelUri, string? razorCode, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideFoldingRanges(modelUri, razorCode) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideSelectionRangesAsync(string modelUri, string? razorCode, string positionsJson, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideSelectionRanges(modelUri, razorCode, positionsJson) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideDocumentHighlightsAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideDocumentHighlights(modelUri, positionJson) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideLinkedEditingRangesAsync(string modelUri, string? razorCode, string positionJson, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideLinkedEditingRanges(modelUri, razorCode, positionJson) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideInlayHintsAsync(string modelUri, string rangeJson, InlayHintsOptions options, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideInlayHints(modelUri, rangeJson, options) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
+    public Task<string?> ProvideFormattingAsync(string modelUri, string code, StringSpan? span, bool onType, CancellationToken cancellationToken)
+    {
+        return PostAndReceiveMessageAsync(
+            new WorkerInputMessage.ProvideFormatting(modelUri, code, span, onType) { Id = messageId++ },
+            deserializeAs: default(string),
+            cancellationToken: cancellationToken);
+    }
+
     public void OnDidChangeWorkspace(ImmutableArray<ModelInfo> models, bool refresh)
     {
         PostMessage(
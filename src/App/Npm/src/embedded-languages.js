@@ -0,0 +1,17 @@
+import { getLanguageService as getHtmlLanguageService } from 'vscode-html-languageservice';
+import { getCSSLanguageService } from 'vscode-css-languageservice';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { emmetHTML } from 'emmet-monaco-es';
+
+/**
+ * HTML and CSS language services (the same ones Monaco's HTML and CSS workers use)
+ * which can be run on arbitrary text, e.g., markup regions of Razor files.
+ */
+export function createEmbeddedLanguageServices() {
+    return {
+        html: getHtmlLanguageService(),
+        css: getCSSLanguageService(),
+        createDocument: (uri, languageId, version, text) => TextDocument.create(uri, languageId, version, text),
+        registerEmmet: (languages) => emmetHTML(window.monaco, languages),
+    };
+}
@@ -3,3 +3,9 @@
 export function EnableVimMode(editorId, statusBarId) {
     return enableVimMode(editorId, statusBarId);
 }
+
+// The HTML and CSS language services are large, so they are in a separate chunk loaded on demand.
+export async function LoadEmbeddedLanguageServices() {
+    const { createEmbeddedLanguageServices } = await import(/* webpackChunkName: "embedded-languages" */ './embedded-languages.js');
+    return createEmbeddedLanguageServices();
+}
@@ -16,9 +16,14 @@ module.exports = {
             },
         ]
     },
+    optimization: {
+        // Keep the on-demand chunk in a single file with a stable name (it is listed in `App.csproj`).
+        splitChunks: false,
+    },
     output: {
         path: path.resolve(__dirname, '../wwwroot/js'),
         filename: "jslib.js",
+        chunkFilename: "jslib.[name].js",
         library: "jslib"
     }
 };
\ No newline at end of file
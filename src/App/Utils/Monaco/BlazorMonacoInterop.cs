@@ -85,6 +85,31 @@ public sealed partial class BlazorMonacoInterop : IAsyncDisposable
         return json;
     }
 
+    [JSInvokable]
+    public static async Task<string?> ProvideSemanticTokensEditsAsync(
+        DotNetObjectReference<SemanticTokensProvider> providerReference,
+        string modelUri,
+        string? previousResultId,
+        bool debug,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideSemanticTokensEdits!(modelUri, previousResultId, debug, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task ReleaseSemanticTokensAsync(
+        DotNetObjectReference<SemanticTokensProvider> providerReference,
+        string resultId)
+    {
+        if (providerReference.Value.ReleaseSemanticTokens is { } releaseSemanticTokens)
+        {
+            await releaseSemanticTokens(resultId);
+        }
+    }
+
     [JSInvokable]
     public static async Task<string?> ProvideCodeActionsAsync(
         DotNetObjectReference<CodeActionProviderAsync> providerReference,
@@ -98,6 +123,20 @@ public sealed partial class BlazorMonacoInterop : IAsyncDisposable
         return json;
     }
 
+    [JSInvokable]
+    public static async Task<string?> ResolveCodeActionAsync(
+        DotNetObjectReference<CodeActionProviderAsync> providerReference,
+        string action,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ResolveCodeAction(
+            JsonSerializer.Deserialize(action, BlazorMonacoJsonContext.Default.MonacoCodeAction)!,
+            tokenWrapper.Token);
+        return json;
+    }
+
     [JSInvokable]
     public static string? ProvideDefinition(
         DotNetObjectReference<DefinitionProvider> providerReference,
@@ -105,8 +144,53 @@ public sealed partial class BlazorMonacoInterop : IAsyncDisposable
         int offset)
     {
         var provider = providerReference.Value;
-        var span = provider.ProvideDefinition(modelUri, offset);
-        return span is { } value ? $"{value.Start};{value.End}" : null;
+        var target = provider.ProvideDefinition(modelUri, offset);
+        return target is { } value ? $"{value.Span.Start};{value.Span.End};{value.ModelUri}" : null;
+    }
+
+    /// <returns>
+    /// Lines in format <c>start;end;targetStart;targetEnd;targetModelUri</c>.
+    /// </returns>
+    [JSInvokable]
+    public static string ProvideLinks(
+        DotNetObjectReference<LinkProvider> providerReference,
+        string modelUri)
+    {
+        var provider = providerReference.Value;
+        return provider.ProvideLinks(modelUri)
+            .Select(static l => $"{l.Span.Start};{l.Span.End};{l.TargetSpan.Start};{l.TargetSpan.End};{l.TargetModelUri}")
+            .JoinToString("\n");
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideDefinitionAsync(
+        DotNetObjectReference<DefinitionProviderAsync> providerReference,
+        string modelUri,
+        string positionJson,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideDefinition(modelUri, positionJson, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static Task<bool> OpenCodeEditorAsync(
+        DotNetObjectReference<EditorOpener> openerReference,
+        string modelUri,
+        string? rangeJson)
+    {
+        var range = rangeJson is null ? null : JsonSerializer.Deserialize(rangeJson, BlazorMonacoJsonContext.Default.Range);
+        return openerReference.Value.OpenCodeEditor(modelUri, range);
+    }
+
+    [JSInvokable]
+    public static Task ExecuteCommandAsync(
+        DotNetObjectReference<CommandHandler> handlerReference,
+        string? argumentsJson)
+    {
+        return handlerReference.Value.ExecuteCommand(argumentsJson);
     }
 
     [JSInvokable]
@@ -136,6 +220,151 @@ public sealed partial class BlazorMonacoInterop : IAsyncDisposable
         return json;
     }
 
+    [JSInvokable]
+    public static async Task<string?> ProvideReferencesAsync(
+        DotNetObjectReference<ReferenceProvider> providerReference,
+        string modelUri,
+        string positionJson,
+        bool includeDeclaration,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideReferences(modelUri, positionJson, includeDeclaration, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ResolveRenameLocationAsync(
+        DotNetObjectReference<RenameProvider> providerReference,
+        string modelUri,
+        string positionJson,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ResolveRenameLocation(modelUri, positionJson, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideRenameEditsAsync(
+        DotNetObjectReference<RenameProvider> providerReference,
+        string modelUri,
+        string positionJson,
+        string newName,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideRenameEdits(modelUri, positionJson, newName, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideDocumentSymbolsAsync(
+        DotNetObjectReference<DocumentSymbolProvider> providerReference,
+        string modelUri,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideDocumentSymbols(modelUri, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideCodeLensesAsync(
+        DotNetObjectReference<CodeLensProvider> providerReference,
+        string modelUri,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideCodeLenses(modelUri, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideFoldingRangesAsync(
+        DotNetObjectReference<FoldingRangeProvider> providerReference,
+        string modelUri,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideFoldingRanges(modelUri, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideSelectionRangesAsync(
+        DotNetObjectReference<SelectionRangeProvider> providerReference,
+        string modelUri,
+        string positionsJson,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideSelectionRanges(modelUri, positionsJson, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideDocumentHighlightsAsync(
+        DotNetObjectReference<DocumentHighlightProvider> providerReference,
+        string modelUri,
+        string positionJson,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideDocumentHighlights(modelUri, positionJson, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideLinkedEditingRangesAsync(
+        DotNetObjectReference<LinkedEditingRangeProvider> providerReference,
+        string modelUri,
+        string positionJson,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideLinkedEditingRanges(modelUri, positionJson, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideInlayHintsAsync(
+        DotNetObjectReference<InlayHintsProvider> providerReference,
+        string modelUri,
+        string rangeJson,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        string? json = await provider.ProvideInlayHints(modelUri, rangeJson, tokenWrapper.Token);
+        return json;
+    }
+
+    [JSInvokable]
+    public static async Task<string?> ProvideFormattingAsync(
+        DotNetObjectReference<FormattingProvider> providerReference,
+        string modelUri,
+        string code,
+        int? start,
+        int? end,
+        bool onType,
+        IJSObjectReference token)
+    {
+        var provider = providerReference.Value;
+        using var tokenWrapper = await ToCancellationTokenAsync(token, provider.Logger);
+        StringSpan? span = start is { } s && end is { } e ? new() { Start = s, Length = e - s } : null;
+        return await provider.ProvideFormatting(modelUri, code, span, onType, tokenWrapper.Token);
+    }
+
     public async Task ExecuteActionAsync(string editorId, string actionId)
     {
         await (await Module).InvokeVoidAsync("executeAction", editorId, actionId);
@@ -148,11 +377,64 @@ public sealed partial class BlazorMonacoInterop : IAsyncDisposable
         return new Disposable(disposable, callbackRef);
     }
 
+    public async Task<IAsyncDisposable> OnDidScrollChangeAsync(string editorId, CursorPositionCallback callback)
+    {
+        var callbackRef = DotNetObjectReference.Create(callback);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("onDidScrollChange", editorId, callbackRef);
+        return new Disposable(disposable, callbackRef);
+    }
+
+    /// <param name="callback">Receives offsets of hovered words or <c>-1</c> when nothing is hovered.</param>
+    public async Task<IAsyncDisposable> OnDidHoverAsync(string editorId, CursorPositionCallback callback)
+    {
+        var callbackRef = DotNetObjectReference.Create(callback);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("onDidHover", editorId, callbackRef);
+        return new Disposable(disposable, callbackRef);
+    }
+
+    public async Task ScrollToOffsetAsync(string editorId, int offset)
+    {
+        await (await Module).InvokeVoidAsync("scrollToOffset", editorId, offset);
+    }
+
+    public async Task HighlightMappedRangeAsync(string editorId, int start, int end)
+    {
+        await (await Module).InvokeVoidAsync("highlightMappedRange", editorId, start, end);
+    }
+
+    public async Task ClearMappedRangeHighlightAsync(string editorId)
+    {
+        await (await Module).InvokeVoidAsync("highlightMappedRange", editorId, 1, 0);
+    }
+
+    /// <summary>
+    /// Disposes models created by <see cref="RegisterWorkspaceDefinitionProviderAsync"/> for decompiled metadata.
+    /// </summary>
+    public async Task DisposeMetadataModelsAsync()
+    {
+        await (await Module).InvokeVoidAsync("disposeMetadataModels");
+    }
+
+    /// <summary>
+    /// Discards completion lists cached by <see cref="RegisterCompletionProviderAsync"/>
+    /// (needed when they change without an edit of an input, e.g., after compilation).
+    /// </summary>
+    public async Task InvalidateCompletionCacheAsync()
+    {
+        await (await Module).InvokeVoidAsync("invalidateCompletionCache");
+    }
+
     public async Task SetSelectionAsync(string editorId, int start, int end)
     {
         await (await Module).InvokeVoidAsync("setSelection", editorId, start, end);
     }
 
+    public async Task SetSelectionAsync(string editorId, BlazorMonaco.Range range)
+    {
+        await (await Module).InvokeVoidAsync("setSelectionRange", editorId,
+            JsonSerializer.Serialize(range, BlazorMonacoJsonContext.Default.Range));
+    }
+
     public async Task SetModelValueUndoable(string editorId, string modelUri, string text)
     {
         await (await Module).InvokeVoidAsync("setModelValueUndoable", editorId, modelUri, text);
@@ -184,7 +466,8 @@ public sealed partial class BlazorMonacoInterop : IAsyncDisposable
             JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
             JsonSerializer.Serialize(provider.Legend, BlazorMonacoJsonContext.Default.SemanticTokensLegend),
             providerRef,
-            provider.RegisterRangeProvider);
+            provider.RegisterRangeProvider,
+            provider.ProvideSemanticTokensEdits != null);
         return new Disposable(disposable, providerRef);
     }
 
@@ -228,13 +511,181 @@ public sealed partial class BlazorMonacoInterop : IAsyncDisposable
         var providerRef = DotNetObjectReference.Create(provider);
         var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerSignatureHelpProvider",
             JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            SignatureHelpContext.TriggerCharacters,
+            SignatureHelpContext.RetriggerCharacters,
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    /// <summary>
+    /// Unlike <see cref="RegisterDefinitionProviderAsync"/>, definitions can be in decompiled metadata,
+    /// for which models are created (see <see cref="DisposeMetadataModelsAsync"/>).
+    /// </summary>
+    public async Task<IAsyncDisposable> RegisterWorkspaceDefinitionProviderAsync(
+        LanguageSelector language,
+        DefinitionProviderAsync provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerWorkspaceDefinitionProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    /// <summary>
+    /// Monaco Editor itself can only navigate within the same model.
+    /// </summary>
+    public async Task<IAsyncDisposable> RegisterEditorOpenerAsync(EditorOpener opener)
+    {
+        var openerRef = DotNetObjectReference.Create(opener);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerEditorOpener",
+            openerRef);
+        return new Disposable(disposable, openerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterCommandAsync(string commandId, CommandHandler handler)
+    {
+        var handlerRef = DotNetObjectReference.Create(handler);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerCommand",
+            commandId,
+            handlerRef);
+        return new Disposable(disposable, handlerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterLinkProviderAsync(
+        LanguageSelector language,
+        LinkProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerLinkProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterReferenceProviderAsync(
+        LanguageSelector language,
+        ReferenceProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerReferenceProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterRenameProviderAsync(
+        LanguageSelector language,
+        RenameProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerRenameProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterCodeLensProviderAsync(
+        LanguageSelector language,
+        CodeLensProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerCodeLensProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterDocumentSymbolProviderAsync(
+        LanguageSelector language,
+        DocumentSymbolProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerDocumentSymbolProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterFoldingRangeProviderAsync(
+        LanguageSelector language,
+        FoldingRangeProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerFoldingRangeProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterSelectionRangeProviderAsync(
+        LanguageSelector language,
+        SelectionRangeProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerSelectionRangeProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterDocumentHighlightProviderAsync(
+        LanguageSelector language,
+        DocumentHighlightProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerDocumentHighlightProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterLinkedEditingRangeProviderAsync(
+        LanguageSelector language,
+        LinkedEditingRangeProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerLinkedEditingRangeProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterInlayHintsProviderAsync(
+        LanguageSelector language,
+        InlayHintsProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerInlayHintsProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            providerRef);
+        return new Disposable(disposable, providerRef);
+    }
+
+    public async Task<IAsyncDisposable> RegisterFormattingProviderAsync(
+        LanguageSelector language,
+        FormattingProvider provider)
+    {
+        var providerRef = DotNetObjectReference.Create(provider);
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerFormattingProvider",
+            JsonSerializer.Serialize(language, BlazorMonacoJsonContext.Default.LanguageSelector),
+            provider.AutoFormatTriggerCharacters,
             providerRef);
         return new Disposable(disposable, providerRef);
     }
 
-    public async Task UnderlineLinksAsync(string editorId, int[] offsets)
+    /// <summary>
+    /// Registers HTML, CSS and Emmet features for markup of <paramref name="languageId"/> (implemented in JavaScript only).
+    /// </summary>
+    public async Task<IAsyncDisposable> RegisterEmbeddedLanguageProvidersAsync(string languageId)
+    {
+        var disposable = await (await Module).InvokeAsync<IJSObjectReference>("registerEmbeddedLanguageProviders", languageId);
+        return new Disposable(disposable, null);
+    }
+
+    public async Task GoToDiffAsync(string diffEditorId, bool next)
     {
-        await (await Module).InvokeVoidAsync("underlineLinks", editorId, offsets);
+        await (await Module).InvokeVoidAsync("goToDiff", diffEditorId, next ? "next" : "previous");
     }
 
     public async Task RegisterLanguageAsync(string languageId)
@@ -9,5 +9,11 @@ public sealed class CodeActionProviderAsync(ILoggerFactory loggerFactory)
         string? rangeJson,
         CancellationToken cancellationToken);
 
+    public delegate Task<string?> ResolveCodeActionDelegate(
+        MonacoCodeAction action,
+        CancellationToken cancellationToken);
+
     public required ProvideCodeActionsDelegate ProvideCodeActions { get; init; }
+
+    public required ResolveCodeActionDelegate ResolveCodeAction { get; init; }
 }
@@ -0,0 +1,12 @@
+﻿namespace DotNetLab;
+
+public sealed class CodeLensProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<CodeLensProvider> Logger { get; } = loggerFactory.CreateLogger<CodeLensProvider>();
+
+    public delegate Task<string?> ProvideCodeLensesDelegate(
+        string modelUri,
+        CancellationToken cancellationToken);
+
+    public required ProvideCodeLensesDelegate ProvideCodeLenses { get; init; }
+}
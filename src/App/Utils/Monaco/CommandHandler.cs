@@ -0,0 +1,12 @@
+﻿namespace DotNetLab;
+
+/// <summary>
+/// Handles a command which can be invoked via <c>command:</c> links in markdown (e.g., in hovers),
+/// see <see href="https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.editor.registerCommand.html"/>.
+/// </summary>
+public sealed class CommandHandler
+{
+    public delegate Task ExecuteCommandDelegate(string? argumentsJson);
+
+    public required ExecuteCommandDelegate ExecuteCommand { get; init; }
+}
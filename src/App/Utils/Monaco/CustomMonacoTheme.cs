@@ -22,6 +22,11 @@ internal static class CustomMonacoTheme
             Rules =
             [
                 new() { Token = "comment", Foreground = "008000" },
+                new() { Token = "comment.jit.marker", Foreground = "808080" },
+                new() { Token = "comment.jit.key", Foreground = "795e26" },
+                new() { Token = "comment.jit.gc", Foreground = "267f99" },
+                new() { Token = "comment.jit.variable", Foreground = "001080" },
+                new() { Token = "comment.jit.number", Foreground = "098658" },
                 new() { Token = "excludedCode", Foreground = "808080" },
                 new() { Token = "variable", Foreground = "001080" },
                 new() { Token = "keyword", Foreground = "0000ff" },
@@ -112,6 +117,11 @@ internal static class CustomMonacoTheme
             Rules =
             [
                 new() { Token = "comment", Foreground = "6a9955" },
+                new() { Token = "comment.jit.marker", Foreground = "808080" },
+                new() { Token = "comment.jit.key", Foreground = "dcdcaa" },
+                new() { Token = "comment.jit.gc", Foreground = "4ec9b0" },
+                new() { Token = "comment.jit.variable", Foreground = "9cdcfe" },
+                new() { Token = "comment.jit.number", Foreground = "b5cea8" },
                 new() { Token = "keyword", Foreground = "569cd6" },
                 new() { Token = "keywordControl", Foreground = "c586c0" },
                 new() { Token = "number", Foreground = "b5cea8" },
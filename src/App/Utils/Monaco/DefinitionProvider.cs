@@ -4,7 +4,10 @@ public sealed class DefinitionProvider(ILoggerFactory loggerFactory)
 {
     public ILogger<DefinitionProvider> Logger { get; } = loggerFactory.CreateLogger<DefinitionProvider>();
 
-    public delegate StringSpan? ProvideDefinitionDelegate(
+    /// <returns>
+    /// Target span and URI of the target model if it is different from <paramref name="modelUri"/>.
+    /// </returns>
+    public delegate (StringSpan Span, string? ModelUri)? ProvideDefinitionDelegate(
         string modelUri,
         int offset);
 
@@ -0,0 +1,13 @@
+﻿namespace DotNetLab;
+
+public sealed class DefinitionProviderAsync(ILoggerFactory loggerFactory)
+{
+    public ILogger<DefinitionProviderAsync> Logger { get; } = loggerFactory.CreateLogger<DefinitionProviderAsync>();
+
+    public delegate Task<string?> ProvideDefinitionDelegate(
+        string modelUri,
+        string positionJson,
+        CancellationToken cancellationToken);
+
+    public required ProvideDefinitionDelegate ProvideDefinition { get; init; }
+}
@@ -0,0 +1,13 @@
+﻿namespace DotNetLab;
+
+public sealed class DocumentHighlightProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<DocumentHighlightProvider> Logger { get; } = loggerFactory.CreateLogger<DocumentHighlightProvider>();
+
+    public delegate Task<string?> ProvideDocumentHighlightsDelegate(
+        string modelUri,
+        string positionJson,
+        CancellationToken cancellationToken);
+
+    public required ProvideDocumentHighlightsDelegate ProvideDocumentHighlights { get; init; }
+}
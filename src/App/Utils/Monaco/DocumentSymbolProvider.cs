@@ -0,0 +1,12 @@
+﻿namespace DotNetLab;
+
+public sealed class DocumentSymbolProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<DocumentSymbolProvider> Logger { get; } = loggerFactory.CreateLogger<DocumentSymbolProvider>();
+
+    public delegate Task<string?> ProvideDocumentSymbolsDelegate(
+        string modelUri,
+        CancellationToken cancellationToken);
+
+    public required ProvideDocumentSymbolsDelegate ProvideDocumentSymbols { get; init; }
+}
@@ -0,0 +1,18 @@
+﻿namespace DotNetLab;
+
+/// <summary>
+/// Handles navigation to models other than the one in the source editor
+/// (e.g., Go to Definition into another input file),
+/// see <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.editor.ICodeEditorOpener.html"/>.
+/// </summary>
+public sealed class EditorOpener
+{
+    /// <returns>
+    /// Whether the navigation was handled.
+    /// </returns>
+    public delegate Task<bool> OpenCodeEditorDelegate(
+        string modelUri,
+        BlazorMonaco.Range? range);
+
+    public required OpenCodeEditorDelegate OpenCodeEditor { get; init; }
+}
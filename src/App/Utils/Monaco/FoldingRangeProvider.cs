@@ -0,0 +1,12 @@
+﻿namespace DotNetLab;
+
+public sealed class FoldingRangeProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<FoldingRangeProvider> Logger { get; } = loggerFactory.CreateLogger<FoldingRangeProvider>();
+
+    public delegate Task<string?> ProvideFoldingRangesDelegate(
+        string modelUri,
+        CancellationToken cancellationToken);
+
+    public required ProvideFoldingRangesDelegate ProvideFoldingRanges { get; init; }
+}
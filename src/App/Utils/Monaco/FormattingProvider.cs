@@ -0,0 +1,29 @@
+﻿namespace DotNetLab;
+
+/// <summary>
+/// Combination of Monaco Editor's
+/// <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.DocumentFormattingEditProvider.html">DocumentFormattingEditProvider</see>,
+/// <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.DocumentRangeFormattingEditProvider.html">DocumentRangeFormattingEditProvider</see>, and
+/// <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.OnTypeFormattingEditProvider.html">OnTypeFormattingEditProvider</see>.
+/// </summary>
+public sealed class FormattingProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<FormattingProvider> Logger { get; } = loggerFactory.CreateLogger<FormattingProvider>();
+
+    public string[] AutoFormatTriggerCharacters { get; init; } = [";", "}"];
+
+    /// <param name="onType">
+    /// Whether <paramref name="span"/> is a just typed character from <see cref="AutoFormatTriggerCharacters"/>.
+    /// </param>
+    /// <returns>
+    /// The whole formatted <paramref name="code"/> or <see langword="null"/> if the model cannot be formatted.
+    /// </returns>
+    public delegate Task<string?> ProvideFormattingDelegate(
+        string modelUri,
+        string code,
+        StringSpan? span,
+        bool onType,
+        CancellationToken cancellationToken);
+
+    public required ProvideFormattingDelegate ProvideFormatting { get; init; }
+}
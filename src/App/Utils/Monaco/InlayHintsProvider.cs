@@ -0,0 +1,13 @@
+﻿namespace DotNetLab;
+
+public sealed class InlayHintsProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<InlayHintsProvider> Logger { get; } = loggerFactory.CreateLogger<InlayHintsProvider>();
+
+    public delegate Task<string?> ProvideInlayHintsDelegate(
+        string modelUri,
+        string rangeJson,
+        CancellationToken cancellationToken);
+
+    public required ProvideInlayHintsDelegate ProvideInlayHints { get; init; }
+}
@@ -0,0 +1,15 @@
+﻿namespace DotNetLab;
+
+public sealed class LinkProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<LinkProvider> Logger { get; } = loggerFactory.CreateLogger<LinkProvider>();
+
+    /// <returns>
+    /// Spans which are links, their target spans, and URIs of the target models if they are different from <paramref name="modelUri"/>.
+    /// Links within the same model should be listed first (they take precedence over overlapping links to other models).
+    /// </returns>
+    public delegate IEnumerable<(StringSpan Span, StringSpan TargetSpan, string? TargetModelUri)> ProvideLinksDelegate(
+        string modelUri);
+
+    public required ProvideLinksDelegate ProvideLinks { get; init; }
+}
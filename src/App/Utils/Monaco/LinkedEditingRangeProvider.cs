@@ -0,0 +1,13 @@
+﻿namespace DotNetLab;
+
+public sealed class LinkedEditingRangeProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<LinkedEditingRangeProvider> Logger { get; } = loggerFactory.CreateLogger<LinkedEditingRangeProvider>();
+
+    public delegate Task<string?> ProvideLinkedEditingRangesDelegate(
+        string modelUri,
+        string positionJson,
+        CancellationToken cancellationToken);
+
+    public required ProvideLinkedEditingRangesDelegate ProvideLinkedEditingRanges { get; init; }
+}
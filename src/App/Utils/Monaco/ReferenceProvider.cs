@@ -0,0 +1,14 @@
+﻿namespace DotNetLab;
+
+public sealed class ReferenceProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<ReferenceProvider> Logger { get; } = loggerFactory.CreateLogger<ReferenceProvider>();
+
+    public delegate Task<string?> ProvideReferencesDelegate(
+        string modelUri,
+        string positionJson,
+        bool includeDeclaration,
+        CancellationToken cancellationToken);
+
+    public required ProvideReferencesDelegate ProvideReferences { get; init; }
+}
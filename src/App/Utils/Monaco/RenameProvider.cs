@@ -0,0 +1,21 @@
+﻿namespace DotNetLab;
+
+public sealed class RenameProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<RenameProvider> Logger { get; } = loggerFactory.CreateLogger<RenameProvider>();
+
+    public delegate Task<string?> ResolveRenameLocationDelegate(
+        string modelUri,
+        string positionJson,
+        CancellationToken cancellationToken);
+
+    public delegate Task<string?> ProvideRenameEditsDelegate(
+        string modelUri,
+        string positionJson,
+        string newName,
+        CancellationToken cancellationToken);
+
+    public required ResolveRenameLocationDelegate ResolveRenameLocation { get; init; }
+
+    public required ProvideRenameEditsDelegate ProvideRenameEdits { get; init; }
+}
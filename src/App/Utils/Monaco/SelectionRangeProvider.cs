@@ -0,0 +1,13 @@
+﻿namespace DotNetLab;
+
+public sealed class SelectionRangeProvider(ILoggerFactory loggerFactory)
+{
+    public ILogger<SelectionRangeProvider> Logger { get; } = loggerFactory.CreateLogger<SelectionRangeProvider>();
+
+    public delegate Task<string?> ProvideSelectionRangesDelegate(
+        string modelUri,
+        string positionsJson,
+        CancellationToken cancellationToken);
+
+    public required ProvideSelectionRangesDelegate ProvideSelectionRanges { get; init; }
+}
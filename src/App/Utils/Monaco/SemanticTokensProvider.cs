@@ -19,5 +19,21 @@ public sealed class SemanticTokensProvider(ILoggerFactory loggerFactory)
 
     public required ProvideSemanticTokensDelegate ProvideSemanticTokens { get; init; }
 
+    public delegate Task<string?> ProvideSemanticTokensEditsDelegate(
+        string modelUri,
+        string? previousResultId,
+        bool debug,
+        CancellationToken cancellationToken);
+
+    /// <summary>
+    /// If set, used instead of <see cref="ProvideSemanticTokens"/> for whole documents,
+    /// so only changed tokens are sent when the previous result is still cached.
+    /// </summary>
+    public ProvideSemanticTokensEditsDelegate? ProvideSemanticTokensEdits { get; init; }
+
+    public delegate Task ReleaseSemanticTokensDelegate(string resultId);
+
+    public ReleaseSemanticTokensDelegate? ReleaseSemanticTokens { get; init; }
+
     public bool RegisterRangeProvider { get; init; } = true;
 }
@@ -15,6 +15,102 @@ export function onDidChangeCursorPosition(editorId, callback) {
     });
 }
 
+/**
+ * Editors scrolled programmatically (mapped to a time until which their scroll events are ignored),
+ * so synchronized scrolling does not bounce back and forth between editors.
+ * @type {WeakMap<monaco.editor.ICodeEditor, number>}
+ */
+const programmaticScrolls = new WeakMap();
+
+function suppressScrollSync(editor) {
+    programmaticScrolls.set(editor, performance.now() + 100);
+}
+
+export function onDidScrollChange(editorId, callback) {
+    const editor = window.blazorMonaco.editor.getEditor(editorId);
+    return editor.onDidScrollChange(async (e) => {
+        if (!e.scrollTopChanged || performance.now() < (programmaticScrolls.get(editor) ?? 0)) {
+            return;
+        }
+
+        const model = editor.getModel();
+        const lineNumber = editor.getVisibleRanges()[0]?.startLineNumber;
+        if (model && lineNumber) {
+            const offset = model.getOffsetAt({ lineNumber, column: model.getLineFirstNonWhitespaceColumn(lineNumber) || 1 });
+            await DotNet.invokeMethodAsync('DotNetLab.App', 'OnDidChangeCursorPositionCallbackAsync', callback, offset);
+        }
+    });
+}
+
+/**
+ * Reports offsets of words under the mouse (or -1 when the mouse leaves the text).
+ */
+export function onDidHover(editorId, callback) {
+    const editor = window.blazorMonaco.editor.getEditor(editorId);
+    const disposables = new DisposableList();
+    let lastOffset = -1;
+
+    const report = async (offset) => {
+        if (offset !== lastOffset) {
+            lastOffset = offset;
+            await DotNet.invokeMethodAsync('DotNetLab.App', 'OnDidChangeCursorPositionCallbackAsync', callback, offset);
+        }
+    };
+
+    disposables.add(editor.onMouseMove(async (e) => {
+        const model = editor.getModel();
+        const position = e.target.type === monaco.editor.MouseTargetType.CONTENT_TEXT ? e.target.position : null;
+        const word = position && model?.getWordAtPosition(position);
+
+        // Report only when a different word is hovered to avoid calling .NET on each mouse move.
+        await report(word ? model.getOffsetAt({ lineNumber: position.lineNumber, column: word.startColumn }) : -1);
+    }));
+    disposables.add(editor.onMouseLeave(async () => {
+        await report(-1);
+    }));
+
+    return disposables;
+}
+
+export function scrollToOffset(editorId, offset) {
+    const editor = window.blazorMonaco.editor.getEditor(editorId);
+    const model = editor.getModel();
+    if (model) {
+        const top = editor.getTopForPosition(model.getPositionAt(offset).lineNumber, 1);
+        if (top !== editor.getScrollTop()) {
+            suppressScrollSync(editor);
+            editor.setScrollTop(top);
+        }
+    }
+}
+
+/** @type {WeakMap<monaco.editor.ICodeEditor, { decorations: monaco.editor.IEditorDecorationsCollection, timeoutId: number }>} */
+const mappedRangeHighlights = new WeakMap();
+
+/**
+ * Transiently highlights a range (corresponding to a range hovered in another editor).
+ * Pass `start` greater than `end` to only clear the previous highlight.
+ */
+export function highlightMappedRange(editorId, start, end) {
+    const editor = window.blazorMonaco.editor.getEditor(editorId);
+    const previous = mappedRangeHighlights.get(editor);
+    if (previous) {
+        clearTimeout(previous.timeoutId);
+        previous.decorations.clear();
+        mappedRangeHighlights.delete(editor);
+    }
+
+    const model = editor.getModel();
+    if (!model || start > end) {
+        return;
+    }
+
+    const range = monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(end));
+    const decorations = editor.createDecorationsCollection([{ range, options: { className: 'mapped-range-highlight' } }]);
+    const timeoutId = setTimeout(() => decorations.clear(), 2000);
+    mappedRangeHighlights.set(editor, { decorations, timeoutId });
+}
+
 export function setSelection(editorId, start, end) {
     const editor = window.blazorMonaco.editor.getEditor(editorId);
     const model = editor.getModel();
@@ -25,10 +121,19 @@ export function setSelection(editorId, start, end) {
             startPosition.lineNumber, startPosition.column,
             endPosition.lineNumber, endPosition.column);
         editor.setSelection(range);
+        suppressScrollSync(editor);
         editor.revealRangeInCenter(range);
     }
 }
 
+export function setSelectionRange(editorId, range) {
+    const editor = window.blazorMonaco.editor.getEditor(editorId);
+    const selection = monaco.Range.lift(JSON.parse(range));
+    editor.setSelection(selection);
+    suppressScrollSync(editor);
+    editor.revealRangeInCenter(selection);
+}
+
 export function setModelValueUndoable(editorId, modelUri, text) {
     const editor = window.blazorMonaco.editor.getEditor(editorId);
     editor.pushUndoStop();
@@ -42,21 +147,41 @@ export function setModelValueUndoable(editorId, modelUri, text) {
  * @param {string[] | undefined} triggerCharacters
  */
 export function registerCompletionProvider(language, triggerCharacters, completionItemProvider) {
+    /**
+     * The last completion list from .NET, reused while the user keeps typing the same identifier
+     * (Monaco refilters the list, we just avoid the roundtrip).
+     * @type {CompletionCacheEntry | null}
+     */
+    let cache = null;
+
     // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerCompletionItemProvider.html
-    return monaco.languages.registerCompletionItemProvider(JSON.parse(language), {
+    const registration = monaco.languages.registerCompletionItemProvider(JSON.parse(language), {
         triggerCharacters: triggerCharacters,
         provideCompletionItems: async (model, position, context, token) => {
-            const versionId = model.getAlternativeVersionId();
+            const wordStart = model.getWordUntilPosition(position).startColumn;
+            if (cache?.isValidFor(model, position.lineNumber, wordStart)) {
+                return cache.getList(position);
+            }
+
+            cache?.dispose();
+            cache = null;
+
+            // Tracks edits made while waiting for .NET, so typing does not discard the result unnecessarily.
+            const entry = new CompletionCacheEntry(model, position.lineNumber, wordStart);
             const tokenRef = wrapToken(token);
             try {
                 /** @type {monaco.languages.CompletionList} */
                 const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideCompletionItemsAsync',
                     completionItemProvider, decodeURI(model.uri.toString()), JSON.stringify(position), JSON.stringify(context), tokenRef));
 
-                if (versionId != model.getAlternativeVersionId()) {
+                if (entry.stale) {
                     throw new Error('busy');
                 }
 
+                // .NET uses VSCode's name of the property.
+                result.incomplete = result.isIncomplete;
+                delete result.isIncomplete;
+
                 for (const item of result.suggestions) {
                     // `insertText` is missing if it's equal to `label` to save bandwidth
                     // but monaco editor expects it to be always present.
@@ -67,11 +192,21 @@ export function registerCompletionProvider(language, triggerCharacters, completi
                     item.commitCharacters = result.commitCharacters;
                 }
 
-                return result;
+                entry.result = result;
+                if (!result.incomplete) {
+                    cache?.dispose();
+                    cache = entry;
+                }
+
+                return entry.getList();
             } catch (e) {
                 console.error(e);
                 throw e;
             } finally {
+                if (cache !== entry) {
+                    entry.dispose();
+                }
+
                 DotNet.disposeJSObjectReference(tokenRef);
             }
         },
@@ -96,6 +231,131 @@ export function registerCompletionProvider(language, triggerCharacters, completi
             }
         },
     });
+
+    return {
+        dispose: () => {
+            cache?.dispose();
+            cache = null;
+            registration.dispose();
+        },
+    };
+}
+
+/**
+ * @param {monaco.editor.ITextModel} model
+ */
+function isInputModel(model) {
+    return model.uri.scheme === 'file' && model.uri.path.startsWith('/in/');
+}
+
+/**
+ * Incremented when cached completion lists become outdated even though their models did not change
+ * (e.g., inputs were added or a compilation changed references).
+ */
+let completionCacheVersion = 0;
+
+export function invalidateCompletionCache() {
+    completionCacheVersion++;
+}
+
+/**
+ * Completion list computed for a word start which stays valid until the text outside of the word
+ * or any other input changes.
+ */
+class CompletionCacheEntry {
+    /**
+     * @param {monaco.editor.ITextModel} model
+     * @param {number} lineNumber
+     * @param {number} wordStart Column where the completed word starts.
+     */
+    constructor(model, lineNumber, wordStart) {
+        this.model = model;
+        this.lineNumber = lineNumber;
+        this.wordStart = wordStart;
+        this.stale = false;
+        this.version = completionCacheVersion;
+        /** @type {monaco.languages.CompletionList | null} */
+        this.result = null;
+        this.listeners = new DisposableList();
+        this.listeners.add(model.onDidChangeContent(e => {
+            if (!e.changes.every(c => this.isWithinWord(c))) {
+                this.invalidate();
+            }
+        }));
+
+        // Completions depend on other inputs, too (e.g., types declared there).
+        for (const other of monaco.editor.getModels()) {
+            if (other !== model && isInputModel(other)) {
+                this.listeners.add(other.onDidChangeContent(() => this.invalidate()));
+            }
+        }
+
+        // Inputs added or removed later change the workspace as well.
+        this.listeners.add(monaco.editor.onDidCreateModel(m => {
+            if (isInputModel(m)) {
+                this.invalidate();
+            }
+        }));
+        this.listeners.add(monaco.editor.onWillDisposeModel(m => {
+            if (isInputModel(m)) {
+                this.invalidate();
+            }
+        }));
+    }
+
+    invalidate() {
+        this.stale = true;
+        this.listeners.dispose();
+    }
+
+    /**
+     * @param {monaco.editor.IModelContentChange} change
+     */
+    isWithinWord(change) {
+        return change.range.startLineNumber === this.lineNumber &&
+            change.range.endLineNumber === this.lineNumber &&
+            change.range.startColumn >= this.wordStart &&
+            /^\w*$/.test(change.text);
+    }
+
+    /**
+     * @param {monaco.editor.ITextModel} model
+     * @param {number} lineNumber
+     * @param {number} wordStart
+     */
+    isValidFor(model, lineNumber, wordStart) {
+        return !this.stale && this.result !== null &&
+            this.version === completionCacheVersion &&
+            this.model === model &&
+            this.lineNumber === lineNumber &&
+            this.wordStart === wordStart;
+    }
+
+    /**
+     * Monaco fills in missing ranges of the returned items, so each call gets fresh copies.
+     * When reused at a later `position`, the ranges are extended to the end of the word typed so far
+     * (otherwise accepting an item would leave the newly typed characters behind).
+     * @param {monaco.Position} [position]
+     * @returns {monaco.languages.CompletionList}
+     */
+    getList(position) {
+        const word = position && this.model.getWordAtPosition(position);
+        const range = position && this.result.range && {
+            startLineNumber: this.lineNumber,
+            startColumn: this.result.range.startColumn,
+            endLineNumber: this.lineNumber,
+            endColumn: Math.max(word?.endColumn ?? position.column, position.column),
+        };
+
+        return {
+            ...this.result,
+            suggestions: this.result.suggestions.map(s => ({ ...s, range: range ?? s.range })),
+        };
+    }
+
+    dispose() {
+        this.listeners.dispose();
+    }
 }
 
 let debugSemanticTokens = false;
@@ -116,7 +376,7 @@ export function enableSemanticHighlighting() {
     }
 }
 
-export function registerSemanticTokensProvider(language, legend, provider, registerRangeProvider) {
+export function registerSemanticTokensProvider(language, legend, provider, registerRangeProvider, supportsEdits) {
     const disposables = new DisposableList();
     const languageParsed = JSON.parse(language);
     const legendParsed = JSON.parse(legend);
@@ -127,6 +387,12 @@ export function registerSemanticTokensProvider(language, legend, provider, regis
         provideDocumentSemanticTokens: async (model, lastResultId, token) => {
             const tokenRef = wrapToken(token);
             try {
+                if (supportsEdits) {
+                    const result = await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideSemanticTokensEditsAsync',
+                        provider, decodeURI(model.uri.toString()), lastResultId ?? null, debugSemanticTokens, tokenRef);
+                    return decodeEditsResult(result, legendParsed);
+                }
+
                 const result = await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideSemanticTokensAsync',
                     provider, decodeURI(model.uri.toString()), null, debugSemanticTokens, tokenRef);
                 return decodeResult(result, legendParsed);
@@ -138,7 +404,11 @@ export function registerSemanticTokensProvider(language, legend, provider, regis
             }
         },
         releaseDocumentSemanticTokens: (resultId) => {
-            // Not implemented.
+            if (supportsEdits && resultId) {
+                // Fire and forget (the provider might be already disposed).
+                DotNet.invokeMethodAsync('DotNetLab.App', 'ReleaseSemanticTokensAsync', provider, resultId)
+                    .catch(e => console.error(e));
+            }
         },
     }));
 
@@ -165,18 +435,53 @@ export function registerSemanticTokensProvider(language, legend, provider, regis
     return disposables;
 
     function decodeResult(result, legend) {
+        throwIfBusy(result);
+
+        return {
+            data: decodeData(result, legend),
+            resultId: null, // Results of range requests are not cached.
+        };
+    }
+
+    function decodeEditsResult(result, legend) {
+        throwIfBusy(result);
+
+        // Default values (zeros, nulls) are omitted in the JSON.
+        const { resultId, data, edits } = JSON.parse(result);
+
+        if (edits) {
+            return {
+                resultId,
+                edits: edits.map(({ start, deleteCount, data }) => ({
+                    start: start ?? 0,
+                    deleteCount: deleteCount ?? 0,
+                    // Edits are not aligned to tokens, so we don't pass the legend for debugging.
+                    data: data ? decodeData(data, null) : undefined,
+                })),
+            };
+        }
+
+        return {
+            resultId,
+            data: decodeData(data ?? '', legend),
+        };
+    }
+
+    function throwIfBusy(result) {
         if (result === null) {
             // If null result is returned, it means the request should be ignored, so we need to throw
             // (otherwise current tokens would be cleared which we don't want).
             // The text 'busy' is recommended for this purpose (e.g., it avoids sending telemetry).
             throw new Error('busy');
         }
+    }
 
-        // Result is Base64-encoded int32 array we want to convert to Uint32Array.
-        const bytes = Uint8Array.from(atob(result), c => c.charCodeAt(0));
+    function decodeData(base64, legend) {
+        // Data are Base64-encoded int32 array we want to convert to Uint32Array.
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
         const data = new Uint32Array(bytes.buffer, bytes.byteOffset, bytes.length / Uint32Array.BYTES_PER_ELEMENT);
 
-        if (debugSemanticTokens) {
+        if (debugSemanticTokens && legend) {
             const tokenTypes = [];
             for (let i = 0; i < data.length; i += 5) {
                 tokenTypes.push(legend.tokenTypes[data[i + 3]]);
@@ -184,10 +489,7 @@ export function registerSemanticTokensProvider(language, legend, provider, regis
             console.log('Semantic tokens:', tokenTypes);
         }
 
-        return {
-            data: data,
-            resultId: null, // Currently not used.
-        };
+        return data;
     }
 }
 
@@ -207,12 +509,7 @@ export function registerCodeActionProvider(language, codeActionProvider) {
                     throw new Error('busy');
                 }
 
-                for (const action of result) {
-                    for (const edit of action.edit?.edits ?? []) {
-                        edit.resource = monaco.Uri.parse(edit.resource);
-                    }
-                }
-
+                // Edits are computed lazily in `resolveCodeAction`.
                 return {
                     actions: result,
                     dispose: () => { }, // Currently not used.
@@ -224,8 +521,29 @@ export function registerCodeActionProvider(language, codeActionProvider) {
                 DotNet.disposeJSObjectReference(tokenRef);
             }
         },
+        resolveCodeAction: async (codeAction, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const json = await DotNet.invokeMethodAsync('DotNetLab.App', 'ResolveCodeActionAsync',
+                    codeActionProvider, JSON.stringify(codeAction), tokenRef);
+
+                if (json) {
+                    const result = JSON.parse(json);
+                    reviveWorkspaceEdit(result.edit);
+                    codeAction.edit = result.edit;
+                }
+
+                return codeAction;
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
     }, {
-        providedCodeActionKinds: ['quickfix'],
+        // These enable the "Refactor..." and "Source Action..." menus.
+        providedCodeActionKinds: ['quickfix', 'refactor.extract', 'refactor.inline', 'refactor.rewrite', 'source'],
     });
 }
 
@@ -242,14 +560,20 @@ export function registerDefinitionProvider(language, definitionProvider) {
                     return null;
                 }
 
-                const [start, end] = result.split(';');
-                const startPosition = model.getPositionAt(start);
-                const endPosition = model.getPositionAt(end);
+                // The target can be in another model (e.g., from output to input).
+                const [start, end, targetUri] = result.split(';');
+                const targetModel = targetUri ? monaco.editor.getModel(targetUri) : model;
+                if (!targetModel) {
+                    return null;
+                }
+
+                const startPosition = targetModel.getPositionAt(start);
+                const endPosition = targetModel.getPositionAt(end);
                 const range = new monaco.Range(
                     startPosition.lineNumber, startPosition.column,
                     endPosition.lineNumber, endPosition.column);
                 return {
-                    uri: model.uri,
+                    uri: targetModel.uri,
                     range,
                 };
             } catch (e) {
@@ -260,6 +584,169 @@ export function registerDefinitionProvider(language, definitionProvider) {
     });
 }
 
+export function registerLinkProvider(language, linkProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerLinkProvider.html
+    return monaco.languages.registerLinkProvider(JSON.parse(language), {
+        provideLinks: async (model, token) => {
+            try {
+                const result = await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideLinks',
+                    linkProvider, decodeURI(model.uri.toString()));
+
+                const links = [];
+                const linesWithLocalLinks = new Set();
+                for (const line of result ? result.split('\n') : []) {
+                    // The target can be in another model (e.g., from output to input).
+                    const [start, end, targetStart, targetEnd, targetUri] = line.split(';');
+                    const targetModel = targetUri ? monaco.editor.getModel(targetUri) : model;
+                    if (!targetModel) {
+                        continue;
+                    }
+
+                    // Only the first line is a link (e.g., a syntax node maps its whole subtree
+                    // but we want to make only the node's name clickable).
+                    const startPosition = model.getPositionAt(start);
+                    const endPosition = model.getPositionAt(end);
+
+                    // Links within the same model (listed first) take precedence over overlapping links to other models.
+                    if (!targetUri) {
+                        linesWithLocalLinks.add(startPosition.lineNumber);
+                    } else if (linesWithLocalLinks.has(startPosition.lineNumber)) {
+                        continue;
+                    }
+
+                    const range = new monaco.Range(
+                        startPosition.lineNumber, startPosition.column,
+                        startPosition.lineNumber, endPosition.lineNumber === startPosition.lineNumber
+                            ? endPosition.column
+                            : model.getLineMaxColumn(startPosition.lineNumber));
+
+                    // The target range is encoded in the fragment and selected when the link is followed.
+                    const targetStartPosition = targetModel.getPositionAt(targetStart);
+                    const targetEndPosition = targetModel.getPositionAt(targetEnd);
+                    links.push({
+                        range,
+                        url: targetModel.uri.with({
+                            fragment: `L${targetStartPosition.lineNumber},${targetStartPosition.column}-L${targetEndPosition.lineNumber},${targetEndPosition.column}`,
+                        }),
+                        tooltip: targetUri ? 'Go to input' : 'Go to definition',
+                    });
+                }
+
+                return { links };
+            } catch (e) {
+                console.error(e);
+                throw e;
+            }
+        },
+    });
+}
+
+/**
+ * Models of decompiled metadata created by the workspace definition provider.
+ * @type {Set<monaco.editor.ITextModel>}
+ */
+const metadataModels = new Set();
+
+/**
+ * Disposes models of decompiled metadata (when they are no longer displayed).
+ */
+export function disposeMetadataModels() {
+    for (const model of metadataModels) {
+        model.dispose();
+    }
+    metadataModels.clear();
+}
+
+/**
+ * Definition provider backed by the language services workspace.
+ * Besides returning locations, it creates models for definitions in decompiled metadata
+ * (they are disposed via {@link disposeMetadataModels} or when the provider is disposed).
+ */
+export function registerWorkspaceDefinitionProvider(language, definitionProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerDefinitionProvider.html
+    const registration = monaco.languages.registerDefinitionProvider(JSON.parse(language), {
+        provideDefinition: async (model, position, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideDefinitionAsync',
+                    definitionProvider, decodeURI(model.uri.toString()), JSON.stringify(position), tokenRef));
+
+                if (result === null) {
+                    // If null result is returned, it means the request should be ignored, so we need to throw
+                    // (as opposed to returning no definitions).
+                    throw new Error('busy');
+                }
+
+                // Locations can point to other models (i.e., other input files or decompiled metadata).
+                for (const location of result.locations) {
+                    location.uri = monaco.Uri.parse(location.uri);
+
+                    if (result.metadataSourceText !== undefined) {
+                        // Peek Definition and navigation need the target model to exist.
+                        const existing = monaco.editor.getModel(location.uri);
+                        if (!existing) {
+                            const model = monaco.editor.createModel(result.metadataSourceText, 'csharp', location.uri);
+                            metadataModels.add(model);
+                            model.onWillDispose(() => metadataModels.delete(model));
+                        } else if (existing.getValue() !== result.metadataSourceText) {
+                            existing.setValue(result.metadataSourceText);
+                        }
+                    }
+                }
+
+                return result.locations;
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+
+    return {
+        dispose: () => {
+            registration.dispose();
+            disposeMetadataModels();
+        },
+    };
+}
+
+export function registerEditorOpener(editorOpener) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.editor.registerEditorOpener.html
+    return monaco.editor.registerEditorOpener({
+        openCodeEditor: async (source, resource, selectionOrPosition) => {
+            try {
+                const range = selectionOrPosition === undefined || monaco.Range.isIRange(selectionOrPosition)
+                    ? selectionOrPosition
+                    : monaco.Range.fromPositions(selectionOrPosition);
+                return await DotNet.invokeMethodAsync('DotNetLab.App', 'OpenCodeEditorAsync',
+                    editorOpener, decodeURI(resource.toString()), range === undefined ? null : JSON.stringify(range));
+            } catch (e) {
+                console.error(e);
+                return false;
+            }
+        },
+    });
+}
+
+export function registerCommand(commandId, commandHandler) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.editor.registerCommand.html
+    return monaco.editor.registerCommand(commandId, async (accessor, args) => {
+        try {
+            await DotNet.invokeMethodAsync('DotNetLab.App', 'ExecuteCommandAsync',
+                commandHandler, args === undefined ? null : JSON.stringify(args));
+        } catch (e) {
+            console.error(e);
+        }
+    });
+}
+
+/**
+ * Commands which can be invoked from hovers (see `MonacoCommands` in .NET).
+ */
+const hoverCommands = ['dotnetlab.showOutput'];
+
 export function registerHoverProvider(language, hoverProvider) {
     // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerHoverProvider.html
     return monaco.languages.registerHoverProvider(JSON.parse(language), {
@@ -276,7 +763,17 @@ export function registerHoverProvider(language, hoverProvider) {
                     throw new Error('busy');
                 }
 
-                return { contents: [{ value: result }] };
+                const hover = JSON.parse(result);
+                if (hover === null) {
+                    return null;
+                }
+
+                // Markdown can contain links which invoke our commands (see `registerCommand`),
+                // but not other commands (the markdown includes doc comments from user code, which can come from shared links).
+                return {
+                    contents: hover.contents.map(value => ({ value, isTrusted: { enabledCommands: hoverCommands } })),
+                    range: hover.range,
+                };
             } catch (e) {
                 console.error(e);
                 throw e;
@@ -287,17 +784,21 @@ export function registerHoverProvider(language, hoverProvider) {
     });
 }
 
-export function registerSignatureHelpProvider(language, hoverProvider) {
+export function registerSignatureHelpProvider(language, triggerCharacters, retriggerCharacters, hoverProvider) {
     // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerSignatureHelpProvider.html
     return monaco.languages.registerSignatureHelpProvider(JSON.parse(language), {
-        signatureHelpTriggerCharacters: ['(', ','],
+        signatureHelpTriggerCharacters: [...triggerCharacters],
+        signatureHelpRetriggerCharacters: [...retriggerCharacters],
         provideSignatureHelp: async (model, position, token, context) => {
             const tokenRef = wrapToken(token);
             try {
                 const contextLight = {
                     ...context,
-                    // Avoid sending currently unused data.
-                    activeSignatureHelp: undefined,
+                    // Only the active signature is needed (to keep the overload selected by the user).
+                    activeSignatureHelp: context.activeSignatureHelp && {
+                        activeSignature: context.activeSignatureHelp.activeSignature,
+                        signatures: context.activeSignatureHelp.signatures.map(s => ({ label: s.label })),
+                    },
                 };
 
                 const result = await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideSignatureHelpAsync',
@@ -330,44 +831,774 @@ export function registerSignatureHelpProvider(language, hoverProvider) {
     });
 }
 
-/**
- * @param {string} editorId
- * @param {number[]} offsets - start,end,start,end,...
- */
-export function underlineLinks(editorId, offsets) {
-    const editor = window.blazorMonaco.editor.getEditor(editorId);
-    const model = editor.getModel();
-    if (model) {
-        const ranges = [];
-        for (let i = 0; i <= offsets.length; i += 2) {
-            const startPosition = model.getPositionAt(offsets[i]);
-            const endPosition = model.getPositionAt(offsets[i + 1]);
-            const range = new monaco.Range(
-                startPosition.lineNumber, startPosition.column,
-                endPosition.lineNumber, endPosition.column);
-            ranges.push(range);
-        }
+export function registerReferenceProvider(language, referenceProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerReferenceProvider.html
+    return monaco.languages.registerReferenceProvider(JSON.parse(language), {
+        provideReferences: async (model, position, context, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideReferencesAsync',
+                    referenceProvider, decodeURI(model.uri.toString()), JSON.stringify(position), context.includeDeclaration, tokenRef));
 
-        editor.createDecorationsCollection(ranges.map(range => ({
-            range,
-            options: { inlineClassName: 'underline' },
-        })));
-    }
-}
+                if (result === null) {
+                    // If null result is returned, it means the request should be ignored, so we need to throw
+                    // (as opposed to returning no references).
+                    // The text 'busy' is recommended for this purpose (e.g., it avoids sending telemetry).
+                    throw new Error('busy');
+                }
 
-export function registerLanguage(languageId) {
-    monaco.languages.register({ id: languageId });
-    monaco.languages.setLanguageConfiguration(languageId, {
-        folding: {
-            offSide: true,
+                // Locations can point to other models (i.e., other input files).
+                for (const location of result) {
+                    location.uri = monaco.Uri.parse(location.uri);
+                }
+
+                return result;
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
         },
     });
 }
 
-export function hasDarkTheme(editorId) {
-    const editor = window.blazorMonaco.editor.getEditor(editorId);
-    const theme = editor.getRawOptions().theme;
-    return Boolean(theme) && theme.includes('dark');
+export function registerRenameProvider(language, renameProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerRenameProvider.html
+    return monaco.languages.registerRenameProvider(JSON.parse(language), {
+        resolveRenameLocation: async (model, position, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ResolveRenameLocationAsync',
+                    renameProvider, decodeURI(model.uri.toString()), JSON.stringify(position), tokenRef));
+
+                if (result === null) {
+                    throw new Error('busy');
+                }
+
+                return result;
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+        provideRenameEdits: async (model, position, newName, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideRenameEditsAsync',
+                    renameProvider, decodeURI(model.uri.toString()), JSON.stringify(position), newName, tokenRef));
+
+                if (result === null) {
+                    throw new Error('busy');
+                }
+
+                // Edits can span multiple models (i.e., other input files).
+                reviveWorkspaceEdit(result);
+
+                return result;
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+}
+
+export function registerCodeLensProvider(language, codeLensProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerCodeLensProvider.html
+    return monaco.languages.registerCodeLensProvider(JSON.parse(language), {
+        provideCodeLenses: async (model, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideCodeLensesAsync',
+                    codeLensProvider, decodeURI(model.uri.toString()), tokenRef);
+
+                if (result === null) {
+                    throw new Error('busy');
+                }
+
+                // The lenses invoke commands registered via `registerCommand`.
+                return {
+                    lenses: JSON.parse(result),
+                    dispose: () => { }, // Currently not used.
+                };
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+}
+
+export function registerDocumentSymbolProvider(language, documentSymbolProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerDocumentSymbolProvider.html
+    return monaco.languages.registerDocumentSymbolProvider(JSON.parse(language), {
+        displayName: '.NET Lab',
+        provideDocumentSymbols: async (model, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideDocumentSymbolsAsync',
+                    documentSymbolProvider, decodeURI(model.uri.toString()), tokenRef));
+
+                if (result === null) {
+                    throw new Error('busy');
+                }
+
+                return reviveDocumentSymbols(result);
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+}
+
+export function registerFoldingRangeProvider(language, foldingRangeProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerFoldingRangeProvider.html
+    return monaco.languages.registerFoldingRangeProvider(JSON.parse(language), {
+        provideFoldingRanges: async (model, context, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideFoldingRangesAsync',
+                    foldingRangeProvider, decodeURI(model.uri.toString()), tokenRef));
+
+                if (result === null) {
+                    throw new Error('busy');
+                }
+
+                return result.map(({ start, end, kind }) => ({
+                    start,
+                    end,
+                    kind: kind ? new monaco.languages.FoldingRangeKind(kind) : undefined,
+                }));
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+}
+
+export function registerSelectionRangeProvider(language, selectionRangeProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerSelectionRangeProvider.html
+    return monaco.languages.registerSelectionRangeProvider(JSON.parse(language), {
+        provideSelectionRanges: async (model, positions, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideSelectionRangesAsync',
+                    selectionRangeProvider, decodeURI(model.uri.toString()), JSON.stringify(positions), tokenRef));
+
+                if (result === null) {
+                    throw new Error('busy');
+                }
+
+                return result.map(ranges => ranges.map(range => ({ range })));
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+}
+
+export function registerDocumentHighlightProvider(language, documentHighlightProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerDocumentHighlightProvider.html
+    return monaco.languages.registerDocumentHighlightProvider(JSON.parse(language), {
+        provideDocumentHighlights: async (model, position, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideDocumentHighlightsAsync',
+                    documentHighlightProvider, decodeURI(model.uri.toString()), JSON.stringify(position), tokenRef));
+
+                if (result === null) {
+                    throw new Error('busy');
+                }
+
+                // Read and write accesses are styled differently by Monaco based on the kind.
+                return result;
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+}
+
+export function registerLinkedEditingRangeProvider(language, linkedEditingRangeProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerLinkedEditingRangeProvider.html
+    return monaco.languages.registerLinkedEditingRangeProvider(JSON.parse(language), {
+        provideLinkedEditingRanges: async (model, position, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideLinkedEditingRangesAsync',
+                    linkedEditingRangeProvider, decodeURI(model.uri.toString()), JSON.stringify(position), tokenRef));
+
+                if (result === null) {
+                    return null;
+                }
+
+                return {
+                    ranges: result.ranges,
+                    // Linked editing stops when the edited text is no longer a tag name.
+                    wordPattern: /[A-Za-z][\w.:-]*/,
+                };
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+}
+
+/**
+ * Registers HTML and CSS language features (and Emmet) for markup and `<style>` blocks of Razor files.
+ * Runs in JavaScript only (Razor inputs are not part of the language services workspace anyway).
+ * @param {string} languageId
+ */
+export function registerEmbeddedLanguageProviders(languageId) {
+    const disposables = new DisposableList();
+    let disposed = false;
+    disposables.add({ dispose: () => { disposed = true; } });
+
+    /**
+     * The services are downloaded the first time a model of the language needs them
+     * (to keep the initial download small for users without Razor inputs).
+     * @type {Promise<any> | null}
+     */
+    let servicesPromise = null;
+    const getServices = () => servicesPromise ??= window.jslib.LoadEmbeddedLanguageServices().then(services => {
+        if (!disposed) {
+            disposables.add({ dispose: services.registerEmmet([languageId]) });
+        }
+
+        return services;
+    });
+
+    // Start loading as soon as there is a model of the language, so the first completion does not wait for the download.
+    if (monaco.editor.getModels().some(m => m.getLanguageId() === languageId)) {
+        getServices();
+    } else {
+        const listener = monaco.editor.onDidCreateModel(m => {
+            if (m.getLanguageId() === languageId) {
+                listener.dispose();
+                getServices();
+            }
+        });
+        disposables.add(listener);
+    }
+
+    // Monaco's built-in HTML support for Razor would treat C# as markup and duplicate our results.
+    const razorDefaults = languageId === 'razor' ? monaco.languages.html?.razorDefaults : undefined;
+    if (razorDefaults) {
+        const modeConfiguration = razorDefaults.modeConfiguration;
+        razorDefaults.setModeConfiguration({});
+        disposables.add({ dispose: () => razorDefaults.setModeConfiguration(modeConfiguration) });
+    }
+
+    /** @type {WeakMap<monaco.editor.ITextModel, RazorEmbeddedDocuments>} */
+    const cache = new WeakMap();
+
+    /**
+     * @param {monaco.editor.ITextModel} model
+     */
+    const getDocuments = async (model) => {
+        const services = await getServices();
+        let documents = cache.get(model);
+        if (documents?.versionId !== model.getVersionId()) {
+            documents = new RazorEmbeddedDocuments(services, model);
+            cache.set(model, documents);
+        }
+
+        return { services, documents };
+    };
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerCompletionItemProvider.html
+    disposables.add(monaco.languages.registerCompletionItemProvider(languageId, {
+        triggerCharacters: ['.', ':', '<', '"', '=', '/', '-'],
+        provideCompletionItems: async (model, position) => {
+            const { services, documents } = await getDocuments(model);
+            const document = documents.getDocumentAt(model.getOffsetAt(position));
+            if (!document) {
+                return null;
+            }
+
+            const result = document.languageId === 'css'
+                ? services.css.doComplete(document.textDocument, toLspPosition(position), document.parsed)
+                : services.html.doComplete(document.textDocument, toLspPosition(position), document.parsed);
+
+            return {
+                incomplete: result.isIncomplete,
+                suggestions: result.items.map(item => ({
+                    label: item.label,
+                    kind: toCompletionItemKind(item.kind),
+                    detail: item.detail,
+                    documentation: toMarkdownString(item.documentation),
+                    sortText: item.sortText,
+                    filterText: item.filterText,
+                    insertText: item.textEdit?.newText ?? item.insertText ?? item.label,
+                    insertTextRules: item.insertTextFormat === 2 ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet : undefined,
+                    range: toCompletionRange(item.textEdit),
+                    additionalTextEdits: item.additionalTextEdits?.map(e => ({ range: toMonacoRange(e.range), text: e.newText })),
+                    command: item.command && { id: item.command.command, title: item.command.title, arguments: item.command.arguments },
+                })),
+            };
+        },
+    }));
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerHoverProvider.html
+    disposables.add(monaco.languages.registerHoverProvider(languageId, {
+        provideHover: async (model, position) => {
+            const { services, documents } = await getDocuments(model);
+            const document = documents.getDocumentAt(model.getOffsetAt(position));
+            if (!document) {
+                return null;
+            }
+
+            const result = document.languageId === 'css'
+                ? services.css.doHover(document.textDocument, toLspPosition(position), document.parsed)
+                : services.html.doHover(document.textDocument, toLspPosition(position), document.parsed);
+
+            if (!result) {
+                return null;
+            }
+
+            const contents = Array.isArray(result.contents) ? result.contents : [result.contents];
+            return {
+                contents: contents.map(toMarkdownString),
+                range: result.range && toMonacoRange(result.range),
+            };
+        },
+    }));
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerColorProvider.html
+    disposables.add(monaco.languages.registerColorProvider(languageId, {
+        provideDocumentColors: async (model) => {
+            const { services, documents } = await getDocuments(model);
+            const document = documents.css;
+            if (!document) {
+                return [];
+            }
+
+            return services.css.findDocumentColors(document.textDocument, document.parsed)
+                .map(c => ({ color: c.color, range: toMonacoRange(c.range) }));
+        },
+        provideColorPresentations: async (model, colorInfo) => {
+            const { services, documents } = await getDocuments(model);
+            const document = documents.css;
+            if (!document) {
+                return [];
+            }
+
+            return services.css.getColorPresentations(document.textDocument, document.parsed, colorInfo.color, toLspRange(colorInfo.range))
+                .map(p => ({
+                    label: p.label,
+                    textEdit: p.textEdit && { range: toMonacoRange(p.textEdit.range), text: p.textEdit.newText },
+                    additionalTextEdits: p.additionalTextEdits?.map(e => ({ range: toMonacoRange(e.range), text: e.newText })),
+                }));
+        },
+    }));
+
+    return disposables;
+}
+
+export function registerInlayHintsProvider(language, inlayHintsProvider) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerInlayHintsProvider.html
+    return monaco.languages.registerInlayHintsProvider(JSON.parse(language), {
+        provideInlayHints: async (model, range, token) => {
+            const tokenRef = wrapToken(token);
+            try {
+                const result = JSON.parse(await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideInlayHintsAsync',
+                    inlayHintsProvider, decodeURI(model.uri.toString()), JSON.stringify(range), tokenRef));
+
+                if (result === null) {
+                    throw new Error('busy');
+                }
+
+                return { hints: result, dispose: () => { } };
+            } catch (e) {
+                console.error(e);
+                throw e;
+            } finally {
+                DotNet.disposeJSObjectReference(tokenRef);
+            }
+        },
+    });
+}
+
+/**
+ * @param {string} language
+ * @param {string[]} autoFormatTriggerCharacters
+ */
+export function registerFormattingProvider(language, autoFormatTriggerCharacters, formattingProvider) {
+    const disposables = new DisposableList();
+    const languageParsed = JSON.parse(language);
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerDocumentFormattingEditProvider.html
+    disposables.add(monaco.languages.registerDocumentFormattingEditProvider(languageParsed, {
+        provideDocumentFormattingEdits: (model, options, token) => {
+            return provideEdits(model, null, null, false, token);
+        },
+    }));
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerDocumentRangeFormattingEditProvider.html
+    disposables.add(monaco.languages.registerDocumentRangeFormattingEditProvider(languageParsed, {
+        provideDocumentRangeFormattingEdits: (model, range, options, token) => {
+            return provideEdits(model, model.getOffsetAt(range.getStartPosition()), model.getOffsetAt(range.getEndPosition()), false, token);
+        },
+    }));
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerOnTypeFormattingEditProvider.html
+    disposables.add(monaco.languages.registerOnTypeFormattingEditProvider(languageParsed, {
+        autoFormatTriggerCharacters: autoFormatTriggerCharacters,
+        provideOnTypeFormattingEdits: (model, position, ch, options, token) => {
+            // Format the statement or member ended by the typed character.
+            const offset = model.getOffsetAt(position);
+            return provideEdits(model, offset - ch.length, offset, true, token);
+        },
+    }));
+
+    return disposables;
+
+    async function provideEdits(model, start, end, onType, token) {
+        const tokenRef = wrapToken(token);
+        try {
+            const versionId = model.getAlternativeVersionId();
+            const code = model.getValue();
+            const formatted = await DotNet.invokeMethodAsync('DotNetLab.App', 'ProvideFormattingAsync',
+                formattingProvider, decodeURI(model.uri.toString()), code, start, end, onType, tokenRef);
+
+            if (versionId != model.getAlternativeVersionId()) {
+                throw new Error('busy');
+            }
+
+            if (formatted === null || formatted === code) {
+                return [];
+            }
+
+            // Replace only the changed part so that cursor and scroll position are preserved.
+            let prefix = 0;
+            const maxPrefix = Math.min(code.length, formatted.length);
+            while (prefix < maxPrefix && code[prefix] === formatted[prefix]) {
+                prefix++;
+            }
+
+            let suffix = 0;
+            const maxSuffix = maxPrefix - prefix;
+            while (suffix < maxSuffix && code[code.length - 1 - suffix] === formatted[formatted.length - 1 - suffix]) {
+                suffix++;
+            }
+
+            const startPosition = model.getPositionAt(prefix);
+            const endPosition = model.getPositionAt(code.length - suffix);
+            return [{
+                range: new monaco.Range(
+                    startPosition.lineNumber, startPosition.column,
+                    endPosition.lineNumber, endPosition.column),
+                text: formatted.substring(prefix, formatted.length - suffix),
+            }];
+        } catch (e) {
+            console.error(e);
+            throw e;
+        } finally {
+            DotNet.disposeJSObjectReference(tokenRef);
+        }
+    }
+}
+
+export function registerLanguage(languageId) {
+    monaco.languages.register({ id: languageId });
+    monaco.languages.setLanguageConfiguration(languageId, {
+        folding: {
+            offSide: true,
+        },
+    });
+}
+
+/**
+ * @param {string} diffEditorId
+ * @param {'next' | 'previous'} target
+ */
+export function goToDiff(diffEditorId, target) {
+    /** @type {monaco.editor.IStandaloneDiffEditor} */
+    const diffEditor = window.blazorMonaco.editor.getEditor(diffEditorId);
+    diffEditor.goToDiff(target);
+    diffEditor.focus();
+}
+
+export function hasDarkTheme(editorId) {
+    const editor = window.blazorMonaco.editor.getEditor(editorId);
+    const theme = editor.getRawOptions().theme;
+    return Boolean(theme) && theme.includes('dark');
+}
+
+/**
+ * Fills in properties which Monaco expects to be always present
+ * (but we omit them from the JSON when empty).
+ */
+function reviveDocumentSymbols(symbols) {
+    for (const symbol of symbols) {
+        symbol.kind ??= 0;
+        symbol.detail ??= '';
+        symbol.tags ??= [];
+        if (symbol.children) {
+            reviveDocumentSymbols(symbol.children);
+        }
+    }
+
+    return symbols;
+}
+
+/**
+ * Converts resource URI strings coming from .NET into {@link monaco.Uri}s in place.
+ */
+function reviveWorkspaceEdit(workspaceEdit) {
+    for (const edit of workspaceEdit?.edits ?? []) {
+        edit.resource = monaco.Uri.parse(edit.resource);
+    }
+}
+
+const razorComment = /@\*[\s\S]*?(?:\*@|$)/y;
+const razorDirective = /@(?:addTagHelper|attribute|implements|inherits|inject|layout|model|namespace|page|preservewhitespace|rendermode|typeparam|using)\b[^\n]*/y;
+const razorControlFlow = /@(?:if|else|for|foreach|while|do|switch|try|catch|finally|lock)\b[^{\n]*\{?/y;
+const razorCodeBlock = /@(?:code|functions)?\s*\{/y;
+const razorExplicitExpression = /@\(/y;
+const razorImplicitExpression = /@(?:await\s+)?[A-Za-z_]\w*(?:\??\.[A-Za-z_]\w*|\([^)\n]*\)|\[[^\]\n]*\])*/y;
+
+/**
+ * Splits a Razor file into an HTML and a CSS document of the same shape
+ * (C# is replaced with spaces, so positions map one to one).
+ * Approximate: e.g., braces in C# character literals confuse it.
+ */
+class RazorEmbeddedDocuments {
+    /**
+     * @param {monaco.editor.ITextModel} model
+     */
+    constructor(services, model) {
+        const text = model.getValue();
+        const uri = model.uri.toString();
+        this.versionId = model.getVersionId();
+
+        /** @type {[number, number][]} */
+        this.styleRanges = [];
+        for (const match of text.matchAll(/(<style\b[^>]*>)([\s\S]*?)<\/style\s*>/gi)) {
+            const start = match.index + match[1].length;
+            this.styleRanges.push([start, start + match[2].length]);
+        }
+
+        /** @type {[number, number][]} */
+        this.codeRanges = [];
+        const chars = text.split('');
+        const blank = (start, end) => {
+            for (let i = start; i < end; i++) {
+                if (chars[i] !== '\n' && chars[i] !== '\r') {
+                    chars[i] = ' ';
+                }
+            }
+
+            this.codeRanges.push([start, end]);
+        };
+
+        let i = 0;
+        while ((i = text.indexOf('@', i)) >= 0) {
+            if (text[i + 1] === '@') {
+                // Escaped `@@`.
+                chars[i] = ' ';
+                i += 2;
+            } else if (i > 0 && /\w/.test(text[i - 1])) {
+                // E-mail address.
+                i++;
+            } else {
+                const end = getRazorCodeEnd(text, i);
+                blank(i, end);
+                i = Math.max(end, i + 1);
+            }
+        }
+
+        // Closing braces of control flow blocks (e.g., `} else {`) are on their own lines.
+        for (const match of text.matchAll(/^[ \t]*\}[^<\n]*$/gm)) {
+            if (!isInRanges(this.codeRanges, match.index) && !isInRanges(this.styleRanges, match.index)) {
+                blank(match.index, match.index + match[0].length);
+            }
+        }
+
+        const html = chars.join('');
+        const htmlDocument = services.createDocument(uri, 'html', this.versionId, html);
+        this.html = { languageId: 'html', textDocument: htmlDocument, parsed: services.html.parseHTMLDocument(htmlDocument) };
+
+        if (this.styleRanges.length === 0) {
+            this.css = null;
+        } else {
+            const css = Array.from(html, (c, i) => c === '\n' || c === '\r' || isInRanges(this.styleRanges, i) ? c : ' ').join('');
+            const cssDocument = services.createDocument(uri, 'css', this.versionId, css);
+            this.css = { languageId: 'css', textDocument: cssDocument, parsed: services.css.parseStylesheet(cssDocument) };
+        }
+    }
+
+    /**
+     * @param {number} offset
+     * @returns The embedded document at {@link offset} or `null` if it is in C#.
+     */
+    getDocumentAt(offset) {
+        // The end is inclusive (the caret can be right after an expression like `@Name`).
+        if (this.codeRanges.some(([start, end]) => start < offset && offset <= end)) {
+            return null;
+        }
+
+        if (this.css && this.styleRanges.some(([start, end]) => start <= offset && offset <= end)) {
+            return this.css;
+        }
+
+        return this.html;
+    }
+}
+
+/**
+ * @param {string} text
+ * @param {number} start Position of `@`.
+ * @returns End of the C# which starts at {@link start} (or {@link start} if there is none).
+ */
+function getRazorCodeEnd(text, start) {
+    const match = (regex) => {
+        regex.lastIndex = start;
+        return regex.exec(text);
+    };
+
+    let m;
+    if ((m = match(razorComment)) || (m = match(razorDirective)) || (m = match(razorControlFlow))) {
+        return start + m[0].length;
+    }
+
+    if ((m = match(razorCodeBlock))) {
+        return findClosing(text, start + m[0].length - 1, '{', '}');
+    }
+
+    if (match(razorExplicitExpression)) {
+        return findClosing(text, start + 1, '(', ')');
+    }
+
+    if ((m = match(razorImplicitExpression))) {
+        return start + m[0].length;
+    }
+
+    return start;
+}
+
+/**
+ * @param {string} text
+ * @param {number} index Position of the opening character.
+ * @returns Position after the matching closing character (strings are skipped).
+ */
+function findClosing(text, index, open, close) {
+    let depth = 0;
+    for (let i = index; i < text.length; i++) {
+        const c = text[i];
+        if (c === '"') {
+            for (i++; i < text.length && text[i] !== '"' && text[i] !== '\n'; i++) {
+                if (text[i] === '\\') {
+                    i++;
+                }
+            }
+        } else if (c === open) {
+            depth++;
+        } else if (c === close && --depth === 0) {
+            return i + 1;
+        }
+    }
+
+    return text.length;
+}
+
+/**
+ * @param {[number, number][]} ranges
+ * @param {number} offset
+ */
+function isInRanges(ranges, offset) {
+    return ranges.some(([start, end]) => start <= offset && offset < end);
+}
+
+/**
+ * @param {monaco.IPosition} position
+ */
+function toLspPosition(position) {
+    return { line: position.lineNumber - 1, character: position.column - 1 };
+}
+
+/**
+ * @param {monaco.IRange} range
+ */
+function toLspRange(range) {
+    return {
+        start: { line: range.startLineNumber - 1, character: range.startColumn - 1 },
+        end: { line: range.endLineNumber - 1, character: range.endColumn - 1 },
+    };
+}
+
+function toMonacoRange(range) {
+    return new monaco.Range(range.start.line + 1, range.start.character + 1, range.end.line + 1, range.end.character + 1);
+}
+
+/**
+ * Converts LSP `TextEdit` or `InsertReplaceEdit` (missing range means Monaco uses the current word).
+ */
+function toCompletionRange(edit) {
+    if (!edit) {
+        return undefined;
+    }
+
+    if (edit.range) {
+        return toMonacoRange(edit.range);
+    }
+
+    return { insert: toMonacoRange(edit.insert), replace: toMonacoRange(edit.replace) };
+}
+
+/**
+ * Names of LSP completion item kinds (their numbering differs from Monaco's).
+ */
+const lspCompletionItemKinds = [
+    'Text', 'Method', 'Function', 'Constructor', 'Field', 'Variable', 'Class', 'Interface', 'Module', 'Property',
+    'Unit', 'Value', 'Enum', 'Keyword', 'Snippet', 'Color', 'File', 'Reference', 'Folder', 'EnumMember',
+    'Constant', 'Struct', 'Event', 'Operator', 'TypeParameter',
+];
+
+function toCompletionItemKind(kind) {
+    return monaco.languages.CompletionItemKind[lspCompletionItemKinds[kind - 1]] ?? monaco.languages.CompletionItemKind.Property;
+}
+
+/**
+ * Converts LSP `MarkupContent` or `MarkedString`.
+ * @returns {monaco.IMarkdownString | undefined}
+ */
+function toMarkdownString(content) {
+    if (!content) {
+        return undefined;
+    }
+
+    if (typeof content === 'string') {
+        return { value: content };
+    }
+
+    if ('language' in content) {
+        return { value: '```' + content.language + '\n' + content.value + '\n```' };
+    }
+
+    return { value: content.value };
 }
 
 function wrapToken(token) {
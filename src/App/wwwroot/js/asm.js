@@ -4,6 +4,49 @@
  * @import { monaco } from 'monaco-editor'
  */
 
+import { formatX86Instruction, getX86Instruction, getX86Instructions } from './x86-reference.js';
+
+// Comments emitted by the .NET JIT (shared by all grammars), e.g.,
+// `;; size=13 bbWeight=1 PerfScore 3.25`, `; gcrRegs +[rax]`, `; [V01 loc0]`, `; bbWeight=1, gcrefRegs=0000 {}, byref`.
+
+/**
+ * Creates rules which tokenize the rest of a line as `token`
+ * (each rule has a variant which matches until the end of the line and leaves the comment state).
+ * @param {RegExp} regex
+ * @param {string} token
+ * @returns {monaco.languages.IMonarchLanguageRule[]}
+ */
+function jitCommentRule(regex, token) {
+    return [
+        [new RegExp(`(?:${regex.source})\\s*$`), { token, next: '@pop' }],
+        [regex, token]
+    ];
+}
+
+/** @type {Record<string, monaco.languages.IMonarchLanguageRule[]>} */
+const JitCommentStates = {
+    jitCommentStart: [
+        [/;+\s*$/, 'comment.jit.marker'],
+        [/;+/, { token: 'comment.jit.marker', next: '@jitComment' }]
+    ],
+
+    jitComment: [
+        // Local variable references (e.g., `[V01 loc0]`, `V00` in the frame layout)
+        ...jitCommentRule(/\[V\d+[^\]]*\]/, 'comment.jit.variable'),
+        ...jitCommentRule(/\bV\d+\b/, 'comment.jit.variable'),
+        // GC info (e.g., `gcrRegs +[rax]`, `byrefRegs=0000 {}`, `gcr arg pop 0`)
+        ...jitCommentRule(/\b(?:gcrRegs|byrRegs|gcrefRegs|byrefRegs|gcVars|gcr arg|byr arg|nogc|byref)\b=?/, 'comment.jit.gc'),
+        ...jitCommentRule(/[+-]\[[^\]]*\]/, 'comment.jit.gc'),
+        ...jitCommentRule(/\{[^}]*\}/, 'comment.jit.gc'),
+        // Block annotations (e.g., `size=`, `offset=`, `bbWeight=`, `PerfScore`)
+        ...jitCommentRule(/[A-Za-z]\w*=/, 'comment.jit.key'),
+        ...jitCommentRule(/\b(?:PerfScore|IG\d+)\b/, 'comment.jit.key'),
+        ...jitCommentRule(/\b(?:0x[0-9A-Fa-f]+|\d+(?:\.\d+)?)\b/, 'comment.jit.number'),
+        ...jitCommentRule(/[^\s\[\]{}=]+|[\[\]{}=]/, 'comment'),
+        ...jitCommentRule(/\s+/, 'comment')
+    ]
+};
+
 const X86Registers = [
     // General Purpose 32-bit
     'eax',
@@ -791,12 +834,14 @@ export const X86Language = {
         ],
 
         comment: [
-            [/[;#].*$/, 'comment'] // Allow comments after whitespace
+            { include: '@jitCommentStart' },
+            [/#.*$/, 'comment'] // Allow comments after whitespace
         ],
 
         whitespace: [
             [/[ \t\r\n]+/, 'white'],
-            [/[;#].*$/, 'comment'], // Allow comments after whitespace
+            { include: '@jitCommentStart' },
+            [/#.*$/, 'comment'], // Allow comments after whitespace
             [/^\s*%[a-zA-Z_]+.*$/, 'preprocessor'] // NASM preprocessor directives
         ],
 
@@ -812,7 +857,9 @@ export const X86Language = {
             [/@escapes/, 'string.escape'],
             [/\\./, 'string.escape.invalid'],
             [/'/, { token: 'string.quote', bracket: '@close', next: '@pop' }]
-        ]
+        ],
+
+        ...JitCommentStates
     } // tokenizer
 }
 
@@ -850,8 +897,840 @@ export const X86LanguageConfiguration = {
     }
 }
 
+// AT&T syntax variant (e.g., `movq %rsp, %rbp`, `addl $0x10, -8(%rbp,%rcx,4)`).
+
+const X86AttInstructions = [
+    ...X86Instructions.flatMap(i => [i, `${i}b`, `${i}w`, `${i}l`, `${i}q`]),
+    // Extensions and conversions which have different mnemonics in AT&T syntax
+    'movzbw',
+    'movzbl',
+    'movzbq',
+    'movzwl',
+    'movzwq',
+    'movsbw',
+    'movsbl',
+    'movsbq',
+    'movswl',
+    'movswq',
+    'movslq',
+    'cbtw',
+    'cwtl',
+    'cltq',
+    'cwtd',
+    'cltd',
+    'cqto'
+]
+
+/** @type {monaco.languages.IMonarchLanguage} */
+export const X86AttLanguage = {
+    ignoreCase: true,
+
+    registers: X86Registers.map(r => `%${r}`),
+
+    instructions: X86AttInstructions,
+
+    tokenizer: {
+        root: [
+            // Labels definition (identifier followed by a colon)
+            [/^[ \t]*[a-zA-Z_$.][\w$.]*:/, 'tag.label'],
+
+            // Registers (e.g., `%rax`)
+            [
+                /%[a-zA-Z][a-zA-Z0-9]*/,
+                {
+                    cases: {
+                        '@registers': 'variable.predefined',
+                        '@default': 'identifier'
+                    }
+                }
+            ],
+
+            // Immediates (e.g., `$0x10`, `$-8`, `$symbol`)
+            [/\$-?0[xX][0-9a-fA-F]+/, 'number.hex'],
+            [/\$-?\d+/, 'number'],
+            [/\$[a-zA-Z_.][\w.]*/, 'number'],
+
+            // Mnemonics (including size suffixes like `movq`) and directives (e.g., `.text`)
+            [
+                /[a-zA-Z_.][\w.]*/,
+                {
+                    cases: {
+                        '@instructions': 'keyword.instruction',
+                        '\\..*': 'keyword',
+                        '@default': 'identifier'
+                    }
+                }
+            ],
+
+            { include: '@whitespace' },
+
+            // Displacements and memory operands (e.g., `-8(%rbp,%rcx,4)`)
+            [/-?0[xX][0-9a-fA-F]+/, 'number.hex'],
+            [/-?\d+/, 'number'],
+            [/[()]/, '@brackets'],
+            [/\*/, 'operator'], // Indirect jumps and calls (e.g., `jmp *%rax`)
+            [/,/, 'delimiter.comma']
+        ],
+
+        whitespace: [
+            [/[ \t\r\n]+/, 'white'],
+            { include: '@jitCommentStart' },
+            [/#.*$/, 'comment']
+        ],
+
+        ...JitCommentStates
+    }
+}
+
 export function registerX86Language() {
-    monaco.languages.register({ id: 'x86' });
-    monaco.languages.setMonarchTokensProvider('x86', X86Language);
-    monaco.languages.setLanguageConfiguration('x86', X86LanguageConfiguration);
+    // The syntax is detected from the text (see `JitAsmLanguage.GetLanguageId` in .NET).
+    registerX86Syntax('x86', X86Language);
+    registerX86Syntax('x86-att', X86AttLanguage);
+}
+
+/**
+ * @param {string} languageId
+ * @param {monaco.languages.IMonarchLanguage} language
+ */
+function registerX86Syntax(languageId, language) {
+    monaco.languages.register({ id: languageId });
+    monaco.languages.setMonarchTokensProvider(languageId, language);
+    monaco.languages.setLanguageConfiguration(languageId, X86LanguageConfiguration);
+    registerJitAsmStructureProviders(languageId);
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerHoverProvider.html
+    monaco.languages.registerHoverProvider(languageId, {
+        provideHover: (model, position) => {
+            const word = model.getWordAtPosition(position);
+            const info = word && getX86Instruction(word.word);
+            if (!info) {
+                return null;
+            }
+
+            return {
+                range: new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+                contents: [{ value: formatX86Instruction(word.word.toLowerCase(), info) }]
+            };
+        }
+    });
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerCompletionItemProvider.html
+    monaco.languages.registerCompletionItemProvider(languageId, {
+        provideCompletionItems: (model, position) => {
+            const word = model.getWordUntilPosition(position);
+            const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+            return {
+                suggestions: getX86Instructions().map(([mnemonic, info]) => ({
+                    label: mnemonic,
+                    kind: monaco.languages.CompletionItemKind.Keyword,
+                    detail: info.summary,
+                    documentation: { value: formatX86Instruction(mnemonic, info) },
+                    insertText: mnemonic,
+                    range
+                }))
+            };
+        }
+    });
+}
+
+// ARM64 (AArch64) as printed by the .NET JIT disassembler (e.g., `ldr x0, [x1, #0x08]`, `b.ne G_M000_IG04`).
+
+const Arm64Registers = [
+    // General purpose 64-bit and 32-bit (x0-x30, w0-w30)
+    ...Array.from({ length: 31 }, (_, i) => `x${i}`),
+    ...Array.from({ length: 31 }, (_, i) => `w${i}`),
+    // SIMD and floating point (v0-v31 and their scalar views)
+    ...['v', 'q', 'd', 's', 'h', 'b'].flatMap(prefix => Array.from({ length: 32 }, (_, i) => `${prefix}${i}`)),
+    // SVE vectors and predicates
+    ...Array.from({ length: 32 }, (_, i) => `z${i}`),
+    ...Array.from({ length: 16 }, (_, i) => `p${i}`),
+    // Special
+    'sp',
+    'wsp',
+    'xzr',
+    'wzr',
+    'fp',
+    'lr',
+    'ip0',
+    'ip1',
+    'pc',
+    'nzcv',
+    'fpcr',
+    'fpsr'
+]
+
+const Arm64ConditionCodes = [
+    'eq',
+    'ne',
+    'cs',
+    'hs',
+    'cc',
+    'lo',
+    'mi',
+    'pl',
+    'vs',
+    'vc',
+    'hi',
+    'ls',
+    'ge',
+    'lt',
+    'gt',
+    'le',
+    'al',
+    'nv'
+]
+
+const Arm64Instructions = [
+    // Data movement
+    'mov',
+    'movz',
+    'movn',
+    'movk',
+    'mvn',
+    'adr',
+    'adrp',
+    // Arithmetic
+    'add',
+    'adds',
+    'sub',
+    'subs',
+    'adc',
+    'adcs',
+    'sbc',
+    'sbcs',
+    'neg',
+    'negs',
+    'ngc',
+    'ngcs',
+    'mul',
+    'mneg',
+    'madd',
+    'msub',
+    'smull',
+    'umull',
+    'smulh',
+    'umulh',
+    'smaddl',
+    'umaddl',
+    'smsubl',
+    'umsubl',
+    'sdiv',
+    'udiv',
+    // Logical and bit manipulation
+    'and',
+    'ands',
+    'orr',
+    'orn',
+    'eor',
+    'eon',
+    'bic',
+    'bics',
+    'tst',
+    'lsl',
+    'lsr',
+    'asr',
+    'ror',
+    'clz',
+    'cls',
+    'rbit',
+    'rev',
+    'rev16',
+    'rev32',
+    'bfm',
+    'sbfm',
+    'ubfm',
+    'bfi',
+    'bfxil',
+    'sbfiz',
+    'sbfx',
+    'ubfiz',
+    'ubfx',
+    'extr',
+    'sxtb',
+    'sxth',
+    'sxtw',
+    'uxtb',
+    'uxth',
+    // Comparison and conditional
+    'cmp',
+    'cmn',
+    'ccmp',
+    'ccmn',
+    'csel',
+    'csinc',
+    'csinv',
+    'csneg',
+    'cset',
+    'csetm',
+    'cinc',
+    'cinv',
+    'cneg',
+    // Branches
+    'b',
+    'bl',
+    'br',
+    'blr',
+    'ret',
+    'cbz',
+    'cbnz',
+    'tbz',
+    'tbnz',
+    // Loads and stores
+    'ldr',
+    'ldrb',
+    'ldrh',
+    'ldrsb',
+    'ldrsh',
+    'ldrsw',
+    'ldur',
+    'ldurb',
+    'ldurh',
+    'ldursb',
+    'ldursh',
+    'ldursw',
+    'ldp',
+    'ldpsw',
+    'ldnp',
+    'str',
+    'strb',
+    'strh',
+    'stur',
+    'sturb',
+    'sturh',
+    'stp',
+    'stnp',
+    'ldar',
+    'ldarb',
+    'ldarh',
+    'ldapr',
+    'ldaprb',
+    'ldaprh',
+    'stlr',
+    'stlrb',
+    'stlrh',
+    'ldxr',
+    'ldaxr',
+    'stxr',
+    'stlxr',
+    'ldxp',
+    'ldaxp',
+    'stxp',
+    'stlxp',
+    'prfm',
+    // Atomics (LSE)
+    'cas',
+    'casa',
+    'casal',
+    'casl',
+    'casb',
+    'casab',
+    'casalb',
+    'caslb',
+    'cash',
+    'casah',
+    'casalh',
+    'caslh',
+    'swp',
+    'swpa',
+    'swpal',
+    'swpl',
+    'ldadd',
+    'ldadda',
+    'ldaddal',
+    'ldaddl',
+    'ldclr',
+    'ldclral',
+    'ldset',
+    'ldsetal',
+    'ldeor',
+    'ldeoral',
+    'stadd',
+    'staddl',
+    // System
+    'nop',
+    'brk',
+    'hlt',
+    'svc',
+    'dmb',
+    'dsb',
+    'isb',
+    'yield',
+    'mrs',
+    'msr',
+    'bti',
+    'paciasp',
+    'autiasp',
+    // Floating point
+    'fmov',
+    'fadd',
+    'fsub',
+    'fmul',
+    'fdiv',
+    'fmadd',
+    'fmsub',
+    'fnmadd',
+    'fnmsub',
+    'fnmul',
+    'fneg',
+    'fabs',
+    'fsqrt',
+    'fmax',
+    'fmin',
+    'fmaxnm',
+    'fminnm',
+    'fcmp',
+    'fcmpe',
+    'fccmp',
+    'fcsel',
+    'fcvt',
+    'fcvtzs',
+    'fcvtzu',
+    'fcvtas',
+    'fcvtau',
+    'fcvtms',
+    'fcvtmu',
+    'fcvtns',
+    'fcvtnu',
+    'fcvtps',
+    'fcvtpu',
+    'frinta',
+    'frinti',
+    'frintm',
+    'frintn',
+    'frintp',
+    'frintx',
+    'frintz',
+    'scvtf',
+    'ucvtf',
+    // SIMD
+    'ld1',
+    'ld2',
+    'ld3',
+    'ld4',
+    'ld1r',
+    'st1',
+    'st2',
+    'st3',
+    'st4',
+    'dup',
+    'ins',
+    'umov',
+    'smov',
+    'movi',
+    'mvni',
+    'ext',
+    'zip1',
+    'zip2',
+    'uzp1',
+    'uzp2',
+    'trn1',
+    'trn2',
+    'tbl',
+    'tbx',
+    'addv',
+    'addp',
+    'faddp',
+    'smaxv',
+    'sminv',
+    'umaxv',
+    'uminv',
+    'cmeq',
+    'cmge',
+    'cmgt',
+    'cmhi',
+    'cmhs',
+    'cmle',
+    'cmlt',
+    'cmtst',
+    'fcmeq',
+    'fcmge',
+    'fcmgt',
+    'bsl',
+    'bit',
+    'bif',
+    'not',
+    'cnt',
+    'xtn',
+    'xtn2',
+    'sxtl',
+    'sxtl2',
+    'uxtl',
+    'uxtl2',
+    'shl',
+    'sshr',
+    'ushr',
+    'sshl',
+    'ushl',
+    'mla',
+    'mls',
+    'abs',
+    'smax',
+    'smin',
+    'umax',
+    'umin',
+    'saddlv',
+    'uaddlv',
+    // Crypto and CRC
+    'aese',
+    'aesd',
+    'aesmc',
+    'aesimc',
+    'sha1h',
+    'sha256h',
+    'crc32b',
+    'crc32h',
+    'crc32w',
+    'crc32x',
+    'crc32cb',
+    'crc32ch',
+    'crc32cw',
+    'crc32cx'
+]
+
+const Arm64Shifts = [
+    'lsl',
+    'lsr',
+    'asr',
+    'ror',
+    'msl',
+    'uxtb',
+    'uxth',
+    'uxtw',
+    'uxtx',
+    'sxtb',
+    'sxth',
+    'sxtw',
+    'sxtx'
+]
+
+/** @type {monaco.languages.IMonarchLanguage} */
+export const Arm64Language = {
+    ignoreCase: true,
+
+    registers: Arm64Registers,
+
+    instructions: Arm64Instructions,
+
+    conditionCodes: Arm64ConditionCodes,
+
+    shifts: Arm64Shifts,
+
+    tokenizer: {
+        root: [
+            // Labels definition (e.g., `G_M000_IG01:`)
+            [/^[ \t]*[a-zA-Z_$.][\w$.]*:/, 'tag.label'],
+
+            // Conditional branches (e.g., `b.ne`)
+            [/^([ \t]*)(b)(\.)([a-zA-Z]{2})\b/, ['white', 'keyword.instruction', 'delimiter', 'keyword.condition']],
+
+            // Mnemonic is the first word on a line (so `lsl` or `sxtw` there is an instruction rather than an operand modifier)
+            [
+                /^([ \t]*)([a-zA-Z][a-zA-Z0-9]*)\b/,
+                [
+                    'white',
+                    {
+                        cases: {
+                            '@instructions': 'keyword.instruction',
+                            '@default': 'identifier'
+                        }
+                    }
+                ]
+            ],
+
+            { include: '@whitespace' },
+
+            // Vector arrangement or element (e.g., `v0.16b`, `v1.s[2]`)
+            [/([vz]\d+)(\.)(\d*[bhsdq])\b/, ['variable.predefined', 'delimiter', 'keyword.size']],
+
+            // Data directives in read-only data sections (e.g., `RWD00  dq 0x0000...`)
+            [/\b(db|dw|dd|dq)\b/, 'keyword'],
+
+            // Operands (registers, shifts and extends like `lsl #3` or `uxtw`, condition codes like in `csel x0, x1, x2, eq`)
+            [
+                /[a-zA-Z_$][\w$]*/,
+                {
+                    cases: {
+                        '@registers': 'variable.predefined',
+                        '@shifts': 'keyword.modifier',
+                        '@conditionCodes': 'keyword.condition',
+                        '@default': 'identifier'
+                    }
+                }
+            ],
+
+            // Immediates (e.g., `#0x10`, `#-8`, `#1.5`)
+            [/#-?0[xX][0-9a-fA-F]+/, 'number.hex'],
+            [/#-?\d+\.\d+(?:e[+-]?\d+)?/, 'number.float'],
+            [/#-?\d+/, 'number'],
+            [/0[xX][0-9a-fA-F]+/, 'number.hex'],
+            [/\d+/, 'number'],
+
+            // Addressing modes (`[x0, #8]!` is pre-index, `[x0], #8` is post-index)
+            [/[\[\]{}()]/, '@brackets'],
+            [/!/, 'operator'],
+            [/[+\-*]/, 'operator'],
+            [/,/, 'delimiter.comma']
+        ],
+
+        whitespace: [
+            [/[ \t\r\n]+/, 'white'],
+            { include: '@jitCommentStart' },
+            [/\/\/.*$/, 'comment']
+        ],
+
+        ...JitCommentStates
+    }
+}
+
+/** @type {monaco.languages.LanguageConfiguration} */
+export const Arm64LanguageConfiguration = {
+    comments: {
+        lineComment: ';'
+    },
+    brackets: [
+        ['{', '}'],
+        ['[', ']'],
+        ['(', ')']
+    ],
+    autoClosingPairs: [
+        { open: '{', close: '}' },
+        { open: '[', close: ']' },
+        { open: '(', close: ')' }
+    ],
+    surroundingPairs: [
+        { open: '{', close: '}' },
+        { open: '[', close: ']' },
+        { open: '(', close: ')' }
+    ]
+}
+
+export function registerArm64Language() {
+    monaco.languages.register({ id: 'arm64' });
+    monaco.languages.setMonarchTokensProvider('arm64', Arm64Language);
+    monaco.languages.setLanguageConfiguration('arm64', Arm64LanguageConfiguration);
+    registerJitAsmStructureProviders('arm64');
+}
+
+// Structure of JIT disassembly (shared by all architectures).
+
+const MethodHeaderRegex = /^; Assembly listing for method (.+?)(?: \(([A-Za-z][\w -]*)\))?\s*$/;
+const MethodFooterRegex = /^; Total bytes of code (\d+)(.*)$/;
+const LabelDefinitionRegex = /^([A-Za-z_]\w*):/;
+const DataLabelDefinitionRegex = /^(RWD\d+)\s/;
+const EpilogRegex = /\bepilog\b/i;
+
+/**
+ * @typedef {Object} JitAsmLabel
+ * @property {string} name
+ * @property {number} lineNumber One-based.
+ * @property {number} column One-based.
+ */
+
+/**
+ * @typedef {Object} JitAsmMethod
+ * @property {string} name
+ * @property {string | undefined} detail Optimization tier (e.g., `FullOpts` or `Tier0`).
+ * @property {number} startLineNumber One-based line number of the `; Assembly listing for method` header.
+ * @property {number} endLineNumber One-based line number of the last non-empty line of the method.
+ * @property {Map<string, JitAsmLabel>} labels Block labels (e.g., `G_M1234_IG05`) and data labels (e.g., `RWD00`).
+ * @property {string | undefined} summary Code size, prolog size, etc. from the footer which the JIT prints after each method.
+ */
+
+/** @type {WeakMap<monaco.editor.ITextModel, { versionId: number, methods: JitAsmMethod[] }>} */
+const jitAsmStructures = new WeakMap();
+
+/**
+ * Parses methods and labels of JIT disassembly (cached per model version).
+ * @param {monaco.editor.ITextModel} model
+ * @returns {JitAsmMethod[]}
+ */
+function getJitAsmMethods(model) {
+    const versionId = model.getVersionId();
+    const cached = jitAsmStructures.get(model);
+    if (cached?.versionId === versionId) {
+        return cached.methods;
+    }
+
+    /** @type {JitAsmMethod[]} */
+    const methods = [];
+    let epilogs = 0;
+    const lineCount = model.getLineCount();
+    for (let lineNumber = 1; lineNumber <= lineCount; lineNumber++) {
+        const line = model.getLineContent(lineNumber);
+
+        const header = MethodHeaderRegex.exec(line);
+        if (header) {
+            methods.push({
+                name: header[1],
+                detail: header[2],
+                startLineNumber: lineNumber,
+                endLineNumber: lineNumber,
+                labels: new Map(),
+                summary: undefined,
+            });
+            epilogs = 0;
+            continue;
+        }
+
+        const method = methods.at(-1);
+        if (!method) {
+            continue;
+        }
+
+        if (line.trim().length !== 0) {
+            method.endLineNumber = lineNumber;
+        }
+
+        const label = LabelDefinitionRegex.exec(line) ?? DataLabelDefinitionRegex.exec(line);
+        if (label) {
+            method.labels.set(label[1], { name: label[1], lineNumber, column: 1 });
+        }
+
+        if (line.startsWith('G_') && EpilogRegex.test(line)) {
+            epilogs++;
+        }
+
+        const footer = MethodFooterRegex.exec(line);
+        if (footer) {
+            // E.g., `; Total bytes of code 42, prolog size 4, PerfScore 5.50, instruction count 9, allocated bytes for code 42 (MethodHash=...) for method ...`.
+            const parts = [`${footer[1]} bytes of code`];
+            for (const [, key, value] of footer[2].matchAll(/, (prolog size|PerfScore|instruction count) ([\d.]+)/g)) {
+                parts.push(key === 'prolog size' ? `prolog ${value} bytes` : `${key} ${value}`);
+            }
+            if (epilogs > 0) {
+                parts.push(epilogs === 1 ? '1 epilog' : `${epilogs} epilogs`);
+            }
+            method.summary = parts.join(' · ');
+        }
+    }
+
+    jitAsmStructures.set(model, { versionId, methods });
+    return methods;
+}
+
+/**
+ * @param {monaco.editor.ITextModel} model
+ * @param {monaco.Position} position
+ * @returns {{ method: JitAsmMethod, label: JitAsmLabel } | null} The label under the cursor (its definition or a reference to it).
+ */
+function findJitAsmLabel(model, position) {
+    const word = model.getWordAtPosition(position);
+    if (!word) {
+        return null;
+    }
+
+    // Labels are looked up in the containing method because they are not unique across methods
+    // (e.g., `G_M000_IG01` in diffable disassembly).
+    const method = getJitAsmMethods(model).find(m => m.startLineNumber <= position.lineNumber && position.lineNumber <= m.endLineNumber);
+    const label = method?.labels.get(word.word);
+    return label ? { method, label } : null;
+}
+
+/**
+ * @param {JitAsmLabel} label
+ * @returns {monaco.Range}
+ */
+function getJitAsmLabelRange(label) {
+    return new monaco.Range(label.lineNumber, label.column, label.lineNumber, label.column + label.name.length);
+}
+
+/**
+ * Registers providers of outline, folding, navigation between branches and block labels, and method summaries.
+ * @param {string} languageId
+ */
+function registerJitAsmStructureProviders(languageId) {
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerDocumentSymbolProvider.html
+    monaco.languages.registerDocumentSymbolProvider(languageId, {
+        displayName: '.NET Lab',
+        provideDocumentSymbols: (model) => {
+            return getJitAsmMethods(model).map(method => {
+                const headerLength = model.getLineMaxColumn(method.startLineNumber);
+                return {
+                    name: method.name,
+                    detail: method.detail ?? '',
+                    kind: monaco.languages.SymbolKind.Method,
+                    tags: [],
+                    range: new monaco.Range(method.startLineNumber, 1, method.endLineNumber, model.getLineMaxColumn(method.endLineNumber)),
+                    selectionRange: new monaco.Range(method.startLineNumber, 1, method.startLineNumber, headerLength),
+                    children: [...method.labels.values()].map(label => ({
+                        name: label.name,
+                        detail: '',
+                        kind: monaco.languages.SymbolKind.Key,
+                        tags: [],
+                        range: getJitAsmLabelRange(label),
+                        selectionRange: getJitAsmLabelRange(label),
+                    })),
+                };
+            });
+        },
+    });
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerFoldingRangeProvider.html
+    monaco.languages.registerFoldingRangeProvider(languageId, {
+        provideFoldingRanges: (model) => {
+            return getJitAsmMethods(model)
+                .filter(method => method.startLineNumber < method.endLineNumber)
+                .map(method => ({ start: method.startLineNumber, end: method.endLineNumber }));
+        },
+    });
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerDefinitionProvider.html
+    monaco.languages.registerDefinitionProvider(languageId, {
+        provideDefinition: (model, position) => {
+            const found = findJitAsmLabel(model, position);
+            if (!found) {
+                return null;
+            }
+
+            return { uri: model.uri, range: getJitAsmLabelRange(found.label) };
+        },
+    });
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerReferenceProvider.html
+    monaco.languages.registerReferenceProvider(languageId, {
+        provideReferences: (model, position, context) => {
+            const found = findJitAsmLabel(model, position);
+            if (!found) {
+                return null;
+            }
+
+            const { method, label } = found;
+            const regex = new RegExp(`\\b${label.name}\\b`, 'g');
+            const result = [];
+            for (let lineNumber = method.startLineNumber; lineNumber <= method.endLineNumber; lineNumber++) {
+                const line = model.getLineContent(lineNumber);
+
+                // Skip comments (e.g., `; bbWeight=...` annotations).
+                const commentStart = line.indexOf(';');
+                const code = commentStart < 0 ? line : line.substring(0, commentStart);
+
+                for (const match of code.matchAll(regex)) {
+                    const column = match.index + 1;
+                    if (!context.includeDeclaration && lineNumber === label.lineNumber && column === label.column) {
+                        continue;
+                    }
+
+                    result.push({ uri: model.uri, range: new monaco.Range(lineNumber, column, lineNumber, column + label.name.length) });
+                }
+            }
+
+            return result;
+        },
+    });
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerCodeLensProvider.html
+    monaco.languages.registerCodeLensProvider(languageId, {
+        provideCodeLenses: (model) => {
+            return {
+                // Lenses without a command ID are displayed as plain text.
+                lenses: getJitAsmMethods(model)
+                    .filter(method => method.summary)
+                    .map(method => ({
+                        range: new monaco.Range(method.startLineNumber, 1, method.startLineNumber, 1),
+                        command: { id: '', title: method.summary },
+                    })),
+                dispose: () => { },
+            };
+        },
+    });
 }
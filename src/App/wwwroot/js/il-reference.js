@@ -0,0 +1,285 @@
+// Offline reference of CIL opcodes (ECMA-335, Partition III).
+
+/**
+ * @typedef {Object} ILOpcodeInfo
+ * @property {string} description
+ * @property {string} stack Stack transition (before → after, the top of the stack is on the right).
+ */
+
+/**
+ * @param {string} description
+ * @param {string} stack
+ * @returns {ILOpcodeInfo}
+ */
+function opcode(description, stack) {
+    return { description, stack };
+}
+
+const Binary = '…, value1, value2 → …, result';
+const Unary = '…, value → …, result';
+const Conversion = '…, value → …, result';
+const Push = '… → …, value';
+const Pop = '…, value → …';
+const None = '… → …';
+const CompareBranch = '…, value1, value2 → …';
+const ConditionalBranch = '…, value → …';
+
+/** @type {Record<string, ILOpcodeInfo>} */
+const ILOpcodes = {
+    // Base instructions
+    'add': opcode('Adds two values.', Binary),
+    'add.ovf': opcode('Adds two signed integers and throws `OverflowException` on overflow.', Binary),
+    'add.ovf.un': opcode('Adds two unsigned integers and throws `OverflowException` on overflow.', Binary),
+    'and': opcode('Computes the bitwise AND of two integers.', Binary),
+    'arglist': opcode('Pushes an argument list handle (`RuntimeArgumentHandle`) of the current vararg method.', '… → …, argListHandle'),
+    'beq': opcode('Branches to the target if the two values are equal.', CompareBranch),
+    'beq.s': opcode('Branches to the target (short form) if the two values are equal.', CompareBranch),
+    'bge': opcode('Branches to the target if `value1 >= value2`.', CompareBranch),
+    'bge.s': opcode('Branches to the target (short form) if `value1 >= value2`.', CompareBranch),
+    'bge.un': opcode('Branches to the target if `value1 >= value2` (unsigned or unordered).', CompareBranch),
+    'bge.un.s': opcode('Branches to the target (short form) if `value1 >= value2` (unsigned or unordered).', CompareBranch),
+    'bgt': opcode('Branches to the target if `value1 > value2`.', CompareBranch),
+    'bgt.s': opcode('Branches to the target (short form) if `value1 > value2`.', CompareBranch),
+    'bgt.un': opcode('Branches to the target if `value1 > value2` (unsigned or unordered).', CompareBranch),
+    'bgt.un.s': opcode('Branches to the target (short form) if `value1 > value2` (unsigned or unordered).', CompareBranch),
+    'ble': opcode('Branches to the target if `value1 <= value2`.', CompareBranch),
+    'ble.s': opcode('Branches to the target (short form) if `value1 <= value2`.', CompareBranch),
+    'ble.un': opcode('Branches to the target if `value1 <= value2` (unsigned or unordered).', CompareBranch),
+    'ble.un.s': opcode('Branches to the target (short form) if `value1 <= value2` (unsigned or unordered).', CompareBranch),
+    'blt': opcode('Branches to the target if `value1 < value2`.', CompareBranch),
+    'blt.s': opcode('Branches to the target (short form) if `value1 < value2`.', CompareBranch),
+    'blt.un': opcode('Branches to the target if `value1 < value2` (unsigned or unordered).', CompareBranch),
+    'blt.un.s': opcode('Branches to the target (short form) if `value1 < value2` (unsigned or unordered).', CompareBranch),
+    'bne.un': opcode('Branches to the target if the two values are not equal (unsigned or unordered).', CompareBranch),
+    'bne.un.s': opcode('Branches to the target (short form) if the two values are not equal (unsigned or unordered).', CompareBranch),
+    'br': opcode('Branches to the target unconditionally.', None),
+    'br.s': opcode('Branches to the target (short form) unconditionally.', None),
+    'break': opcode('Signals a breakpoint to the debugger.', None),
+    'brfalse': opcode('Branches to the target if the value is zero, `false` or `null`.', ConditionalBranch),
+    'brfalse.s': opcode('Branches to the target (short form) if the value is zero, `false` or `null`.', ConditionalBranch),
+    'brtrue': opcode('Branches to the target if the value is non-zero, `true` or a non-null reference.', ConditionalBranch),
+    'brtrue.s': opcode('Branches to the target (short form) if the value is non-zero, `true` or a non-null reference.', ConditionalBranch),
+    'call': opcode('Calls the method (non-virtually).', '…, arg0, arg1 … argN → …, retVal (not pushed for `void` methods)'),
+    'calli': opcode('Calls the method indicated by the function pointer with the given call-site signature.', '…, arg0, arg1 … argN, ftn → …, retVal (not pushed for `void` methods)'),
+    'ceq': opcode('Pushes 1 if the two values are equal, otherwise 0.', Binary),
+    'cgt': opcode('Pushes 1 if `value1 > value2`, otherwise 0.', Binary),
+    'cgt.un': opcode('Pushes 1 if `value1 > value2` (unsigned or unordered), otherwise 0. Also used for `obj != null`.', Binary),
+    'ckfinite': opcode('Throws `ArithmeticException` if the floating-point value is NaN or infinity.', '…, value → …, value'),
+    'clt': opcode('Pushes 1 if `value1 < value2`, otherwise 0.', Binary),
+    'clt.un': opcode('Pushes 1 if `value1 < value2` (unsigned or unordered), otherwise 0.', Binary),
+    'conv.i': opcode('Converts the value to `native int`.', Conversion),
+    'conv.i1': opcode('Converts the value to `int8` and extends it to `int32`.', Conversion),
+    'conv.i2': opcode('Converts the value to `int16` and extends it to `int32`.', Conversion),
+    'conv.i4': opcode('Converts the value to `int32`.', Conversion),
+    'conv.i8': opcode('Converts the value to `int64`.', Conversion),
+    'conv.ovf.i': opcode('Converts the signed value to `native int`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i.un': opcode('Converts the unsigned value to `native int`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i1': opcode('Converts the signed value to `int8` (extended to `int32`), throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i1.un': opcode('Converts the unsigned value to `int8` (extended to `int32`), throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i2': opcode('Converts the signed value to `int16` (extended to `int32`), throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i2.un': opcode('Converts the unsigned value to `int16` (extended to `int32`), throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i4': opcode('Converts the signed value to `int32`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i4.un': opcode('Converts the unsigned value to `int32`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i8': opcode('Converts the signed value to `int64`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.i8.un': opcode('Converts the unsigned value to `int64`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u': opcode('Converts the signed value to `native unsigned int`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u.un': opcode('Converts the unsigned value to `native unsigned int`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u1': opcode('Converts the signed value to `unsigned int8` (extended to `int32`), throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u1.un': opcode('Converts the unsigned value to `unsigned int8` (extended to `int32`), throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u2': opcode('Converts the signed value to `unsigned int16` (extended to `int32`), throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u2.un': opcode('Converts the unsigned value to `unsigned int16` (extended to `int32`), throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u4': opcode('Converts the signed value to `unsigned int32`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u4.un': opcode('Converts the unsigned value to `unsigned int32`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u8': opcode('Converts the signed value to `unsigned int64`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.ovf.u8.un': opcode('Converts the unsigned value to `unsigned int64`, throwing `OverflowException` on overflow.', Conversion),
+    'conv.r.un': opcode('Converts the unsigned integer to a floating-point value.', Conversion),
+    'conv.r4': opcode('Converts the value to `float32`.', Conversion),
+    'conv.r8': opcode('Converts the value to `float64`.', Conversion),
+    'conv.u': opcode('Converts the value to `native unsigned int` (zero-extending).', Conversion),
+    'conv.u1': opcode('Converts the value to `unsigned int8` and zero-extends it to `int32`.', Conversion),
+    'conv.u2': opcode('Converts the value to `unsigned int16` and zero-extends it to `int32`.', Conversion),
+    'conv.u4': opcode('Converts the value to `unsigned int32` (zero-extending).', Conversion),
+    'conv.u8': opcode('Converts the value to `unsigned int64` (zero-extending).', Conversion),
+    'cpblk': opcode('Copies `size` bytes from the source address to the destination address.', '…, destAddr, srcAddr, size → …'),
+    'div': opcode('Divides two values (signed integer or floating-point division).', Binary),
+    'div.un': opcode('Divides two unsigned integers.', Binary),
+    'dup': opcode('Duplicates the value on the top of the stack.', '…, value → …, value, value'),
+    'endfilter': opcode('Ends an exception filter; 1 means the handler should run, 0 means continue searching.', '…, value → …'),
+    'endfinally': opcode('Ends a `finally` or `fault` block.', None),
+    'endfault': opcode('Ends a `fault` block (same encoding as `endfinally`).', None),
+    'initblk': opcode('Sets `size` bytes at the address to the given value.', '…, addr, value, size → …'),
+    'jmp': opcode('Exits the current method and jumps to the specified method with the same arguments.', None),
+    'ldarg': opcode('Pushes the argument with the given index.', Push),
+    'ldarg.s': opcode('Pushes the argument with the given index (short form).', Push),
+    'ldarg.0': opcode('Pushes argument 0 (`this` for instance methods).', Push),
+    'ldarg.1': opcode('Pushes argument 1.', Push),
+    'ldarg.2': opcode('Pushes argument 2.', Push),
+    'ldarg.3': opcode('Pushes argument 3.', Push),
+    'ldarga': opcode('Pushes the address of the argument with the given index.', '… → …, address'),
+    'ldarga.s': opcode('Pushes the address of the argument with the given index (short form).', '… → …, address'),
+    'ldc.i4': opcode('Pushes the `int32` constant.', '… → …, num'),
+    'ldc.i4.s': opcode('Pushes the `int8` constant as `int32` (short form).', '… → …, num'),
+    'ldc.i4.m1': opcode('Pushes -1 as `int32`.', '… → …, -1'),
+    'ldc.i4.0': opcode('Pushes 0 as `int32`.', '… → …, 0'),
+    'ldc.i4.1': opcode('Pushes 1 as `int32`.', '… → …, 1'),
+    'ldc.i4.2': opcode('Pushes 2 as `int32`.', '… → …, 2'),
+    'ldc.i4.3': opcode('Pushes 3 as `int32`.', '… → …, 3'),
+    'ldc.i4.4': opcode('Pushes 4 as `int32`.', '… → …, 4'),
+    'ldc.i4.5': opcode('Pushes 5 as `int32`.', '… → …, 5'),
+    'ldc.i4.6': opcode('Pushes 6 as `int32`.', '… → …, 6'),
+    'ldc.i4.7': opcode('Pushes 7 as `int32`.', '… → …, 7'),
+    'ldc.i4.8': opcode('Pushes 8 as `int32`.', '… → …, 8'),
+    'ldc.i8': opcode('Pushes the `int64` constant.', '… → …, num'),
+    'ldc.r4': opcode('Pushes the `float32` constant.', '… → …, num'),
+    'ldc.r8': opcode('Pushes the `float64` constant.', '… → …, num'),
+    'ldftn': opcode('Pushes a function pointer to the method.', '… → …, ftn'),
+    'ldind.i': opcode('Loads a `native int` from the address.', '…, addr → …, value'),
+    'ldind.i1': opcode('Loads an `int8` from the address (extended to `int32`).', '…, addr → …, value'),
+    'ldind.i2': opcode('Loads an `int16` from the address (extended to `int32`).', '…, addr → …, value'),
+    'ldind.i4': opcode('Loads an `int32` from the address.', '…, addr → …, value'),
+    'ldind.i8': opcode('Loads an `int64` from the address.', '…, addr → …, value'),
+    'ldind.r4': opcode('Loads a `float32` from the address.', '…, addr → …, value'),
+    'ldind.r8': opcode('Loads a `float64` from the address.', '…, addr → …, value'),
+    'ldind.ref': opcode('Loads an object reference from the address.', '…, addr → …, value'),
+    'ldind.u1': opcode('Loads an `unsigned int8` from the address (zero-extended to `int32`).', '…, addr → …, value'),
+    'ldind.u2': opcode('Loads an `unsigned int16` from the address (zero-extended to `int32`).', '…, addr → …, value'),
+    'ldind.u4': opcode('Loads an `unsigned int32` from the address.', '…, addr → …, value'),
+    'ldloc': opcode('Pushes the local variable with the given index.', Push),
+    'ldloc.s': opcode('Pushes the local variable with the given index (short form).', Push),
+    'ldloc.0': opcode('Pushes local variable 0.', Push),
+    'ldloc.1': opcode('Pushes local variable 1.', Push),
+    'ldloc.2': opcode('Pushes local variable 2.', Push),
+    'ldloc.3': opcode('Pushes local variable 3.', Push),
+    'ldloca': opcode('Pushes the address of the local variable with the given index.', '… → …, address'),
+    'ldloca.s': opcode('Pushes the address of the local variable with the given index (short form).', '… → …, address'),
+    'ldnull': opcode('Pushes a `null` reference.', '… → …, null'),
+    'leave': opcode('Exits a protected region (`try` or `catch`), running `finally` blocks, and empties the evaluation stack.', '… → (empty)'),
+    'leave.s': opcode('Exits a protected region (`try` or `catch`) (short form), running `finally` blocks, and empties the evaluation stack.', '… → (empty)'),
+    'localloc': opcode('Allocates `size` bytes on the local stack frame (`stackalloc`).', 'size → address'),
+    'mul': opcode('Multiplies two values.', Binary),
+    'mul.ovf': opcode('Multiplies two signed integers and throws `OverflowException` on overflow.', Binary),
+    'mul.ovf.un': opcode('Multiplies two unsigned integers and throws `OverflowException` on overflow.', Binary),
+    'neg': opcode('Negates the value.', Unary),
+    'nop': opcode('Does nothing (emitted, e.g., for sequence points in debug builds).', None),
+    'not': opcode('Computes the bitwise complement of the integer.', Unary),
+    'or': opcode('Computes the bitwise OR of two integers.', Binary),
+    'pop': opcode('Removes the value from the top of the stack.', Pop),
+    'rem': opcode('Computes the remainder of signed integer or floating-point division.', Binary),
+    'rem.un': opcode('Computes the remainder of unsigned integer division.', Binary),
+    'ret': opcode('Returns from the method, with the return value if the method is not `void`.', '…, retVal → (empty) (without `retVal` for `void` methods)'),
+    'shl': opcode('Shifts the integer left by the given number of bits.', '…, value, shiftAmount → …, result'),
+    'shr': opcode('Shifts the integer right by the given number of bits (arithmetic, sign-propagating).', '…, value, shiftAmount → …, result'),
+    'shr.un': opcode('Shifts the integer right by the given number of bits (logical, zero-filling).', '…, value, shiftAmount → …, result'),
+    'starg': opcode('Stores the value to the argument with the given index.', Pop),
+    'starg.s': opcode('Stores the value to the argument with the given index (short form).', Pop),
+    'stind.i': opcode('Stores a `native int` at the address.', '…, addr, val → …'),
+    'stind.i1': opcode('Stores an `int8` at the address.', '…, addr, val → …'),
+    'stind.i2': opcode('Stores an `int16` at the address.', '…, addr, val → …'),
+    'stind.i4': opcode('Stores an `int32` at the address.', '…, addr, val → …'),
+    'stind.i8': opcode('Stores an `int64` at the address.', '…, addr, val → …'),
+    'stind.r4': opcode('Stores a `float32` at the address.', '…, addr, val → …'),
+    'stind.r8': opcode('Stores a `float64` at the address.', '…, addr, val → …'),
+    'stind.ref': opcode('Stores an object reference at the address.', '…, addr, val → …'),
+    'stloc': opcode('Pops the value into the local variable with the given index.', Pop),
+    'stloc.s': opcode('Pops the value into the local variable with the given index (short form).', Pop),
+    'stloc.0': opcode('Pops the value into local variable 0.', Pop),
+    'stloc.1': opcode('Pops the value into local variable 1.', Pop),
+    'stloc.2': opcode('Pops the value into local variable 2.', Pop),
+    'stloc.3': opcode('Pops the value into local variable 3.', Pop),
+    'sub': opcode('Subtracts `value2` from `value1`.', Binary),
+    'sub.ovf': opcode('Subtracts two signed integers and throws `OverflowException` on overflow.', Binary),
+    'sub.ovf.un': opcode('Subtracts two unsigned integers and throws `OverflowException` on overflow.', Binary),
+    'switch': opcode('Jumps to the target at the given (zero-based) index in the jump table, or falls through if the index is out of range.', '…, value → …'),
+    'xor': opcode('Computes the bitwise XOR of two integers.', Binary),
+
+    // Object model instructions
+    'box': opcode('Converts the value type to an object reference (boxes it).', '…, val → …, obj'),
+    'callvirt': opcode('Calls the method, virtually if it is virtual; also throws `NullReferenceException` if `this` is `null`.', '…, obj, arg1 … argN → …, returnVal (not pushed for `void` methods)'),
+    'castclass': opcode('Casts the object to the class, throwing `InvalidCastException` on failure.', '…, obj → …, obj2'),
+    'cpobj': opcode('Copies the value type from the source address to the destination address.', '…, dest, src → …'),
+    'initobj': opcode('Initializes the value type at the address to all zeros (`default`).', '…, dest → …'),
+    'isinst': opcode('Tests whether the object is an instance of the class; pushes the cast reference or `null`.', '…, obj → …, result'),
+    'ldelem': opcode('Loads the array element of the given type.', '…, array, index → …, value'),
+    'ldelem.i': opcode('Loads the `native int` array element.', '…, array, index → …, value'),
+    'ldelem.i1': opcode('Loads the `int8` array element (extended to `int32`).', '…, array, index → …, value'),
+    'ldelem.i2': opcode('Loads the `int16` array element (extended to `int32`).', '…, array, index → …, value'),
+    'ldelem.i4': opcode('Loads the `int32` array element.', '…, array, index → …, value'),
+    'ldelem.i8': opcode('Loads the `int64` array element.', '…, array, index → …, value'),
+    'ldelem.r4': opcode('Loads the `float32` array element.', '…, array, index → …, value'),
+    'ldelem.r8': opcode('Loads the `float64` array element.', '…, array, index → …, value'),
+    'ldelem.ref': opcode('Loads the object reference array element.', '…, array, index → …, value'),
+    'ldelem.u1': opcode('Loads the `unsigned int8` array element (zero-extended to `int32`).', '…, array, index → …, value'),
+    'ldelem.u2': opcode('Loads the `unsigned int16` array element (zero-extended to `int32`).', '…, array, index → …, value'),
+    'ldelem.u4': opcode('Loads the `unsigned int32` array element.', '…, array, index → …, value'),
+    'ldelema': opcode('Loads the address of the array element.', '…, array, index → …, address'),
+    'ldfld': opcode('Loads the value of the field of the object (or value type).', '…, obj → …, value'),
+    'ldflda': opcode('Loads the address of the field of the object (or value type).', '…, obj → …, address'),
+    'ldlen': opcode('Pushes the number of elements of the zero-based, one-dimensional array (as `native unsigned int`).', '…, array → …, length'),
+    'ldobj': opcode('Copies the value type from the address to the stack.', '…, src → …, val'),
+    'ldsfld': opcode('Pushes the value of the static field.', '… → …, value'),
+    'ldsflda': opcode('Pushes the address of the static field.', '… → …, address'),
+    'ldstr': opcode('Pushes a reference to the string literal.', '… → …, string'),
+    'ldtoken': opcode('Pushes the runtime handle of the metadata token (e.g., for `typeof`).', '… → …, RuntimeHandle'),
+    'ldvirtftn': opcode('Pushes a function pointer to the virtual method implementation of the object.', '…, object → …, ftn'),
+    'mkrefany': opcode('Creates a typed reference (`TypedReference`) from the address.', '…, ptr → …, typedRef'),
+    'newarr': opcode('Creates a zero-based, one-dimensional array of the given element type.', '…, numElems → …, array'),
+    'newobj': opcode('Allocates a new object (or value type) and calls the constructor.', '…, arg1, … argN → …, obj'),
+    'refanytype': opcode('Pushes the type token stored in the typed reference.', '…, typedRef → …, type'),
+    'refanyval': opcode('Pushes the address stored in the typed reference.', '…, typedRef → …, address'),
+    'rethrow': opcode('Rethrows the current exception (only in a `catch` block).', '… → …'),
+    'sizeof': opcode('Pushes the size, in bytes, of the type.', '… → …, size (4 bytes, unsigned)'),
+    'stelem': opcode('Stores the value to the array element of the given type.', '…, array, index, value → …'),
+    'stelem.i': opcode('Stores the `native int` value to the array element.', '…, array, index, value → …'),
+    'stelem.i1': opcode('Stores the `int8` value to the array element.', '…, array, index, value → …'),
+    'stelem.i2': opcode('Stores the `int16` value to the array element.', '…, array, index, value → …'),
+    'stelem.i4': opcode('Stores the `int32` value to the array element.', '…, array, index, value → …'),
+    'stelem.i8': opcode('Stores the `int64` value to the array element.', '…, array, index, value → …'),
+    'stelem.r4': opcode('Stores the `float32` value to the array element.', '…, array, index, value → …'),
+    'stelem.r8': opcode('Stores the `float64` value to the array element.', '…, array, index, value → …'),
+    'stelem.ref': opcode('Stores the object reference to the array element (with an array covariance check).', '…, array, index, value → …'),
+    'stfld': opcode('Stores the value to the field of the object (or value type).', '…, obj, value → …'),
+    'stobj': opcode('Copies the value type from the stack to the address.', '…, dest, src → …'),
+    'stsfld': opcode('Stores the value to the static field.', Pop),
+    'throw': opcode('Throws the exception object.', '…, object → …'),
+    'unbox': opcode('Pushes the address of the value type inside the boxed object.', '…, obj → …, valueTypePtr'),
+    'unbox.any': opcode('Extracts the value from the boxed object (or casts it for reference types).', '…, obj → …, value or obj'),
+
+    // Prefixes
+    'constrained.': opcode('Prefix: the next `callvirt` is invoked on a `this` pointer of the given type (avoiding boxing for value types).', '…, ptr, arg1, … argN → …, ptr, arg1, … argN'),
+    'no.': opcode('Prefix: the following instruction may skip the given type, range or null checks.', None),
+    'readonly.': opcode('Prefix: the following `ldelema` returns a controlled-mutability (read-only) address, skipping the type check.', None),
+    'tail.': opcode('Prefix: the following call is a tail call (the current frame is removed before the call).', None),
+    'unaligned.': opcode('Prefix: the address of the following load or store may not be naturally aligned.', '…, addr → …, addr'),
+    'volatile.': opcode('Prefix: the following memory access is volatile.', '…, addr → …, addr')
+};
+
+/**
+ * Gets the reference entry for an opcode (case-insensitive), if known.
+ * @param {string} name
+ * @returns {ILOpcodeInfo | undefined}
+ */
+export function getILOpcode(name) {
+    const key = name.toLowerCase();
+    return Object.hasOwn(ILOpcodes, key) ? ILOpcodes[key] : undefined;
+}
+
+/**
+ * @returns {string[]}
+ */
+export function getILOpcodeNames() {
+    return Object.keys(ILOpcodes);
+}
+
+/**
+ * Formats the reference entry as markdown.
+ * @param {string} name
+ * @param {ILOpcodeInfo} info
+ * @returns {string}
+ */
+export function formatILOpcode(name, info) {
+    return [
+        `**${name}**`,
+        info.description,
+        `**Stack transition:** ${info.stack}`
+    ].join('\n\n');
+}
@@ -0,0 +1,347 @@
+// ILAsm as printed by the ILSpy `ReflectionDisassembler` (used for the IL output).
+
+/**
+ * @import { monaco } from 'monaco-editor'
+ */
+
+import { formatILOpcode, getILOpcode, getILOpcodeNames } from './il-reference.js';
+
+const ILDirectives = [
+    '.addon',
+    '.assembly',
+    '.cctor',
+    '.class',
+    '.corflags',
+    '.ctor',
+    '.custom',
+    '.data',
+    '.emitbyte',
+    '.entrypoint',
+    '.event',
+    '.export',
+    '.field',
+    '.file',
+    '.fire',
+    '.get',
+    '.hash',
+    '.imagebase',
+    '.interfaceimpl',
+    '.line',
+    '.locals',
+    '.maxstack',
+    '.method',
+    '.module',
+    '.mresource',
+    '.namespace',
+    '.other',
+    '.override',
+    '.pack',
+    '.param',
+    '.permission',
+    '.permissionset',
+    '.property',
+    '.publickey',
+    '.publickeytoken',
+    '.removeon',
+    '.set',
+    '.size',
+    '.stackreserve',
+    '.subsystem',
+    '.try',
+    '.ver',
+    '.vtentry',
+    '.vtfixup'
+]
+
+const ILKeywords = [
+    // Visibility and member attributes
+    'abstract',
+    'assembly',
+    'auto',
+    'ansi',
+    'beforefieldinit',
+    'explicit',
+    'extends',
+    'famandassem',
+    'family',
+    'famorassem',
+    'final',
+    'hidebysig',
+    'implements',
+    'initonly',
+    'interface',
+    'literal',
+    'nested',
+    'newslot',
+    'private',
+    'privatescope',
+    'public',
+    'rtspecialname',
+    'sealed',
+    'sequential',
+    'serializable',
+    'specialname',
+    'static',
+    'strict',
+    'unicode',
+    'virtual',
+    // Method attributes and calling conventions
+    'aggressiveinlining',
+    'cil',
+    'default',
+    'forwardref',
+    'instance',
+    'internalcall',
+    'managed',
+    'native',
+    'noinlining',
+    'nooptimization',
+    'pinvokeimpl',
+    'preservesig',
+    'runtime',
+    'synchronized',
+    'unmanaged',
+    'vararg',
+    // Signatures and constraints
+    'class',
+    'valuetype',
+    'method',
+    'field',
+    'modopt',
+    'modreq',
+    'pinned',
+    'byreflike',
+    'const',
+    'in',
+    'out',
+    'opt',
+    'init',
+    'extern',
+    'retargetable',
+    'windowsruntime',
+    // Exception handling
+    'catch',
+    'fault',
+    'filter',
+    'finally',
+    'handler',
+    'to',
+    // Literals
+    'nullref',
+    'true',
+    'false'
+]
+
+const ILTypes = [
+    'void',
+    'bool',
+    'char',
+    'int8',
+    'int16',
+    'int32',
+    'int64',
+    'uint8',
+    'uint16',
+    'uint32',
+    'uint64',
+    'unsigned',
+    'float32',
+    'float64',
+    'string',
+    'object',
+    'typedref',
+    'int',
+    'uint'
+]
+
+/** @type {monaco.languages.IMonarchLanguage} */
+export const ILLanguage = {
+    directives: ILDirectives,
+
+    keywords: ILKeywords,
+
+    types: ILTypes,
+
+    opcodes: getILOpcodeNames(),
+
+    tokenizer: {
+        root: [
+            { include: '@whitespace' },
+
+            // Offsets (`IL_001a:` label definitions and branch targets)
+            [/IL_[0-9a-fA-F]+:/, 'tag.label'],
+            [/IL_[0-9a-fA-F]+/, 'tag'],
+
+            // Directives (e.g., `.method`, `.locals`) and special names (e.g., `.ctor`)
+            [
+                /\.[a-z]+/,
+                {
+                    cases: {
+                        '@directives': 'keyword.directive',
+                        '@default': 'identifier'
+                    }
+                }
+            ],
+
+            // Opcodes (e.g., `ldc.i4.s`, `constrained.`), keywords and built-in types
+            [
+                /[a-zA-Z_][\w]*(?:\.[a-zA-Z0-9]+)*\.?/,
+                {
+                    cases: {
+                        '@opcodes': 'keyword.opcode',
+                        '@types': 'type',
+                        '@keywords': 'keyword',
+                        '@default': 'identifier'
+                    }
+                }
+            ],
+
+            // Assembly references (e.g., `[System.Runtime]`)
+            [/\[[\w.\-]+\](?=\s*[\w'<])/, 'annotation'],
+
+            // Generic parameters (e.g., `!0`, `!!T`)
+            [/!!?\w+/, 'type'],
+
+            // Quoted identifiers (e.g., `'<Main>$'`) and strings
+            [/'[^']*'/, 'identifier'],
+            [/"([^"\\]|\\.)*"/, 'string'],
+
+            // Numbers
+            [/0x[0-9a-fA-F]+/, 'number.hex'],
+            [/-?\d+\.\d+(?:[eE][+-]?\d+)?/, 'number.float'],
+            [/-?\d+/, 'number'],
+
+            // Delimiters (`::` separates types from members)
+            [/::/, 'delimiter'],
+            [/[{}()\[\]<>]/, '@brackets'],
+            [/[,:&*=]/, 'delimiter']
+        ],
+
+        whitespace: [
+            [/[ \t\r\n]+/, 'white'],
+            [/\/\*/, 'comment', '@comment'],
+            [/\/\/.*$/, 'comment']
+        ],
+
+        comment: [
+            [/[^/*]+/, 'comment'],
+            [/\*\//, 'comment', '@pop'],
+            [/[/*]/, 'comment']
+        ]
+    }
+}
+
+/** @type {monaco.languages.LanguageConfiguration} */
+export const ILLanguageConfiguration = {
+    comments: {
+        lineComment: '//',
+        blockComment: ['/*', '*/']
+    },
+    brackets: [
+        ['{', '}'],
+        ['[', ']'],
+        ['(', ')']
+    ],
+    autoClosingPairs: [
+        { open: '{', close: '}' },
+        { open: '[', close: ']' },
+        { open: '(', close: ')' },
+        { open: '"', close: '"' },
+        { open: "'", close: "'" }
+    ],
+    surroundingPairs: [
+        { open: '{', close: '}' },
+        { open: '[', close: ']' },
+        { open: '(', close: ')' },
+        { open: '"', close: '"' },
+        { open: "'", close: "'" }
+    ]
+}
+
+/**
+ * Finds the opcode-like token (which can contain dots, unlike Monaco words) at the position.
+ * @param {monaco.editor.ITextModel} model
+ * @param {monaco.Position} position
+ * @returns {{ name: string, range: monaco.Range } | null}
+ */
+function getOpcodeAt(model, position) {
+    const line = model.getLineContent(position.lineNumber);
+    for (const match of line.matchAll(/[a-zA-Z_][\w]*(?:\.[a-zA-Z0-9]+)*\.?/g)) {
+        const startColumn = match.index + 1;
+        const endColumn = startColumn + match[0].length;
+        if (startColumn <= position.column && position.column <= endColumn) {
+            return { name: match[0], range: new monaco.Range(position.lineNumber, startColumn, position.lineNumber, endColumn) };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the definition of the `IL_xxxx` label in the method containing the reference
+ * (offsets restart in each method).
+ * @param {monaco.editor.ITextModel} model
+ * @param {number} lineNumber
+ * @param {string} label
+ * @returns {monaco.Range | null}
+ */
+function findLabelDefinition(model, lineNumber, label) {
+    const isMethodStart = (/** @type {number} */ n) => /^\s*\.method\b/.test(model.getLineContent(n));
+
+    let start = lineNumber;
+    while (start > 1 && !isMethodStart(start)) {
+        start--;
+    }
+
+    const lineCount = model.getLineCount();
+    let end = lineNumber;
+    while (end < lineCount && !isMethodStart(end + 1)) {
+        end++;
+    }
+
+    for (let n = start; n <= end; n++) {
+        const line = model.getLineContent(n);
+        const column = line.indexOf(`${label}:`) + 1;
+        if (column > 0 && line.substring(0, column - 1).trim().length === 0) {
+            return new monaco.Range(n, column, n, column + label.length);
+        }
+    }
+
+    return null;
+}
+
+export function registerILLanguage() {
+    const languageId = 'il';
+    monaco.languages.register({ id: languageId });
+    monaco.languages.setMonarchTokensProvider(languageId, ILLanguage);
+    monaco.languages.setLanguageConfiguration(languageId, ILLanguageConfiguration);
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerHoverProvider.html
+    monaco.languages.registerHoverProvider(languageId, {
+        provideHover: (model, position) => {
+            const opcode = getOpcodeAt(model, position);
+            const info = opcode && getILOpcode(opcode.name);
+            if (!info) {
+                return null;
+            }
+
+            return {
+                range: opcode.range,
+                contents: [{ value: formatILOpcode(opcode.name.toLowerCase(), info) }]
+            };
+        }
+    });
+
+    // https://microsoft.github.io/monaco-editor/docs.html#functions/editor_editor_api.languages.registerDefinitionProvider.html
+    monaco.languages.registerDefinitionProvider(languageId, {
+        provideDefinition: (model, position) => {
+            const word = model.getWordAtPosition(position);
+            if (!word || !/^IL_[0-9a-fA-F]+$/.test(word.word)) {
+                return null;
+            }
+
+            const range = findLabelDefinition(model, position.lineNumber, word.word);
+            return range ? { uri: model.uri, range } : null;
+        }
+    });
+}
@@ -0,0 +1,335 @@
+// Offline reference of x86/x64 instructions commonly emitted by the .NET JIT.
+// Latency (cycles) and reciprocal throughput (cycles per instruction) are typical values
+// for the register form on recent Intel and AMD cores; see https://uops.info for exact per-microarchitecture numbers.
+
+/**
+ * @typedef {Object} X86InstructionInfo
+ * @property {string} summary Short name of the instruction.
+ * @property {string} description
+ * @property {string[]} forms Operand forms in Intel syntax.
+ * @property {string} flags Affected flags.
+ * @property {string} latency
+ * @property {string} throughput Reciprocal throughput.
+ */
+
+const ArithmeticFlags = 'OF, SF, ZF, AF, CF, PF are set according to the result.';
+const LogicalFlags = 'OF and CF are cleared; SF, ZF, PF are set according to the result; AF is undefined.';
+const NoFlags = 'None.';
+
+const Conditions = [
+    ['o', 'overflow (OF = 1)'],
+    ['no', 'not overflow (OF = 0)'],
+    ['b', 'below, unsigned < (CF = 1)'],
+    ['c', 'carry (CF = 1)'],
+    ['nae', 'not above or equal, unsigned < (CF = 1)'],
+    ['ae', 'above or equal, unsigned >= (CF = 0)'],
+    ['nb', 'not below, unsigned >= (CF = 0)'],
+    ['nc', 'not carry (CF = 0)'],
+    ['e', 'equal (ZF = 1)'],
+    ['z', 'zero (ZF = 1)'],
+    ['ne', 'not equal (ZF = 0)'],
+    ['nz', 'not zero (ZF = 0)'],
+    ['be', 'below or equal, unsigned <= (CF = 1 or ZF = 1)'],
+    ['na', 'not above, unsigned <= (CF = 1 or ZF = 1)'],
+    ['a', 'above, unsigned > (CF = 0 and ZF = 0)'],
+    ['nbe', 'not below or equal, unsigned > (CF = 0 and ZF = 0)'],
+    ['s', 'sign (SF = 1)'],
+    ['ns', 'not sign (SF = 0)'],
+    ['p', 'parity (PF = 1)'],
+    ['pe', 'parity even (PF = 1)'],
+    ['np', 'not parity (PF = 0)'],
+    ['po', 'parity odd (PF = 0)'],
+    ['l', 'less, signed < (SF != OF)'],
+    ['nge', 'not greater or equal, signed < (SF != OF)'],
+    ['ge', 'greater or equal, signed >= (SF = OF)'],
+    ['nl', 'not less, signed >= (SF = OF)'],
+    ['le', 'less or equal, signed <= (ZF = 1 or SF != OF)'],
+    ['ng', 'not greater, signed <= (ZF = 1 or SF != OF)'],
+    ['g', 'greater, signed > (ZF = 0 and SF = OF)'],
+    ['nle', 'not less or equal, signed > (ZF = 0 and SF = OF)']
+]
+
+/**
+ * @param {string} summary
+ * @param {string} description
+ * @param {string[]} forms
+ * @param {string} flags
+ * @param {string} latency
+ * @param {string} throughput
+ * @returns {X86InstructionInfo}
+ */
+function instruction(summary, description, forms, flags, latency, throughput) {
+    return { summary, description, forms, flags, latency, throughput };
+}
+
+/** @type {Record<string, X86InstructionInfo>} */
+const X86Instructions = {
+    // Data movement
+    mov: instruction('Move', 'Copies the source operand to the destination operand.',
+        ['mov r/m, r', 'mov r, r/m', 'mov r/m, imm'], NoFlags, '0-1', '0.25'),
+    movzx: instruction('Move with zero-extend', 'Copies a smaller source operand to a larger destination and fills the upper bits with zeros.',
+        ['movzx r32, r/m8', 'movzx r32, r/m16'], NoFlags, '0-1', '0.25'),
+    movsx: instruction('Move with sign-extend', 'Copies a smaller source operand to a larger destination and fills the upper bits with the sign bit.',
+        ['movsx r32, r/m8', 'movsx r64, r/m16'], NoFlags, '1', '0.25'),
+    movsxd: instruction('Move doubleword with sign-extend', 'Sign-extends a 32-bit source operand to a 64-bit register.',
+        ['movsxd r64, r/m32'], NoFlags, '1', '0.25'),
+    lea: instruction('Load effective address', 'Computes the address of the memory operand (base + index * scale + displacement) and stores it in the destination without accessing memory. The JIT often uses it for arithmetic.',
+        ['lea r, m'], NoFlags, '1 (3 with three components on older Intel)', '0.5'),
+    xchg: instruction('Exchange', 'Swaps the operands. With a memory operand, the exchange is atomic (implicitly locked).',
+        ['xchg r/m, r'], NoFlags, '1-2 (about 20 with memory)', '1'),
+    push: instruction('Push onto stack', 'Decrements the stack pointer and stores the operand at the new top of the stack.',
+        ['push r/m64', 'push imm'], NoFlags, '1', '1'),
+    pop: instruction('Pop from stack', 'Loads the value from the top of the stack and increments the stack pointer.',
+        ['pop r/m64'], NoFlags, '1', '0.5'),
+    cdq: instruction('Convert doubleword to quadword', 'Sign-extends eax into edx:eax (typically before idiv).',
+        ['cdq'], NoFlags, '1', '0.5'),
+    cdqe: instruction('Convert doubleword to quadword in rax', 'Sign-extends eax into rax.',
+        ['cdqe'], NoFlags, '1', '0.25'),
+    cqo: instruction('Convert quadword to octoword', 'Sign-extends rax into rdx:rax (typically before idiv).',
+        ['cqo'], NoFlags, '1', '0.5'),
+
+    // Arithmetic
+    add: instruction('Add', 'Adds the source operand to the destination operand.',
+        ['add r/m, r', 'add r, r/m', 'add r/m, imm'], ArithmeticFlags, '1', '0.25'),
+    adc: instruction('Add with carry', 'Adds the source operand and CF to the destination operand.',
+        ['adc r/m, r', 'adc r, r/m', 'adc r/m, imm'], ArithmeticFlags, '1', '0.5'),
+    sub: instruction('Subtract', 'Subtracts the source operand from the destination operand.',
+        ['sub r/m, r', 'sub r, r/m', 'sub r/m, imm'], ArithmeticFlags, '1', '0.25'),
+    sbb: instruction('Subtract with borrow', 'Subtracts the source operand and CF from the destination operand.',
+        ['sbb r/m, r', 'sbb r, r/m', 'sbb r/m, imm'], ArithmeticFlags, '1', '0.5'),
+    inc: instruction('Increment', 'Adds 1 to the operand.',
+        ['inc r/m'], 'OF, SF, ZF, AF, PF are set according to the result; CF is not affected.', '1', '0.25'),
+    dec: instruction('Decrement', 'Subtracts 1 from the operand.',
+        ['dec r/m'], 'OF, SF, ZF, AF, PF are set according to the result; CF is not affected.', '1', '0.25'),
+    neg: instruction('Negate', 'Replaces the operand with its two\'s complement.',
+        ['neg r/m'], 'CF is cleared if the operand is 0, otherwise set; OF, SF, ZF, AF, PF are set according to the result.', '1', '0.25'),
+    cmp: instruction('Compare', 'Subtracts the second operand from the first one and sets flags without storing the result.',
+        ['cmp r/m, r', 'cmp r, r/m', 'cmp r/m, imm'], ArithmeticFlags, '1', '0.25'),
+    imul: instruction('Signed multiply', 'Multiplies signed operands. The one-operand form stores the double-width result in rdx:rax.',
+        ['imul r, r/m', 'imul r, r/m, imm', 'imul r/m'], 'CF and OF are set if the result was truncated; SF, ZF, AF, PF are undefined.', '3 (4 for the one-operand 64-bit form)', '1'),
+    mul: instruction('Unsigned multiply', 'Multiplies rax (or a smaller part of it) by the operand and stores the double-width result in rdx:rax.',
+        ['mul r/m'], 'CF and OF are set if the upper half of the result is non-zero; SF, ZF, AF, PF are undefined.', '3-4', '1'),
+    div: instruction('Unsigned divide', 'Divides rdx:rax (or a smaller part of it) by the operand; the quotient goes to rax and the remainder to rdx.',
+        ['div r/m'], 'All flags are undefined.', '10-18 (up to 90 on older Intel)', '6-10'),
+    idiv: instruction('Signed divide', 'Divides rdx:rax (or a smaller part of it) by the signed operand; the quotient goes to rax and the remainder to rdx.',
+        ['idiv r/m'], 'All flags are undefined.', '10-18 (up to 90 on older Intel)', '6-10'),
+
+    // Logical and bit manipulation
+    and: instruction('Logical AND', 'Performs a bitwise AND of the operands.',
+        ['and r/m, r', 'and r, r/m', 'and r/m, imm'], LogicalFlags, '1', '0.25'),
+    or: instruction('Logical OR', 'Performs a bitwise OR of the operands.',
+        ['or r/m, r', 'or r, r/m', 'or r/m, imm'], LogicalFlags, '1', '0.25'),
+    xor: instruction('Logical exclusive OR', 'Performs a bitwise XOR of the operands. `xor reg, reg` is the idiomatic way to zero a register.',
+        ['xor r/m, r', 'xor r, r/m', 'xor r/m, imm'], LogicalFlags, '1 (0 for the zeroing idiom)', '0.25'),
+    not: instruction('One\'s complement negation', 'Inverts each bit of the operand.',
+        ['not r/m'], NoFlags, '1', '0.25'),
+    test: instruction('Logical compare', 'Performs a bitwise AND of the operands and sets flags without storing the result.',
+        ['test r/m, r', 'test r/m, imm'], LogicalFlags, '1', '0.25'),
+    shl: instruction('Shift left', 'Shifts the destination left by the count (an immediate or cl); zeros are shifted in.',
+        ['shl r/m, imm8', 'shl r/m, cl'], 'CF receives the last bit shifted out; OF is defined only for 1-bit shifts; flags are unaffected if the count is 0.', '1 (2 with cl on Intel)', '0.5 (1 with cl)'),
+    sal: instruction('Shift arithmetic left', 'Same as shl.',
+        ['sal r/m, imm8', 'sal r/m, cl'], 'CF receives the last bit shifted out; OF is defined only for 1-bit shifts; flags are unaffected if the count is 0.', '1', '0.5'),
+    shr: instruction('Shift logical right', 'Shifts the destination right by the count (an immediate or cl); zeros are shifted in.',
+        ['shr r/m, imm8', 'shr r/m, cl'], 'CF receives the last bit shifted out; OF is defined only for 1-bit shifts; flags are unaffected if the count is 0.', '1 (2 with cl on Intel)', '0.5 (1 with cl)'),
+    sar: instruction('Shift arithmetic right', 'Shifts the destination right by the count (an immediate or cl); the sign bit is shifted in.',
+        ['sar r/m, imm8', 'sar r/m, cl'], 'CF receives the last bit shifted out; OF is cleared for 1-bit shifts; flags are unaffected if the count is 0.', '1 (2 with cl on Intel)', '0.5 (1 with cl)'),
+    rol: instruction('Rotate left', 'Rotates the destination left by the count (an immediate or cl).',
+        ['rol r/m, imm8', 'rol r/m, cl'], 'CF receives the last bit rotated; OF is defined only for 1-bit rotates; other flags are not affected.', '1', '0.5 (1 with cl)'),
+    ror: instruction('Rotate right', 'Rotates the destination right by the count (an immediate or cl).',
+        ['ror r/m, imm8', 'ror r/m, cl'], 'CF receives the last bit rotated; OF is defined only for 1-bit rotates; other flags are not affected.', '1', '0.5 (1 with cl)'),
+    shlx: instruction('Shift left without affecting flags (BMI2)', 'Shifts the source left by the count in the third operand and stores the result in the destination.',
+        ['shlx r, r/m, r'], NoFlags, '1', '0.5'),
+    shrx: instruction('Shift logical right without affecting flags (BMI2)', 'Shifts the source right by the count in the third operand and stores the result in the destination.',
+        ['shrx r, r/m, r'], NoFlags, '1', '0.5'),
+    sarx: instruction('Shift arithmetic right without affecting flags (BMI2)', 'Shifts the source right by the count in the third operand (sign bit shifted in) and stores the result in the destination.',
+        ['sarx r, r/m, r'], NoFlags, '1', '0.5'),
+    rorx: instruction('Rotate right without affecting flags (BMI2)', 'Rotates the source right by the immediate and stores the result in the destination.',
+        ['rorx r, r/m, imm8'], NoFlags, '1', '0.5'),
+    andn: instruction('Logical AND NOT (BMI1)', 'Computes the bitwise AND of the inverted first source and the second source.',
+        ['andn r, r, r/m'], 'SF, ZF are set according to the result; OF and CF are cleared; AF, PF are undefined.', '1', '0.5'),
+    blsr: instruction('Reset lowest set bit (BMI1)', 'Computes `src & (src - 1)`.',
+        ['blsr r, r/m'], 'ZF, SF are set according to the result; CF is set if the source is 0; OF is cleared.', '1', '0.5'),
+    blsi: instruction('Extract lowest set bit (BMI1)', 'Computes `src & -src`.',
+        ['blsi r, r/m'], 'ZF, SF are set according to the result; CF is set if the source is non-zero; OF is cleared.', '1', '0.5'),
+    bzhi: instruction('Zero high bits starting at index (BMI2)', 'Copies the source and clears the bits from the index in the third operand upwards.',
+        ['bzhi r, r/m, r'], 'ZF, SF are set according to the result; CF is set if the index is out of range; OF is cleared.', '1', '0.5'),
+    pdep: instruction('Parallel bits deposit (BMI2)', 'Scatters the low bits of the first source to the positions selected by the mask.',
+        ['pdep r, r, r/m'], NoFlags, '3 (slow microcode before Zen 3)', '1'),
+    pext: instruction('Parallel bits extract (BMI2)', 'Gathers the bits of the first source selected by the mask into the low bits of the destination.',
+        ['pext r, r, r/m'], NoFlags, '3 (slow microcode before Zen 3)', '1'),
+    bt: instruction('Bit test', 'Copies the selected bit of the first operand to CF.',
+        ['bt r/m, r', 'bt r/m, imm8'], 'CF receives the selected bit; OF, SF, AF, PF are undefined.', '1', '0.5'),
+    bts: instruction('Bit test and set', 'Copies the selected bit of the first operand to CF and sets it.',
+        ['bts r/m, r', 'bts r/m, imm8'], 'CF receives the selected bit; OF, SF, AF, PF are undefined.', '1', '0.5'),
+    btr: instruction('Bit test and reset', 'Copies the selected bit of the first operand to CF and clears it.',
+        ['btr r/m, r', 'btr r/m, imm8'], 'CF receives the selected bit; OF, SF, AF, PF are undefined.', '1', '0.5'),
+    bsf: instruction('Bit scan forward', 'Finds the index of the least significant set bit. The destination is undefined if the source is 0.',
+        ['bsf r, r/m'], 'ZF is set if the source is 0; other flags are undefined.', '3', '1'),
+    bsr: instruction('Bit scan reverse', 'Finds the index of the most significant set bit. The destination is undefined if the source is 0.',
+        ['bsr r, r/m'], 'ZF is set if the source is 0; other flags are undefined.', '3', '1'),
+    lzcnt: instruction('Count leading zero bits (LZCNT)', 'Counts the number of leading zero bits (the operand size if the source is 0).',
+        ['lzcnt r, r/m'], 'CF is set if the source is 0; ZF is set if the result is 0; other flags are undefined.', '1-3', '0.25-1'),
+    tzcnt: instruction('Count trailing zero bits (BMI1)', 'Counts the number of trailing zero bits (the operand size if the source is 0).',
+        ['tzcnt r, r/m'], 'CF is set if the source is 0; ZF is set if the result is 0; other flags are undefined.', '1-3', '0.5-1'),
+    popcnt: instruction('Population count (POPCNT)', 'Counts the number of set bits.',
+        ['popcnt r, r/m'], 'ZF is set if the source is 0; OF, SF, AF, CF, PF are cleared.', '1-3', '0.25-1'),
+
+    // Control flow
+    jmp: instruction('Jump', 'Transfers control unconditionally.',
+        ['jmp rel', 'jmp r/m64'], NoFlags, 'n/a', '1-2'),
+    call: instruction('Call procedure', 'Pushes the return address and transfers control to the target.',
+        ['call rel32', 'call r/m64'], NoFlags, 'n/a', '1-3'),
+    ret: instruction('Return from procedure', 'Pops the return address and transfers control to it.',
+        ['ret', 'ret imm16'], NoFlags, 'n/a', '1-2'),
+    nop: instruction('No operation', 'Does nothing; multi-byte forms are used for code alignment.',
+        ['nop', 'nop r/m'], NoFlags, 'n/a', '0.25'),
+    int3: instruction('Breakpoint', 'Raises a breakpoint exception; the JIT emits it after calls that never return and as padding.',
+        ['int3'], NoFlags, 'n/a', '-'),
+
+    // Locked operations
+    cmpxchg: instruction('Compare and exchange', 'Compares rax with the destination; if equal, stores the source there, otherwise loads the destination into rax. Used with the lock prefix for Interlocked.CompareExchange.',
+        ['lock cmpxchg r/m, r'], ArithmeticFlags, '1-2 (about 20 with lock)', '1 (about 20 with lock)'),
+    xadd: instruction('Exchange and add', 'Stores the sum of the operands in the destination and the original destination in the source. Used with the lock prefix for Interlocked.Add.',
+        ['lock xadd r/m, r'], ArithmeticFlags, '2-3 (about 20 with lock)', '1 (about 20 with lock)'),
+
+    // Scalar floating point and SIMD
+    vmovss: instruction('Move scalar single (AVX)', 'Moves a 32-bit float between registers or memory.',
+        ['vmovss xmm, m32', 'vmovss m32, xmm', 'vmovss xmm, xmm, xmm'], NoFlags, '1 (5 load)', '0.5'),
+    vmovsd: instruction('Move scalar double (AVX)', 'Moves a 64-bit float between registers or memory.',
+        ['vmovsd xmm, m64', 'vmovsd m64, xmm', 'vmovsd xmm, xmm, xmm'], NoFlags, '1 (5 load)', '0.5'),
+    vmovaps: instruction('Move aligned packed single (AVX)', 'Moves a whole vector; memory operands must be aligned.',
+        ['vmovaps xmm/ymm, xmm/ymm/m', 'vmovaps m, xmm/ymm'], NoFlags, '0-1', '0.25'),
+    vmovups: instruction('Move unaligned packed single (AVX)', 'Moves a whole vector without an alignment requirement.',
+        ['vmovups xmm/ymm, xmm/ymm/m', 'vmovups m, xmm/ymm'], NoFlags, '0-1 (5-7 load)', '0.25-0.5'),
+    vmovdqu: instruction('Move unaligned packed integers (AVX)', 'Moves a whole integer vector without an alignment requirement.',
+        ['vmovdqu xmm/ymm, xmm/ymm/m', 'vmovdqu m, xmm/ymm'], NoFlags, '0-1 (5-7 load)', '0.25-0.5'),
+    vmovdqu8: instruction('Move unaligned packed bytes (AVX-512)', 'Moves a whole integer vector (optionally masked per byte) without an alignment requirement.',
+        ['vmovdqu8 zmm {k}, zmm/m512', 'vmovdqu8 m512 {k}, zmm'], NoFlags, '1 (5-8 load)', '0.5'),
+    vmovd: instruction('Move doubleword (AVX)', 'Moves 32 bits between a general-purpose register or memory and the low element of a vector register.',
+        ['vmovd xmm, r/m32', 'vmovd r/m32, xmm'], NoFlags, '2-3', '1'),
+    vmovq: instruction('Move quadword (AVX)', 'Moves 64 bits between a general-purpose register or memory and the low element of a vector register.',
+        ['vmovq xmm, r/m64', 'vmovq r/m64, xmm'], NoFlags, '2-3', '1'),
+    vaddss: instruction('Add scalar single (AVX)', 'Adds the low 32-bit floats.',
+        ['vaddss xmm, xmm, xmm/m32'], NoFlags, '3-4', '0.5'),
+    vaddsd: instruction('Add scalar double (AVX)', 'Adds the low 64-bit floats.',
+        ['vaddsd xmm, xmm, xmm/m64'], NoFlags, '3-4', '0.5'),
+    vaddps: instruction('Add packed single (AVX)', 'Adds 32-bit floats element-wise.',
+        ['vaddps xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '3-4', '0.5'),
+    vaddpd: instruction('Add packed double (AVX)', 'Adds 64-bit floats element-wise.',
+        ['vaddpd xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '3-4', '0.5'),
+    vsubss: instruction('Subtract scalar single (AVX)', 'Subtracts the low 32-bit floats.',
+        ['vsubss xmm, xmm, xmm/m32'], NoFlags, '3-4', '0.5'),
+    vsubsd: instruction('Subtract scalar double (AVX)', 'Subtracts the low 64-bit floats.',
+        ['vsubsd xmm, xmm, xmm/m64'], NoFlags, '3-4', '0.5'),
+    vmulss: instruction('Multiply scalar single (AVX)', 'Multiplies the low 32-bit floats.',
+        ['vmulss xmm, xmm, xmm/m32'], NoFlags, '3-4', '0.5'),
+    vmulsd: instruction('Multiply scalar double (AVX)', 'Multiplies the low 64-bit floats.',
+        ['vmulsd xmm, xmm, xmm/m64'], NoFlags, '3-4', '0.5'),
+    vmulps: instruction('Multiply packed single (AVX)', 'Multiplies 32-bit floats element-wise.',
+        ['vmulps xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '3-4', '0.5'),
+    vmulpd: instruction('Multiply packed double (AVX)', 'Multiplies 64-bit floats element-wise.',
+        ['vmulpd xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '3-4', '0.5'),
+    vdivss: instruction('Divide scalar single (AVX)', 'Divides the low 32-bit floats.',
+        ['vdivss xmm, xmm, xmm/m32'], NoFlags, '10-11', '3'),
+    vdivsd: instruction('Divide scalar double (AVX)', 'Divides the low 64-bit floats.',
+        ['vdivsd xmm, xmm, xmm/m64'], NoFlags, '13-14', '4'),
+    vsqrtsd: instruction('Square root scalar double (AVX)', 'Computes the square root of the low 64-bit float.',
+        ['vsqrtsd xmm, xmm, xmm/m64'], NoFlags, '15-20', '4-6'),
+    vfmadd213sd: instruction('Fused multiply-add scalar double (FMA)', 'Computes `op2 * op1 + op3` for the low 64-bit floats with a single rounding.',
+        ['vfmadd213sd xmm, xmm, xmm/m64'], NoFlags, '4', '0.5'),
+    vfmadd231ps: instruction('Fused multiply-add packed single (FMA)', 'Computes `op2 * op3 + op1` for 32-bit floats element-wise with a single rounding.',
+        ['vfmadd231ps xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '4', '0.5'),
+    vucomiss: instruction('Unordered compare scalar single (AVX)', 'Compares the low 32-bit floats and sets flags (NaN gives "unordered").',
+        ['vucomiss xmm, xmm/m32'], 'ZF, PF, CF are set according to the comparison (all three for unordered); OF, SF, AF are cleared.', '2-3', '1'),
+    vucomisd: instruction('Unordered compare scalar double (AVX)', 'Compares the low 64-bit floats and sets flags (NaN gives "unordered").',
+        ['vucomisd xmm, xmm/m64'], 'ZF, PF, CF are set according to the comparison (all three for unordered); OF, SF, AF are cleared.', '2-3', '1'),
+    vcvtsi2sd: instruction('Convert integer to scalar double (AVX)', 'Converts a signed integer to a 64-bit float in the low element.',
+        ['vcvtsi2sd xmm, xmm, r/m32', 'vcvtsi2sd xmm, xmm, r/m64'], NoFlags, '4-5', '1'),
+    vcvtsi2ss: instruction('Convert integer to scalar single (AVX)', 'Converts a signed integer to a 32-bit float in the low element.',
+        ['vcvtsi2ss xmm, xmm, r/m32', 'vcvtsi2ss xmm, xmm, r/m64'], NoFlags, '4-5', '1'),
+    vcvttsd2si: instruction('Convert with truncation scalar double to integer (AVX)', 'Converts the low 64-bit float to a signed integer, rounding toward zero.',
+        ['vcvttsd2si r32, xmm/m64', 'vcvttsd2si r64, xmm/m64'], NoFlags, '6-7', '1'),
+    vcvtss2sd: instruction('Convert scalar single to scalar double (AVX)', 'Converts the low 32-bit float to a 64-bit float.',
+        ['vcvtss2sd xmm, xmm, xmm/m32'], NoFlags, '4-5', '1'),
+    vcvtsd2ss: instruction('Convert scalar double to scalar single (AVX)', 'Converts the low 64-bit float to a 32-bit float.',
+        ['vcvtsd2ss xmm, xmm, xmm/m64'], NoFlags, '4-5', '1'),
+    vxorps: instruction('Bitwise XOR packed single (AVX)', 'XORs whole vectors. `vxorps reg, reg, reg` is the idiomatic way to zero a vector register.',
+        ['vxorps xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1 (0 for the zeroing idiom)', '0.33'),
+    vpxor: instruction('Bitwise XOR packed integers (AVX)', 'XORs whole integer vectors.',
+        ['vpxor xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1 (0 for the zeroing idiom)', '0.33'),
+    vpand: instruction('Bitwise AND packed integers (AVX)', 'ANDs whole integer vectors.',
+        ['vpand xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1', '0.33'),
+    vpor: instruction('Bitwise OR packed integers (AVX)', 'ORs whole integer vectors.',
+        ['vpor xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1', '0.33'),
+    vpaddd: instruction('Add packed doublewords (AVX)', 'Adds 32-bit integers element-wise (wrapping).',
+        ['vpaddd xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1', '0.33'),
+    vpsubd: instruction('Subtract packed doublewords (AVX)', 'Subtracts 32-bit integers element-wise (wrapping).',
+        ['vpsubd xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1', '0.33'),
+    vpcmpeqb: instruction('Compare packed bytes for equality (AVX)', 'Sets each byte of the destination to all ones where the sources are equal, otherwise to zero.',
+        ['vpcmpeqb xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1', '0.5'),
+    vpcmpeqw: instruction('Compare packed words for equality (AVX)', 'Sets each 16-bit element of the destination to all ones where the sources are equal, otherwise to zero.',
+        ['vpcmpeqw xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1', '0.5'),
+    vpmovmskb: instruction('Move byte mask (AVX)', 'Gathers the most significant bit of each byte into a general-purpose register.',
+        ['vpmovmskb r32, xmm/ymm'], NoFlags, '2-3', '1'),
+    vptest: instruction('Logical compare vectors (AVX)', 'Sets ZF if `op1 & op2` is all zeros and CF if `~op1 & op2` is all zeros.',
+        ['vptest xmm/ymm, xmm/ymm/m'], 'ZF and CF are set as described; OF, SF, AF, PF are cleared.', '3-5', '1'),
+    vpshufb: instruction('Shuffle bytes (AVX)', 'Selects bytes of the first source by the indices in the second source (within each 128-bit lane).',
+        ['vpshufb xmm/ymm, xmm/ymm, xmm/ymm/m'], NoFlags, '1', '0.5-1'),
+    vpermq: instruction('Permute quadwords (AVX2)', 'Rearranges the 64-bit elements of a 256-bit vector across lanes according to the immediate.',
+        ['vpermq ymm, ymm/m256, imm8'], NoFlags, '3-4', '1'),
+    vpermd: instruction('Permute doublewords (AVX2)', 'Rearranges the 32-bit elements of a 256-bit vector across lanes according to the indices in the first source.',
+        ['vpermd ymm, ymm, ymm/m256'], NoFlags, '3-4', '1'),
+    vperm2i128: instruction('Permute 128-bit integer lanes (AVX2)', 'Selects each 128-bit half of the destination from the lanes of the sources (or zero) according to the immediate.',
+        ['vperm2i128 ymm, ymm, ymm/m256, imm8'], NoFlags, '3', '1'),
+    vpbroadcastd: instruction('Broadcast doubleword (AVX2)', 'Copies a 32-bit integer to all elements of the destination.',
+        ['vpbroadcastd xmm/ymm, xmm/m32'], NoFlags, '1-3', '1'),
+    vbroadcastss: instruction('Broadcast single (AVX)', 'Copies a 32-bit float to all elements of the destination.',
+        ['vbroadcastss xmm/ymm, xmm/m32'], NoFlags, '1-3', '0.5-1'),
+    vinserti128: instruction('Insert 128-bit integer lane (AVX2)', 'Copies the first source and replaces one 128-bit lane with the second source.',
+        ['vinserti128 ymm, ymm, xmm/m128, imm8'], NoFlags, '1-3', '0.5-1'),
+    vextracti128: instruction('Extract 128-bit integer lane (AVX2)', 'Copies one 128-bit lane of the source to the destination.',
+        ['vextracti128 xmm/m128, ymm, imm8'], NoFlags, '1-3', '1'),
+    vzeroupper: instruction('Zero upper bits of vector registers (AVX)', 'Clears the upper bits of all ymm/zmm registers to avoid transition penalties when mixing AVX and legacy SSE code.',
+        ['vzeroupper'], NoFlags, 'n/a', '1')
+}
+
+for (const [suffix, condition] of Conditions) {
+    X86Instructions[`j${suffix}`] ??= instruction(`Jump if ${condition.split(' (')[0]}`, `Jumps if ${condition}.`,
+        [`j${suffix} rel8`, `j${suffix} rel32`], NoFlags, 'n/a', '0.5-1 (macro-fused with a preceding cmp or test)');
+    X86Instructions[`cmov${suffix}`] ??= instruction(`Conditional move if ${condition.split(' (')[0]}`, `Moves the source to the destination if ${condition}.`,
+        [`cmov${suffix} r, r/m`], NoFlags, '1', '0.5');
+    X86Instructions[`set${suffix}`] ??= instruction(`Set byte if ${condition.split(' (')[0]}`, `Sets the byte operand to 1 if ${condition}, otherwise to 0.`,
+        [`set${suffix} r/m8`], NoFlags, '1', '0.5');
+}
+
+/**
+ * Gets the reference entry for an instruction mnemonic (case-insensitive), if known.
+ * @param {string} mnemonic
+ * @returns {X86InstructionInfo | undefined}
+ */
+export function getX86Instruction(mnemonic) {
+    return Object.hasOwn(X86Instructions, mnemonic.toLowerCase()) ? X86Instructions[mnemonic.toLowerCase()] : undefined;
+}
+
+/**
+ * @returns {[string, X86InstructionInfo][]}
+ */
+export function getX86Instructions() {
+    return Object.entries(X86Instructions);
+}
+
+/**
+ * Formats the reference entry as markdown (for hovers and completion documentation).
+ * @param {string} mnemonic
+ * @param {X86InstructionInfo} info
+ * @returns {string}
+ */
+export function formatX86Instruction(mnemonic, info) {
+    return [
+        `**${mnemonic}** — ${info.summary}`,
+        info.description,
+        '```\n' + info.forms.join('\n') + '\n```',
+        `**Flags:** ${info.flags}`,
+        `**Latency:** ${info.latency} · **Reciprocal throughput:** ${info.throughput}`
+    ].join('\n\n');
+}
@@ -98,21 +98,11 @@ public sealed class Compiler(
         return result.CompiledAssembly;
     }
 
-    public string FormatCode(string code, bool isScript)
+    public string FormatCode(string code, bool isScript, StringSpan? span = null)
     {
         try
         {
-            var parseOptions = CreateDefaultParseOptions();
-            parseOptions = Config.Instance.ConfigureCSharpParseOptions(parseOptions);
-            if (isScript)
-            {
-                parseOptions = parseOptions.WithKind(SourceCodeKind.Script);
-            }
-
-            var syntaxTree = CSharpSyntaxTree.ParseText(code, parseOptions, encoding: Encoding.UTF8);
-            var root = syntaxTree.GetRoot();
-            var formattedRoot = root.NormalizeWhitespace();
-            return formattedRoot.ToFullString();
+            return FormatCode(ParseForFormatting(code, isScript), span);
         }
         catch (Exception ex)
         {
@@ -121,6 +111,70 @@ public sealed class Compiler(
         }
     }
 
+    internal static SyntaxTree ParseForFormatting(string code, bool isScript)
+    {
+        var parseOptions = CreateDefaultParseOptions();
+        parseOptions = Config.Instance.ConfigureCSharpParseOptions(parseOptions);
+        if (isScript)
+        {
+            parseOptions = parseOptions.WithKind(SourceCodeKind.Script);
+        }
+
+        return CSharpSyntaxTree.ParseText(code, parseOptions, encoding: Encoding.UTF8);
+    }
+
+    internal static string FormatCode(SyntaxTree syntaxTree, StringSpan? span, CancellationToken cancellationToken = default)
+    {
+        var root = syntaxTree.GetRoot(cancellationToken);
+
+        if (span is { } s)
+        {
+            return FormatSpan(syntaxTree.GetText(cancellationToken), root, new TextSpan(s.Start, s.Length), cancellationToken);
+        }
+
+        var formattedRoot = root.NormalizeWhitespace();
+        return formattedRoot.ToFullString();
+    }
+
+    /// <summary>
+    /// Normalizes whitespace of the outermost statements and members fully inside <paramref name="span"/>
+    /// (or of the innermost one containing it), keeping their current indentation and the rest of the document untouched.
+    /// </summary>
+    private static string FormatSpan(SourceText text, SyntaxNode root, TextSpan span, CancellationToken cancellationToken)
+    {
+        var nodes = root.DescendantNodes(n => n.FullSpan.IntersectsWith(span) && !(isFormattable(n) && span.Contains(n.Span)))
+            .Where(n => isFormattable(n) && span.Contains(n.Span))
+            .ToList();
+
+        if (nodes.Count == 0 &&
+            root.FindNode(span, getInnermostNodeForTie: true).AncestorsAndSelf().FirstOrDefault(isFormattable) is { } containingNode)
+        {
+            nodes.Add(containingNode);
+        }
+
+        string eol = text.Lines.Count > 1 && text.Lines[0].EndIncludingLineBreak - text.Lines[0].End == 2 ? "\r\n" : "\n";
+
+        var changes = nodes.Select(node =>
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            var line = text.Lines.GetLineFromPosition(node.SpanStart);
+            var lineText = text.ToString(line.Span);
+            var indentation = lineText[..(lineText.Length - lineText.TrimStart().Length)];
+            var formatted = node.WithoutTrivia().NormalizeWhitespace(eol: eol).ToFullString()
+                .Replace(eol, eol + indentation, StringComparison.Ordinal);
+            return new TextChange(node.Span, formatted);
+        });
+
+        return text.WithChanges(changes).ToString();
+
+        static bool isFormattable(SyntaxNode node)
+        {
+            return node is StatementSyntax and not BlockSyntax
+                or MemberDeclarationSyntax
+                or UsingDirectiveSyntax;
+        }
+    }
+
     private async ValueTask<LiveCompilationResult> CompileNoCacheAsync(
         CompilationInput compilationInput,
         ImmutableDictionary<string, ImmutableArray<byte>>? assemblies,
@@ -424,10 +478,14 @@ public sealed class Compiler(
                 {
                     Type = "il",
                     Label = "IL",
-                    Language = CompiledAssembly.CSharpLanguageId,
-                    LazyText = () =>
+                    Language = CompiledAssembly.ILLanguageId,
+                    LazyTextAndMetadata = () =>
                     {
-                        return new(getIl(peFile));
+                        var il = getIl(peFile);
+                        return new((il, new CompiledFileOutputMetadata
+                        {
+                            OutputToOutput = ILStructure.GetLabelReferences(il).Serialize(),
+                        }));
                     },
                 },
                 new()
@@ -497,7 +555,7 @@ public sealed class Compiler(
                 CSharpParseOptions = Config.Instance.HasParseOptions ? parseOptions : null,
                 CSharpCompilationOptions = Config.Instance.HasCompilationOptions ? options : null,
                 AdditionalSources = additionalSyntaxTrees,
-                ReferenceAssemblies = Config.Instance.HasReferences ? references.Metadata : null,
+                ReferenceAssemblies = Config.Instance.HasReferences ? references : null,
             };
         }
 
@@ -1021,7 +1079,7 @@ public sealed class Compiler(
             {
                 Type = "asm",
                 Label = "Asm",
-                Language = "x86",
+                Language = JitAsmLanguage.X86LanguageId,
                 LazyText = () =>
                 {
                     string output = tryGetEmitStreams(finalCompilation, emitOptions.WithoutPdb(), out var emitStreams, out var error)
@@ -1623,9 +1681,9 @@ internal sealed class LiveCompilationResult(Action dispose) : IDisposable
 
     /// <summary>
     /// Reference assemblies used by the main compilation.
-    /// Set to <see langword="default"/> if the default reference assemblies were used.
+    /// Set to <see langword="null"/> if the default reference assemblies were used.
     /// </summary>
-    public required ImmutableArray<PortableExecutableReference>? ReferenceAssemblies { get; init; }
+    public required RefAssemblyList? ReferenceAssemblies { get; init; }
 
     public void Dispose() => dispose();
 }
@@ -0,0 +1,140 @@
+﻿using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
+using Microsoft.CodeAnalysis.Text;
+
+namespace DotNetLab;
+
+/// <summary>
+/// Computes outline of input files (namespaces, types, members and local functions).
+/// </summary>
+/// <remarks>
+/// This is purely syntactic, so it is fast and works also for inputs which are not part of the language services workspace.
+/// </remarks>
+internal static class DocumentSymbols
+{
+    public static ImmutableArray<MonacoDocumentSymbol> Get(SyntaxNode root, SourceText text)
+    {
+        var result = ImmutableArray.CreateBuilder<MonacoDocumentSymbol>();
+        AddChildren(result, root, text.Lines, offset: 0);
+        return result.DrainToImmutable();
+    }
+
+    /// <summary>
+    /// Razor files are represented by a single class (the component) containing members from <c>@code</c> and <c>@functions</c> blocks.
+    /// </summary>
+    public static ImmutableArray<MonacoDocumentSymbol> GetRazor(string fileName, string code, CancellationToken cancellationToken)
+    {
+        var lines = SourceText.From(code).Lines;
+        var members = ImmutableArray.CreateBuilder<MonacoDocumentSymbol>();
+
+        foreach (var codeBlock in RazorStructure.GetCodeBlocks(code, cancellationToken))
+        {
+            AddChildren(members, codeBlock.Syntax, lines, codeBlock.Offset);
+        }
+
+        return
+        [
+            new MonacoDocumentSymbol
+            {
+                Name = Path.GetFileNameWithoutExtension(fileName),
+                Kind = MonacoSymbolKind.Class,
+                Range = new TextSpan(0, code.Length).ToRange(lines),
+                SelectionRange = new TextSpan(0, 0).ToRange(lines),
+                Children = members.DrainToImmutable(),
+            },
+        ];
+    }
+
+    /// <param name="offset">
+    /// Added to spans of <paramref name="node"/> and its descendants to get positions in the text of <paramref name="lines"/>.
+    /// </param>
+    private static void AddChildren(ImmutableArray<MonacoDocumentSymbol>.Builder result, SyntaxNode node, TextLineCollection lines, int offset)
+    {
+        foreach (var child in node.ChildNodes())
+        {
+            if (child is BaseFieldDeclarationSyntax field)
+            {
+                var kind = field is EventFieldDeclarationSyntax ? MonacoSymbolKind.Event
+                    : field.Modifiers.Any(SyntaxKind.ConstKeyword) ? MonacoSymbolKind.Constant
+                    : MonacoSymbolKind.Field;
+
+                foreach (var variable in field.Declaration.Variables)
+                {
+                    result.Add(new MonacoDocumentSymbol
+                    {
+                        Name = variable.Identifier.ValueText,
+                        Detail = field.Declaration.Type.ToString(),
+                        Kind = kind,
+                        Range = toRange(field.Span),
+                        SelectionRange = toRange(variable.Identifier.Span),
+                    });
+                }
+            }
+            else if (GetInfo(child) is { } info)
+            {
+                var children = ImmutableArray.CreateBuilder<MonacoDocumentSymbol>();
+                AddChildren(children, child, lines, offset);
+
+                result.Add(new MonacoDocumentSymbol
+                {
+                    Name = info.Name,
+                    Detail = info.Detail,
+                    Kind = info.Kind,
+                    Range = toRange(child.Span),
+                    SelectionRange = toRange(info.SelectionSpan),
+                    Children = children.Count == 0 ? default : children.DrainToImmutable(),
+                });
+            }
+            else
+            {
+                // Look for local functions in statements.
+                AddChildren(result, child, lines, offset);
+            }
+        }
+
+        MonacoRange toRange(TextSpan span)
+        {
+            return new TextSpan(span.Start + offset, span.Length).ToRange(lines);
+        }
+    }
+
+    private static (string Name, string? Detail, MonacoSymbolKind Kind, TextSpan SelectionSpan)? GetInfo(SyntaxNode node)
+    {
+        return node switch
+        {
+            BaseNamespaceDeclarationSyntax n => (n.Name.ToString(), null, MonacoSymbolKind.Namespace, n.Name.Span),
+            ExtensionBlockDeclarationSyntax e => ($"extension{e.TypeParameterList}{e.ParameterList}", null, MonacoSymbolKind.Class, e.Keyword.Span),
+            TypeDeclarationSyntax t => ($"{t.Identifier.ValueText}{t.TypeParameterList}", null, getTypeKind(t), t.Identifier.Span),
+            EnumDeclarationSyntax e => (e.Identifier.ValueText, null, MonacoSymbolKind.Enum, e.Identifier.Span),
+            EnumMemberDeclarationSyntax m => (m.Identifier.ValueText, null, MonacoSymbolKind.EnumMember, m.Identifier.Span),
+            DelegateDeclarationSyntax d => ($"{d.Identifier.ValueText}{d.TypeParameterList}", getParameters(d.ParameterList), MonacoSymbolKind.Function, d.Identifier.Span),
+            MethodDeclarationSyntax m => ($"{m.Identifier.ValueText}{m.TypeParameterList}", getParameters(m.ParameterList), MonacoSymbolKind.Method, m.Identifier.Span),
+            ConstructorDeclarationSyntax c => (c.Identifier.ValueText, getParameters(c.ParameterList), MonacoSymbolKind.Constructor, c.Identifier.Span),
+            DestructorDeclarationSyntax d => ($"~{d.Identifier.ValueText}", getParameters(d.ParameterList), MonacoSymbolKind.Method, d.Identifier.Span),
+            OperatorDeclarationSyntax o => ($"operator {o.OperatorToken.ValueText}", getParameters(o.ParameterList), MonacoSymbolKind.Operator, o.OperatorToken.Span),
+            ConversionOperatorDeclarationSyntax c => ($"{c.ImplicitOrExplicitKeyword.ValueText} operator {c.Type}", getParameters(c.ParameterList), MonacoSymbolKind.Operator, c.Type.Span),
+            PropertyDeclarationSyntax p => (p.Identifier.ValueText, p.Type.ToString(), MonacoSymbolKind.Property, p.Identifier.Span),
+            IndexerDeclarationSyntax i => ("this", getParameters(i.ParameterList), MonacoSymbolKind.Property, i.ThisKeyword.Span),
+            EventDeclarationSyntax e => (e.Identifier.ValueText, e.Type.ToString(), MonacoSymbolKind.Event, e.Identifier.Span),
+            LocalFunctionStatementSyntax f => ($"{f.Identifier.ValueText}{f.TypeParameterList}", getParameters(f.ParameterList), MonacoSymbolKind.Function, f.Identifier.Span),
+            _ => null,
+        };
+
+        static MonacoSymbolKind getTypeKind(TypeDeclarationSyntax type)
+        {
+            return type.Kind() switch
+            {
+                SyntaxKind.InterfaceDeclaration => MonacoSymbolKind.Interface,
+                SyntaxKind.StructDeclaration or SyntaxKind.RecordStructDeclaration => MonacoSymbolKind.Struct,
+                _ => MonacoSymbolKind.Class,
+            };
+        }
+
+        static string getParameters(BaseParameterListSyntax list)
+        {
+            var parameters = list.Parameters.Select(static p => p.Type?.ToString() ?? p.Identifier.ValueText).JoinToString(", ");
+            return list is BracketedParameterListSyntax ? $"[{parameters}]" : $"({parameters})";
+        }
+    }
+}
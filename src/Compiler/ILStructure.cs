@@ -0,0 +1,85 @@
+﻿namespace DotNetLab;
+
+/// <summary>
+/// Approximates structure of the IL output (produced by ILSpy's disassembler).
+/// </summary>
+internal static partial class ILStructure
+{
+    [GeneratedRegex("""^[ \t]*\.method\b""", RegexOptions.Multiline)]
+    private static partial Regex MethodStart { get; }
+
+    /// <summary>
+    /// <c>IL_xxxx</c> offset (a label definition if followed by a colon).
+    /// </summary>
+    [GeneratedRegex("""\bIL_[0-9a-fA-F]+\b(?<definition>:)?""")]
+    private static partial Regex Label { get; }
+
+    /// <summary>
+    /// Maps references to <c>IL_xxxx</c> labels (e.g., branch targets and exception handler bounds)
+    /// to their definitions in the same method (offsets restart in each method).
+    /// </summary>
+    public static DocumentMapping GetLabelReferences(string il)
+    {
+        var methodStarts = MethodStart.Matches(il);
+        int nextMethod = 0;
+        var definitions = new Dictionary<string, StringSpan>();
+        var references = new List<(string Label, StringSpan Span)>();
+        var result = new List<(StringSpan, StringSpan)>();
+
+        foreach (Match match in Label.Matches(il))
+        {
+            if (nextMethod < methodStarts.Count && methodStarts[nextMethod].Index <= match.Index)
+            {
+                flushMethod();
+
+                while (nextMethod < methodStarts.Count && methodStarts[nextMethod].Index <= match.Index)
+                {
+                    nextMethod++;
+                }
+            }
+
+            var label = match.Value.TrimEnd(':');
+            var span = new StringSpan { Start = match.Index, Length = label.Length };
+
+            if (match.Groups["definition"].Success && isAtLineStart(match.Index))
+            {
+                definitions.TryAdd(label, span);
+            }
+            else
+            {
+                references.Add((label, span));
+            }
+        }
+
+        flushMethod();
+
+        return new DocumentMapping(result);
+
+        void flushMethod()
+        {
+            foreach (var (label, span) in references)
+            {
+                if (definitions.TryGetValue(label, out var definition))
+                {
+                    result.Add((span, definition));
+                }
+            }
+
+            definitions.Clear();
+            references.Clear();
+        }
+
+        bool isAtLineStart(int position)
+        {
+            for (int i = position - 1; i >= 0 && il[i] != '\n'; i--)
+            {
+                if (!char.IsWhiteSpace(il[i]))
+                {
+                    return false;
+                }
+            }
+
+            return true;
+        }
+    }
+}
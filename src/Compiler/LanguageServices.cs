@@ -5,12 +5,18 @@ using Microsoft.CodeAnalysis;
 using Microsoft.CodeAnalysis.Classification;
 using Microsoft.CodeAnalysis.CodeActions;
 using Microsoft.CodeAnalysis.Completion;
+using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
 using Microsoft.CodeAnalysis.Diagnostics;
+using Microsoft.CodeAnalysis.FindSymbols;
 using Microsoft.CodeAnalysis.Host.Mef;
 using Microsoft.CodeAnalysis.QuickInfo;
+using Microsoft.CodeAnalysis.Rename;
 using Microsoft.CodeAnalysis.Text;
 using Microsoft.Extensions.Logging;
+using System.Collections.Concurrent;
 using System.Runtime.CompilerServices;
+using System.Runtime.InteropServices;
 using System.Text.Json;
 
 namespace DotNetLab;
@@ -18,6 +24,7 @@ namespace DotNetLab;
 internal sealed class LanguageServices : ILanguageServices
 {
     private readonly ILogger<LanguageServices> logger;
+    private readonly ILoggerFactory loggerFactory;
     private readonly Compiler compiler;
     private readonly ICompilerAssemblyLoader compilerAssemblyLoader;
     private readonly AsyncLock workspaceLock = new();
@@ -30,7 +37,11 @@ internal sealed class LanguageServices : ILanguageServices
     private readonly ProjectId configurationProjectId;
 
     private readonly ConditionalWeakTable<DocumentId, string> modelUris = new();
+    private readonly ConcurrentDictionary<string, (string ResultId, int[] Data)> semanticTokensCache = new();
     private (DocumentId DocId, RoslynCompletionList List)? lastCompletions;
+    private readonly ConcurrentDictionary<string, CodeActionList> codeActionsCache = new();
+    private long lastSemanticTokensResultId;
+    private long lastCodeActionsResultId;
     private CompiledAssembly? compilerDiagnostics;
     private ImmutableArray<MetadataReference> additionalConfigurationReferences;
     private ImmutableArray<DocumentId> additionalSourceDocuments;
@@ -39,10 +50,12 @@ internal sealed class LanguageServices : ILanguageServices
 
     public LanguageServices(
         ILogger<LanguageServices> logger,
+        ILoggerFactory loggerFactory,
         Compiler compiler,
         ICompilerAssemblyLoader compilerAssemblyLoader)
     {
         this.logger = logger;
+        this.loggerFactory = loggerFactory;
         this.compiler = compiler;
         this.compilerAssemblyLoader = compilerAssemblyLoader;
 
@@ -251,277 +264,1630 @@ internal sealed class LanguageServices : ILanguageServices
         var range = rangeJson is null ? null : JsonSerializer.Deserialize(rangeJson, BlazorMonacoJsonContext.Default.Range);
         try
         {
-            var (text, classifiedSpansMutable) = await factory(range);
+            var (text, classifiedSpans) = await factory(range);
 
-            classifiedSpansMutable.Sort(ClassifiedSpanComparer.Instance);
+            var bytes = ConvertSemanticTokens(logger, text, classifiedSpans, debug);
 
-            var classifiedSpans = (IReadOnlyList<ClassifiedSpan>)classifiedSpansMutable;
+            string result = Convert.ToBase64String(bytes);
+
+            logger.LogDebug("Got semantic tokens ({Bytes} bytes) for {DocPath}{Range} in {Milliseconds} ms", bytes.Length.SeparateThousands(), docPath, range.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return result;
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled completions for {DocPath}{Range} in {Time} ms", docPath, range.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return SemanticTokensUtil.CancelledResponse;
+        }
+    }
+
+    private static ReadOnlySpan<byte> ConvertSemanticTokens(ILogger logger, SourceText text, IList<ClassifiedSpan> classifiedSpansMutable, bool debug)
+    {
+        classifiedSpansMutable.Sort(ClassifiedSpanComparer.Instance);
+
+        var classifiedSpans = (IReadOnlyList<ClassifiedSpan>)classifiedSpansMutable;
+
+        // Monaco Editor doesn't support multiline and overlapping spans.
+        classifiedSpans = Classifier.ConvertMultiLineToSingleLineSpans(text, classifiedSpans);
+
+        List<string>? converted = null;
+        if (debug)
+        {
+            logger.LogDebug("Classified spans: {Spans}", classifiedSpans
+                .Select(s => $"{s.ClassificationType}[{text.ToString(s.TextSpan)}]")
+                .JoinToString(", "));
+            converted = new(classifiedSpans.Count);
+        }
+
+        var bytes = Classifier.ConvertToLspFormat(text, classifiedSpans, converted);
+
+        if (converted != null)
+        {
+            logger.LogDebug("Converted semantic tokens: {Tokens}", converted.JoinToString(", "));
+        }
+
+        return bytes;
+    }
+
+    /// <returns>
+    /// JSON-serialized <see cref="MonacoSemanticTokens"/> for the whole document:
+    /// edits if tokens identified by <paramref name="previousResultId"/> are still cached, full data otherwise.
+    /// </returns>
+    /// <remarks>
+    /// Only the latest tokens of each model are cached (until released via <see cref="ReleaseSemanticTokens"/>).
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/7c625024a1984d9f04f317940d518402f5898758/src/LanguageServer/Protocol/Handler/SemanticTokens/SemanticTokensFullDeltaHandler.cs"/>.
+    /// </remarks>
+    public async Task<string?> ProvideSemanticTokensEditsAsync(string modelUri, string? previousResultId, bool debug, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return JsonSerializer.Serialize(new MonacoSemanticTokens { Data = string.Empty }, BlazorMonacoJsonContext.Default.MonacoSemanticTokens);
+        }
+
+        var sw = Stopwatch.StartNew();
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            var classifiedSpans = (await Classifier.GetClassifiedSpansAsync(document, text.FullRange, cancellationToken)).AsList();
+            var data = MemoryMarshal.Cast<byte, int>(ConvertSemanticTokens(logger, text, classifiedSpans, debug)).ToArray();
+
+            var resultId = Interlocked.Increment(ref lastSemanticTokensResultId).ToString(CultureInfo.InvariantCulture);
+
+            MonacoSemanticTokens result;
+            if (previousResultId != null &&
+                semanticTokensCache.TryGetValue(modelUri, out var previous) &&
+                previous.ResultId == previousResultId)
+            {
+                result = new MonacoSemanticTokens
+                {
+                    ResultId = resultId,
+                    Edits = GetSemanticTokensEdit(previous.Data, data) is { } edit ? [edit] : [],
+                };
+            }
+            else
+            {
+                result = new MonacoSemanticTokens
+                {
+                    ResultId = resultId,
+                    Data = Convert.ToBase64String(MemoryMarshal.AsBytes(data.AsSpan())),
+                };
+            }
+
+            semanticTokensCache[modelUri] = (resultId, data);
+
+            logger.LogDebug("Got semantic tokens {Kind} ({Count} ints) for {ModelUri} in {Time} ms",
+                result.Edits.IsDefault ? "in full" : "as edits",
+                data.Length.SeparateThousands(),
+                modelUri,
+                sw.ElapsedMilliseconds.SeparateThousands());
+
+            return JsonSerializer.Serialize(result, BlazorMonacoJsonContext.Default.MonacoSemanticTokens);
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled semantic tokens for {ModelUri} in {Time} ms", modelUri, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return SemanticTokensUtil.CancelledResponse;
+        }
+    }
+
+    /// <summary>
+    /// Computes a single edit spanning from the first to the last changed int.
+    /// That is enough since typing usually changes tokens in one place only
+    /// (and tokens after the change are encoded relatively, so they stay the same).
+    /// </summary>
+    /// <returns>
+    /// <see langword="null"/> if there are no changes.
+    /// </returns>
+    private static MonacoSemanticTokensEdit? GetSemanticTokensEdit(int[] previous, int[] current)
+    {
+        int prefix = MemoryExtensions.CommonPrefixLength<int>(previous, current);
+        if (prefix == previous.Length && prefix == current.Length)
+        {
+            return null;
+        }
+
+        int maxSuffix = Math.Min(previous.Length, current.Length) - prefix;
+        int suffix = 0;
+        while (suffix < maxSuffix && previous[^(suffix + 1)] == current[^(suffix + 1)])
+        {
+            suffix++;
+        }
+
+        var inserted = current.AsSpan(prefix, current.Length - prefix - suffix);
+        return new MonacoSemanticTokensEdit
+        {
+            Start = prefix,
+            DeleteCount = previous.Length - prefix - suffix,
+            Data = Convert.ToBase64String(MemoryMarshal.AsBytes(inserted)),
+        };
+    }
+
+    public void ReleaseSemanticTokens(string resultId)
+    {
+        foreach (var entry in semanticTokensCache)
+        {
+            if (entry.Value.ResultId == resultId)
+            {
+                semanticTokensCache.TryRemove(entry);
+            }
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized list of <see cref="MonacoCodeAction"/>s.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    /// <remarks>
+    /// <para>
+    /// Edits are not computed here, see <see cref="ResolveCodeActionAsync"/>.
+    /// </para>
+    /// <para>
+    /// For inspiration, see <see href="https://github.com/dotnet/vscode-csharp/blob/4a83d86909df71ce209b3945e3f4696132cd3d45/src/omnisharp/features/codeActionProvider.ts"/>
+    /// and <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/CodeActions/CodeActionHelpers.cs"/>
+    /// </para>
+    /// </remarks>
+    public async Task<string?> ProvideCodeActionsAsync(string modelUri, string? rangeJson, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return null;
+        }
+
+        var sw = Stopwatch.StartNew();
+        var range = rangeJson is null ? null : JsonSerializer.Deserialize(rangeJson, BlazorMonacoJsonContext.Default.Range);
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            var lines = text.Lines;
+            var span = range is null ? text.FullRange : range.ToSpan(lines);
+
+            var fixes = await document.GetCodeActionsAsync(span, cancellationToken);
+            var refactorings = await document.GetCodeRefactoringsAsync(span, cancellationToken);
+            var time1 = sw.ElapsedMilliseconds;
+            sw.Restart();
+
+            var resultId = Interlocked.Increment(ref lastCodeActionsResultId).ToString(CultureInfo.InvariantCulture);
+
+            // Actions found to produce no edits when resolved are not offered again (until the workspace changes).
+            HashSet<string> withoutEdits = codeActionsCache.TryGetValue(modelUri, out var previous) &&
+                previous.Document.Project.Solution == document.Project.Solution
+                ? previous.WithoutEdits
+                : [];
+
+            var actions = ImmutableArray.CreateBuilder<(string Title, RoslynCodeAction Action)>();
+            var converted = ImmutableArray.CreateBuilder<MonacoCodeAction>();
+
+            foreach (var fix in fixes)
+            {
+                add(fix, MonacoCodeActionKind.QuickFix);
+            }
+
+            foreach (var (refactoring, kind) in refactorings)
+            {
+                add(refactoring, kind switch
+                {
+                    CodeRefactoringKindPublic.Extract => MonacoCodeActionKind.RefactorExtract,
+                    CodeRefactoringKindPublic.Inline => MonacoCodeActionKind.RefactorInline,
+                    CodeRefactoringKindPublic.Source => MonacoCodeActionKind.Source,
+                    _ => MonacoCodeActionKind.RefactorRewrite,
+                });
+            }
+
+            var allActions = actions.DrainToImmutable();
+            codeActionsCache[modelUri] = new(resultId, document, allActions, withoutEdits);
+
+            var json = JsonSerializer.Serialize(converted.DrainToImmutable(), BlazorMonacoJsonContext.Default.ImmutableArrayMonacoCodeAction);
+
+            var time2 = sw.ElapsedMilliseconds;
+            logger.LogDebug("Got code actions ({Count}) for {Range} in {Time1} + {Time2} ms", allActions.Length, range.Stringify(), time1.SeparateThousands(), time2.SeparateThousands());
+
+            return json;
+
+            void add(RoslynCodeAction codeAction, string kind)
+            {
+                foreach (var (prefix, flattened) in flatten(null, [codeAction]))
+                {
+                    var title = addPrefix(prefix, flattened.Title);
+                    if (withoutEdits.Contains(title))
+                    {
+                        continue;
+                    }
+
+                    converted.Add(new()
+                    {
+                        ResultId = resultId,
+                        ModelUri = modelUri,
+                        Index = actions.Count,
+                        Title = title,
+                        Kind = kind,
+                    });
+                    actions.Add((title, flattened));
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled code actions for {Range} in {Time} ms", range.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            // `null` will be transformed into an exception at the front end.
+            return null;
+        }
+
+        static IEnumerable<(string? Prefix, RoslynCodeAction Action)> flatten(string? prefix, ImmutableArray<RoslynCodeAction> codeActions)
+        {
+            foreach (var codeAction in codeActions)
+            {
+                if (codeAction.NestedActions.IsDefaultOrEmpty)
+                {
+                    yield return (prefix, codeAction);
+                    continue;
+                }
+
+                var nestedPrefix = addPrefix(prefix, codeAction.Title);
+                foreach (var nestedCodeAction in flatten(nestedPrefix, codeAction.NestedActions))
+                {
+                    yield return nestedCodeAction;
+                }
+            }
+        }
+
+        static string addPrefix(string? prefix, string nested)
+        {
+            if (string.IsNullOrEmpty(prefix))
+            {
+                return nested;
+            }
+
+            return $"{prefix}: {nested}";
+        }
+    }
+
+    /// <summary>
+    /// Fills <see cref="MonacoCodeAction.Edit"/> of a code action returned from <see cref="ProvideCodeActionsAsync"/>.
+    /// </summary>
+    /// <returns>
+    /// JSON-serialized <see cref="MonacoCodeAction"/>.
+    /// </returns>
+    public async Task<string?> ResolveCodeActionAsync(MonacoCodeAction action, CancellationToken cancellationToken)
+    {
+        // Try to find the corresponding Roslyn code action
+        // (the action might come from an outdated list, e.g., one cached by the client).
+        if (action.ModelUri is not { } modelUri ||
+            !codeActionsCache.TryGetValue(modelUri, out var list) ||
+            list.ResultId != action.ResultId ||
+            action.Index < 0 || action.Index >= list.Actions.Length ||
+            list.Actions[action.Index] is not (var title, var codeAction) ||
+            title != action.Title)
+        {
+            logger.LogDebug("Cannot resolve outdated code action {Title}", action.Title);
+            return null;
+        }
+
+        var document = list.Document;
+
+        var sw = Stopwatch.StartNew();
+        try
+        {
+            // Compute the edits against the solution the code action was created for.
+            var solution = document.Project.Solution;
+
+            var operations = await codeAction.GetOperationsAsync(solution, NullProgress<CodeAnalysisProgress>.Instance, cancellationToken);
+
+            var edits = ImmutableArray.CreateBuilder<WorkspaceTextEdit>();
+
+            foreach (var operation in operations)
+            {
+                if (operation is not ApplyChangesOperation applyChangesOperation)
+                {
+                    continue;
+                }
+
+                cancellationToken.ThrowIfCancellationRequested();
+
+                var changes = applyChangesOperation.ChangedSolution.GetChanges(solution);
+                var newSolution = await applyChangesOperation.ChangedSolution.WithMergedLinkedFileChangesAsync(solution, changes, cancellationToken);
+
+                await AddWorkspaceTextEditsAsync(edits, solution, newSolution, cancellationToken);
+            }
+
+            if (edits.Count == 0)
+            {
+                list.WithoutEdits.Add(title);
+                logger.LogDebug("Code action {Title} produced no edits", action.Title);
+                return null;
+            }
+
+            action.Edit = new()
+            {
+                Edits = edits.DrainToImmutable(),
+            };
+
+            logger.LogDebug("Resolved code action {Title} ({Count} edits) in {Time} ms", action.Title, action.Edit.Edits.Length, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return JsonSerializer.Serialize(action, BlazorMonacoJsonContext.Default.MonacoCodeAction);
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled resolving code action {Title} in {Time} ms", action.Title, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Converts changes between <paramref name="oldSolution"/> and <paramref name="newSolution"/> into Monaco edits.
+    /// Documents which do not correspond to any Monaco model are skipped.
+    /// </summary>
+    private async Task AddWorkspaceTextEditsAsync(ImmutableArray<WorkspaceTextEdit>.Builder edits, Solution oldSolution, Solution newSolution, CancellationToken cancellationToken)
+    {
+        var textDiffService = oldSolution.Services.GetDocumentTextDifferencingService();
+
+        var projectChanges = newSolution.GetChanges(oldSolution).GetProjectChanges();
+
+        foreach (var documentId in projectChanges.SelectMany(pc => pc.GetChangedDocuments()))
+        {
+            var newDocument = newSolution.GetDocument(documentId);
+            var oldDocument = oldSolution.GetDocument(documentId);
+
+            if (oldDocument is null || newDocument is null ||
+                !modelUris.TryGetValue(newDocument.Id, out var newUri))
+            {
+                continue;
+            }
+
+            cancellationToken.ThrowIfCancellationRequested();
+
+            var textChanges = await textDiffService.GetTextChangesAsync(oldDocument, newDocument, cancellationToken);
+
+            var oldText = await oldDocument.GetTextAsync(cancellationToken);
+
+            foreach (var textChange in textChanges)
+            {
+                edits.Add(new WorkspaceTextEdit
+                {
+                    ResourceUri = newUri,
+                    TextEdit = new()
+                    {
+                        Text = textChange.NewText ?? string.Empty,
+                        Range = textChange.Span.ToRange(oldText.Lines),
+                    },
+                });
+            }
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized <see cref="MonacoHover"/>.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/Hover/HoverHandler.cs#L26"/>.
+    /// </remarks>
+    public async Task<string?> ProvideHoverAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return "null";
+        }
+
+        var sw = Stopwatch.StartNew();
+        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
+            var quickInfoService = document.Project.Services.GetRequiredService<QuickInfoService>();
+            var quickInfo = await quickInfoService.GetQuickInfoAsync(document, caretPosition, cancellationToken);
+            if (quickInfo == null)
+            {
+                return "null";
+            }
+
+            var language = document.Project.Language;
+            var contents = ImmutableArray.CreateBuilder<string>();
+
+            foreach (var section in quickInfo.Sections)
+            {
+                // Render the signature as a colorized code block.
+                IEnumerable<TaggedText> tags = section.Kind == QuickInfoSectionKinds.Description
+                    ? [new(TextTagsInternal.CodeBlockStart, ""), .. section.TaggedParts, new(TextTagsInternal.CodeBlockEnd, "")]
+                    : section.TaggedParts;
+
+                contents.Add(MonacoConversions.GetMarkdown(tags, language));
+            }
+
+            var root = await document.GetSyntaxRootAsync(cancellationToken);
+            var model = await document.GetSemanticModelAsync(cancellationToken);
+            var token = root!.FindToken(quickInfo.Span.Start);
+
+            if (getConstantValue(model!, token, cancellationToken) is { } constantValue)
+            {
+                // Use double backticks to escape code which contains a backtick.
+                contents.Add(constantValue.Contains('`') ? $"Constant value: ``{constantValue}``" : $"Constant value: `{constantValue}`");
+            }
+
+            var symbol = await SymbolFinder.FindSymbolAtPositionAsync(document, token.SpanStart, cancellationToken);
+            if (symbol is IMethodSymbol { ReducedFrom: { } reducedFrom })
+            {
+                symbol = reducedFrom;
+            }
+
+            if (symbol?.OriginalDefinition is { } definition)
+            {
+                var links = new List<string>(2);
+
+                if (definition.Locations.Any(static l => l.IsInSource) &&
+                    definition is INamedTypeSymbol or IFieldSymbol or IPropertySymbol or IEventSymbol
+                        or IMethodSymbol { MethodKind: not (MethodKind.LocalFunction or MethodKind.AnonymousFunction) })
+                {
+                    links.Add(MonacoCommands.GetShowOutputLink("Show IL for this member", new()
+                    {
+                        OutputType = "il",
+                        MemberName = definition.MetadataName,
+                    }));
+                }
+
+                links.Add(MonacoCommands.GetShowOutputLink("Show in Symbols output", new()
+                {
+                    OutputType = "tree",
+                    Position = token.SpanStart,
+                }));
+
+                contents.Add(links.JoinToString(" | "));
+            }
+
+            var hover = new MonacoHover
+            {
+                Contents = contents.DrainToImmutable(),
+                Range = quickInfo.Span.ToRange(text.Lines),
+            };
+
+            var hoverJson = JsonSerializer.Serialize(hover, BlazorMonacoJsonContext.Default.MonacoHover);
+
+            logger.LogDebug("Got hover ({Length}) for {Position} in {Time} ms", hoverJson.Length, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return hoverJson;
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled hover for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+
+        static string? getConstantValue(SemanticModel model, SyntaxToken token, CancellationToken cancellationToken)
+        {
+            // Literals are obvious, constant fields and locals have their value displayed in the signature already.
+            if (token.Parent is not ExpressionSyntax expression ||
+                expression is LiteralExpressionSyntax ||
+                model.GetSymbolInfo(expression, cancellationToken).Symbol is IFieldSymbol { HasConstantValue: true } or ILocalSymbol { HasConstantValue: true })
+            {
+                return null;
+            }
+
+            // Evaluate the whole `nameof(...)` when hovering its keyword.
+            if (expression.Parent is InvocationExpressionSyntax invocation && invocation.Expression == expression)
+            {
+                expression = invocation;
+            }
+
+            var constant = model.GetConstantValue(expression, cancellationToken);
+            return constant.HasValue
+                ? SymbolDisplay.FormatPrimitive(constant.Value!, quoteStrings: true, useHexadecimalNumbers: false)
+                : null;
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized <see cref="SignatureHelp"/>.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/SignatureHelp/SignatureHelpHandler.cs#L25"/>.
+    /// </remarks>
+    public async Task<string?> ProvideSignatureHelpAsync(string modelUri, string positionJson, string contextJson, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return "null";
+        }
+
+        var sw = Stopwatch.StartNew();
+        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
+            var context = JsonSerializer.Deserialize(contextJson, BlazorMonacoJsonContext.Default.SignatureHelpContext)!;
+            var signatureHelp = await document.GetSignatureHelpAsync(caretPosition, context.ToReason(), context.TriggerCharacter, context.GetActiveSignature(), cancellationToken);
+            var signatureHelpJson = JsonSerializer.Serialize(signatureHelp, BlazorMonacoJsonContext.Default.SignatureHelp);
+
+            logger.LogDebug("Got signature help ({Length}) for {Position} in {Time} ms", signatureHelpJson.Length, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return signatureHelpJson;
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled signature help for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized <see cref="MonacoDefinition"/>.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/Definitions/AbstractGoToDefinitionHandler.cs"/>.
+    /// </remarks>
+    public async Task<string?> ProvideDefinitionAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return serialize(new MonacoDefinition { Locations = [] });
+        }
+
+        var sw = Stopwatch.StartNew();
+        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
+            var symbol = await SymbolFinder.FindSymbolAtPositionAsync(document, caretPosition, cancellationToken);
+            if (symbol is IMethodSymbol { ReducedFrom: { } reducedFrom })
+            {
+                symbol = reducedFrom;
+            }
+
+            symbol = symbol?.OriginalDefinition;
+
+            var result = new MonacoDefinition { Locations = [] };
+
+            if (symbol is { Locations: var symbolLocations })
+            {
+                var solution = document.Project.Solution;
+                var locations = ImmutableArray.CreateBuilder<MonacoLocation>();
+                foreach (var location in symbolLocations)
+                {
+                    // Skip documents which don't correspond to any model (e.g., additional sources from the compiler).
+                    if (location.IsInSource &&
+                        solution.GetDocument(location.SourceTree) is { } locationDocument &&
+                        modelUris.TryGetValue(locationDocument.Id, out var uri))
+                    {
+                        var locationText = await locationDocument.GetTextAsync(cancellationToken);
+                        locations.Add(new()
+                        {
+                            Uri = uri,
+                            Range = location.SourceSpan.ToRange(locationText.Lines),
+                        });
+                    }
+                }
+
+                if (locations.Count != 0)
+                {
+                    result = new MonacoDefinition { Locations = locations.DrainToImmutable() };
+                }
+                else if (symbolLocations.Any(static l => l.IsInMetadata) &&
+                    MetadataAsSource.TryDecompile(
+                        symbol,
+                        compiler.LastResult?.Output.ReferenceAssemblies?.Assemblies ?? RefAssemblies.All,
+                        loggerFactory,
+                        out var metadataUri,
+                        out var metadataText,
+                        out var metadataSpan))
+                {
+                    result = new MonacoDefinition
+                    {
+                        Locations =
+                        [
+                            new()
+                            {
+                                Uri = metadataUri,
+                                Range = metadataSpan.ToRange(SourceText.From(metadataText).Lines),
+                            },
+                        ],
+                        MetadataSourceText = metadataText,
+                    };
+                }
+            }
+
+            logger.LogDebug("Got definitions ({Count}) for {Position} in {Time} ms", result.Locations.Length, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return serialize(result);
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled definitions for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+
+        static string serialize(MonacoDefinition definition)
+        {
+            return JsonSerializer.Serialize(definition, BlazorMonacoJsonContext.Default.MonacoDefinition);
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized list of <see cref="MonacoLocation"/>s.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/References/FindAllReferencesHandler.cs"/>.
+    /// </remarks>
+    public async Task<string?> ProvideReferencesAsync(string modelUri, string positionJson, bool includeDeclaration, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return "[]";
+        }
+
+        var sw = Stopwatch.StartNew();
+        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
+            var symbol = await SymbolFinder.FindSymbolAtPositionAsync(document, caretPosition, cancellationToken);
+            if (symbol == null)
+            {
+                return "[]";
+            }
+
+            var solution = document.Project.Solution;
+            var references = await SymbolFinder.FindReferencesAsync(symbol, solution, cancellationToken);
+
+            var locations = new List<(DocumentId DocumentId, TextSpan Span)>();
+            foreach (var reference in references)
+            {
+                if (includeDeclaration)
+                {
+                    foreach (var location in reference.Definition.Locations)
+                    {
+                        if (location.IsInSource && solution.GetDocumentId(location.SourceTree) is { } documentId)
+                        {
+                            locations.Add((documentId, location.SourceSpan));
+                        }
+                    }
+                }
+
+                foreach (var location in reference.Locations)
+                {
+                    locations.Add((location.Document.Id, location.Location.SourceSpan));
+                }
+            }
+
+            var result = ImmutableArray.CreateBuilder<MonacoLocation>(locations.Count);
+            foreach (var (documentId, span) in locations.Distinct())
+            {
+                // Skip documents which don't correspond to any model (e.g., additional sources from the compiler).
+                if (!modelUris.TryGetValue(documentId, out var uri) ||
+                    solution.GetDocument(documentId) is not { } locationDocument)
+                {
+                    continue;
+                }
 
-            // Monaco Editor doesn't support multiline and overlapping spans.
-            classifiedSpans = Classifier.ConvertMultiLineToSingleLineSpans(text, classifiedSpans);
+                var locationText = await locationDocument.GetTextAsync(cancellationToken);
+                result.Add(new()
+                {
+                    Uri = uri,
+                    Range = span.ToRange(locationText.Lines),
+                });
+            }
+
+            var converted = result.DrainToImmutable();
+            var json = JsonSerializer.Serialize(converted, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoLocation);
+
+            logger.LogDebug("Got references ({Count}) for {Position} in {Time} ms", converted.Length, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return json;
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled references for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized <see cref="MonacoRenameLocation"/>.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    public async Task<string?> ResolveRenameLocationAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return JsonSerializer.Serialize(new MonacoRenameLocation { RejectReason = "Rename is only supported in C# files." }, BlazorMonacoJsonContext.Default.MonacoRenameLocation);
+        }
+
+        var sw = Stopwatch.StartNew();
+        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
+            var (_, token, rejectReason) = await FindRenameTargetAsync(document, caretPosition, cancellationToken);
+
+            var result = rejectReason != null
+                ? new MonacoRenameLocation { RejectReason = rejectReason }
+                : new MonacoRenameLocation { Range = token.Span.ToRange(text.Lines), Text = token.Text };
+
+            logger.LogDebug("Resolved rename location ({Text}) for {Position} in {Time} ms", result.Text ?? result.RejectReason, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return JsonSerializer.Serialize(result, BlazorMonacoJsonContext.Default.MonacoRenameLocation);
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled rename location for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized <see cref="MonacoWorkspaceEdit"/>.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    /// <param name="razorCodes">
+    /// Texts of Razor inputs by model URI (those are not part of our workspace).
+    /// </param>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/Rename/RenameHandler.cs"/>.
+    /// </remarks>
+    public async Task<string?> ProvideRenameEditsAsync(string modelUri, string positionJson, string newName, ImmutableDictionary<string, string> razorCodes, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return JsonSerializer.Serialize(new MonacoWorkspaceEdit { Edits = [], RejectReason = "Rename is only supported in C# files." }, BlazorMonacoJsonContext.Default.MonacoWorkspaceEdit);
+        }
+
+        var sw = Stopwatch.StartNew();
+        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
+        try
+        {
+            // Razor code blocks are added as temporary documents (never applied to the workspace), so references there are renamed, too.
+            var solution = document.Project.Solution;
+            var (razorSolution, razorDocuments) = AddRazorCodeBlocks(solution, document.Project.Id, razorCodes, cancellationToken);
+            document = razorSolution.GetDocument(document.Id)!;
+
+            var text = await document.GetTextAsync(cancellationToken);
+            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
+            var (symbol, _, rejectReason) = await FindRenameTargetAsync(document, caretPosition, cancellationToken);
+
+            if (rejectReason == null && !SyntaxFacts.IsValidIdentifier(newName.StartsWith('@') ? newName[1..] : newName))
+            {
+                rejectReason = $"'{newName}' is not a valid identifier.";
+            }
+
+            if (rejectReason != null)
+            {
+                return JsonSerializer.Serialize(new MonacoWorkspaceEdit { Edits = [], RejectReason = rejectReason }, BlazorMonacoJsonContext.Default.MonacoWorkspaceEdit);
+            }
+
+            var newSolution = await Renamer.RenameSymbolAsync(razorSolution, symbol!, new SymbolRenameOptions(), newName, cancellationToken);
+
+            var edits = ImmutableArray.CreateBuilder<WorkspaceTextEdit>();
+            await AddWorkspaceTextEditsAsync(edits, razorSolution, newSolution, cancellationToken);
+            await AddRazorRenameEditsAsync(edits, symbol!, newName, razorCodes, razorDocuments, razorSolution, newSolution, cancellationToken);
+            var result = new MonacoWorkspaceEdit { Edits = edits.DrainToImmutable() };
+
+            logger.LogDebug("Got rename edits ({Count}) for {Position} in {Time} ms", result.Edits.Length, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return JsonSerializer.Serialize(result, BlazorMonacoJsonContext.Default.MonacoWorkspaceEdit);
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled rename edits for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized list of <see cref="MonacoDocumentSymbol"/>s.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    /// <param name="razorCode">
+    /// Text of the model if it is a Razor input (those are not part of our workspace).
+    /// </param>
+    public async Task<string?> ProvideDocumentSymbolsAsync(string modelUri, string? razorCode, CancellationToken cancellationToken)
+    {
+        var sw = Stopwatch.StartNew();
+        try
+        {
+            ImmutableArray<MonacoDocumentSymbol> symbols;
+            if (razorCode != null)
+            {
+                CompiledAssembly.TryParseInputModelUri(modelUri, out var fileName);
+                symbols = DocumentSymbols.GetRazor(fileName ?? string.Empty, razorCode, cancellationToken);
+            }
+            else if (TryGetDocument(modelUri, out var document))
+            {
+                var root = await document.GetSyntaxRootAsync(cancellationToken);
+                var text = await document.GetTextAsync(cancellationToken);
+                symbols = DocumentSymbols.Get(root!, text);
+            }
+            else
+            {
+                return "[]";
+            }
+
+            var json = JsonSerializer.Serialize(symbols, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoDocumentSymbol);
+
+            logger.LogDebug("Got document symbols ({Count}) for {ModelUri} in {Time} ms", symbols.Length, modelUri, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return json;
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled document symbols for {ModelUri} in {Time} ms", modelUri, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized list of <see cref="MonacoCodeLens"/>es.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    public async Task<string?> ProvideCodeLensesAsync(string modelUri, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return "[]";
+        }
+
+        var sw = Stopwatch.StartNew();
+        try
+        {
+            var root = await document.GetSyntaxRootAsync(cancellationToken);
+            var model = await document.GetSemanticModelAsync(cancellationToken);
+            var text = await document.GetTextAsync(cancellationToken);
+            var lenses = ImmutableArray.CreateBuilder<MonacoCodeLens>();
+
+            // Members are not searched inside bodies.
+            var members = root!.DescendantNodes(static n => n is CompilationUnitSyntax or BaseNamespaceDeclarationSyntax or TypeDeclarationSyntax)
+                .OfType<MemberDeclarationSyntax>();
+            foreach (var member in members)
+            {
+                if (member is not (MethodDeclarationSyntax or PropertyDeclarationSyntax or ConstructorDeclarationSyntax) ||
+                    model!.GetDeclaredSymbol(member, cancellationToken) is not { } symbol)
+                {
+                    continue;
+                }
+
+                // Each output names the member differently (e.g., the JIT compiles property accessors
+                // and the decompiler names constructors after their type).
+                var range = member.Span.ToRange(text.Lines);
+                var accessor = symbol is IPropertySymbol property ? property.GetMethod ?? property.SetMethod : symbol;
+                var sourceName = symbol is IMethodSymbol { MethodKind: MethodKind.Constructor or MethodKind.StaticConstructor }
+                    ? symbol.ContainingType.Name
+                    : symbol.Name;
+
+                lenses.Add(lens("IL", "il", symbol.MetadataName));
+                lenses.Add(lens("JIT Asm", "asm", accessor?.MetadataName));
+                lenses.Add(lens("Lowered C#", "cs", sourceName));
+
+                MonacoCodeLens lens(string title, string outputType, string? memberName)
+                {
+                    return new MonacoCodeLens
+                    {
+                        Range = range,
+                        Command = new()
+                        {
+                            Id = MonacoCommands.ShowOutput,
+                            Title = title,
+                            Arguments = [new() { OutputType = outputType, MemberName = memberName }],
+                        },
+                    };
+                }
+            }
+
+            var result = lenses.DrainToImmutable();
+            var json = JsonSerializer.Serialize(result, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoCodeLens);
+
+            logger.LogDebug("Got code lenses ({Count}) for {ModelUri} in {Time} ms", result.Length, modelUri, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return json;
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled code lenses for {ModelUri} in {Time} ms", modelUri, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    private static readonly SymbolDisplayFormat s_workspaceSymbolFormat = new(
+        genericsOptions: SymbolDisplayGenericsOptions.IncludeTypeParameters,
+        memberOptions: SymbolDisplayMemberOptions.IncludeParameters,
+        parameterOptions: SymbolDisplayParameterOptions.IncludeType,
+        miscellaneousOptions: SymbolDisplayMiscellaneousOptions.UseSpecialTypes);
+
+    /// <summary>
+    /// Finds types and members declared in any C# input whose name matches <paramref name="query"/>
+    /// (using the same fuzzy matching as Visual Studio's "Go To All", e.g., <c>GFN</c> matches <c>GetFileName</c>).
+    /// </summary>
+    /// <returns>
+    /// JSON-serialized list of <see cref="MonacoSymbolInformation"/>s.
+    /// </returns>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/Symbols/WorkspaceSymbolsHandler.cs"/>.
+    /// </remarks>
+    public async Task<string?> ProvideWorkspaceSymbolsAsync(string query, CancellationToken cancellationToken)
+    {
+        const int maxResults = 100;
+
+        if (string.IsNullOrWhiteSpace(query))
+        {
+            return "[]";
+        }
+
+        var sw = Stopwatch.StartNew();
+        try
+        {
+            var solution = workspace.CurrentSolution;
+            var result = ImmutableArray.CreateBuilder<MonacoSymbolInformation>();
+
+            foreach (var project in solution.Projects)
+            {
+                var symbols = await SymbolFinder.FindSourceDeclarationsWithPatternAsync(project, query.Trim(), SymbolFilter.TypeAndMember, cancellationToken);
+                foreach (var symbol in symbols)
+                {
+                    if (symbol.IsImplicitlyDeclared)
+                    {
+                        continue;
+                    }
+
+                    foreach (var location in symbol.Locations)
+                    {
+                        // Skip documents which don't correspond to any model (e.g., additional sources from the compiler).
+                        if (!location.IsInSource ||
+                            solution.GetDocumentId(location.SourceTree) is not { } documentId ||
+                            !modelUris.TryGetValue(documentId, out var uri))
+                        {
+                            continue;
+                        }
+
+                        result.Add(new MonacoSymbolInformation
+                        {
+                            Name = symbol.ToDisplayString(s_workspaceSymbolFormat),
+                            ContainerName = symbol.ContainingSymbol is { } container and not INamespaceSymbol { IsGlobalNamespace: true }
+                                ? container.ToDisplayString()
+                                : null,
+                            Kind = symbol.ToSymbolKind(),
+                            Location = new MonacoLocation
+                            {
+                                Uri = uri,
+                                Range = location.GetLineSpan().Span.ToRange(),
+                            },
+                        });
+                    }
+                }
+            }
+
+            var converted = result
+                .OrderBy(static s => s.Name, StringComparer.OrdinalIgnoreCase)
+                .Take(maxResults)
+                .ToImmutableArray();
+            var json = JsonSerializer.Serialize(converted, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoSymbolInformation);
+
+            logger.LogDebug("Got workspace symbols ({Count}/{Total}) for {Query} in {Time} ms", converted.Length, result.Count, query, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return json;
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled workspace symbols for {Query} in {Time} ms", query, sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized list of <see cref="MonacoDocumentHighlight"/>s.
+    /// </returns>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/Highlights/DocumentHighlightHandler.cs"/>.
+    /// </remarks>
+    public async Task<string?> ProvideDocumentHighlightsAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return "[]";
+        }
+
+        var sw = Stopwatch.StartNew();
+        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
+            var highlights = await document.GetDocumentHighlightsAsync(caretPosition, cancellationToken);
+
+            var result = highlights.SelectAsArray(h => new MonacoDocumentHighlight
+            {
+                Range = h.TextSpan.ToRange(text.Lines),
+                Kind = h.Kind switch
+                {
+                    HighlightSpanKindPublic.Definition or HighlightSpanKindPublic.WrittenReference => MonacoDocumentHighlightKind.Write,
+                    HighlightSpanKindPublic.Reference => MonacoDocumentHighlightKind.Read,
+                    _ => MonacoDocumentHighlightKind.Text,
+                },
+            });
+
+            var json = JsonSerializer.Serialize(result, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoDocumentHighlight);
+
+            logger.LogDebug("Got document highlights ({Count}) for {Position} in {Time} ms", result.Length, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return json;
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled document highlights for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+
+            return null;
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized <see cref="MonacoLinkedEditingRanges"/> or <see langword="null"/> if there are none.
+    /// </returns>
+    /// <param name="razorCode">
+    /// Text of the model if it is a Razor input (those are not part of our workspace).
+    /// Only matching Razor/HTML tags are linked, so there is nothing to do for C# inputs.
+    /// </param>
+    public Task<string?> ProvideLinkedEditingRangesAsync(string modelUri, string? razorCode, string positionJson, CancellationToken cancellationToken)
+    {
+        if (razorCode == null)
+        {
+            return Task.FromResult<string?>(null);
+        }
+
+        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
+        try
+        {
+            var lines = SourceText.From(razorCode).Lines;
+            int offset = lines.GetPosition(position.ToLinePosition());
+            var codeBlocks = RazorStructure.GetCodeBlocks(razorCode, cancellationToken).ToImmutableArray();
+
+            if (RazorStructure.GetMatchingTagNames(razorCode, offset, codeBlocks) is not (var opening, var closing))
+            {
+                return Task.FromResult<string?>(null);
+            }
+
+            var result = new MonacoLinkedEditingRanges { Ranges = [opening.ToRange(lines), closing.ToRange(lines)] };
+            return Task.FromResult<string?>(JsonSerializer.Serialize(result, BlazorMonacoJsonContext.Default.MonacoLinkedEditingRanges));
+        }
+        catch (OperationCanceledException)
+        {
+            logger.LogDebug("Canceled linked editing ranges for {Position}", position.Stringify());
+
+            return Task.FromResult<string?>(null);
+        }
+    }
+
+    /// <returns>
+    /// JSON-serialized list of <see cref="MonacoFoldingRange"/>s.
+    /// </returns>
+    /// <param name="razorCode">
+    /// Text of the model if it is a Razor input (those are not part of our workspace).
+    /// </param>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/FoldingRanges/FoldingRangesHandler.cs"/>.
+    /// </remarks>
+    public async Task<string?> ProvideFoldingRangesAsync(string modelUri, string? razorCode, CancellationToken cancellationToken)
+    {
+        var sw = Stopwatch.StartNew();
+        try
+        {
+            var result = ImmutableArray.CreateBuilder<MonacoFoldingRange>();
+
+            if (razorCode != null)
+            {
+                var lines = SourceText.From(razorCode).Lines;
+                var codeBlocks = RazorStructure.GetCodeBlocks(razorCode, cancellationToken).ToImmutableArray();
+                foreach (var codeBlock in codeBlocks)
+                {
+                    addRange(lines, codeBlock.Span, BlockTypePublic.Other);
+
+                    // Let Roslyn compute the regions in a temporary document (never applied to the workspace).
+                    var codeBlockDocument = GetProject(configuration: false).AddDocument("RazorCodeBlock.cs", await codeBlock.Syntax.SyntaxTree.GetTextAsync(cancellationToken));
+                    foreach (var blockSpan in await codeBlockDocument.GetBlockSpansAsync(cancellationToken))
+                    {
+                        if (codeBlock.TryGetRazorSpan(blockSpan.TextSpan, out var razorSpan))
+                        {
+                            addRange(lines, razorSpan, blockSpan.Type);
+                        }
+                    }
+                }
 
-            List<string>? converted = null;
-            if (debug)
+                foreach (var (startLine, endLine, type) in RazorStructure.GetMarkupFoldingRanges(razorCode, lines, codeBlocks))
+                {
+                    result.Add(new MonacoFoldingRange { Start = startLine + 1, End = endLine + 1, Kind = toKind(type) });
+                }
+            }
+            else if (TryGetDocument(modelUri, out var document))
             {
-                logger.LogDebug("Classified spans: {Spans}", classifiedSpans
-                    .Select(s => $"{s.ClassificationType}[{text.ToString(s.TextSpan)}]")
-                    .JoinToString(", "));
-                converted = new(classifiedSpans.Count);
+                var text = await document.GetTextAsync(cancellationToken);
+                foreach (var blockSpan in await document.GetBlockSpansAsync(cancellationToken))
+                {
+                    addRange(text.Lines, blockSpan.TextSpan, blockSpan.Type);
+                }
             }
-
-            var bytes = Classifier.ConvertToLspFormat(text, classifiedSpans, converted);
-
-            if (converted != null)
+            else
             {
-                logger.LogDebug("Converted semantic tokens: {Tokens}", converted.JoinToString(", "));
+                return "[]";
             }
 
-            string result = Convert.ToBase64String(bytes);
+            // The same region can be reported multiple times (e.g., a Razor code block and its artificial class).
+            var converted = result.DistinctBy(static r => (r.Start, r.End)).ToImmutableArray();
+            var json = JsonSerializer.Serialize(converted, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoFoldingRange);
 
-            logger.LogDebug("Got semantic tokens ({Bytes} bytes) for {DocPath}{Range} in {Milliseconds} ms", bytes.Length.SeparateThousands(), docPath, range.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+            logger.LogDebug("Got folding ranges ({Count}) for {ModelUri} in {Time} ms", converted.Length, modelUri, sw.ElapsedMilliseconds.SeparateThousands());
 
-            return result;
+            return json;
         }
         catch (OperationCanceledException)
         {
-            logger.LogDebug("Canceled completions for {DocPath}{Range} in {Time} ms", docPath, range.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+            logger.LogDebug("Canceled folding ranges for {ModelUri} in {Time} ms", modelUri, sw.ElapsedMilliseconds.SeparateThousands());
 
-            return SemanticTokensUtil.CancelledResponse;
+            return null;
+        }
+
+        void addRange(TextLineCollection lines, TextSpan span, BlockTypePublic type)
+        {
+            var lineSpan = lines.GetLinePositionSpan(span);
+
+            // Single-line regions cannot be folded.
+            if (lineSpan.Start.Line < lineSpan.End.Line)
+            {
+                result.Add(new MonacoFoldingRange { Start = lineSpan.Start.Line + 1, End = lineSpan.End.Line + 1, Kind = toKind(type) });
+            }
+        }
+
+        static string? toKind(BlockTypePublic type)
+        {
+            return type switch
+            {
+                BlockTypePublic.Comment => "comment",
+                BlockTypePublic.Imports => "imports",
+                BlockTypePublic.Region => "region",
+                _ => null,
+            };
         }
     }
 
     /// <returns>
-    /// JSON-serialized list of <see cref="MonacoCodeAction"/>s.
-    /// We serialize here to avoid serializing twice unnecessarily
-    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// JSON-serialized list of lists of <see cref="MonacoRange"/>s (from the innermost to the outermost) for each of the positions.
     /// </returns>
-    /// <remarks>
-    /// For inspiration, see <see href="https://github.com/dotnet/vscode-csharp/blob/4a83d86909df71ce209b3945e3f4696132cd3d45/src/omnisharp/features/codeActionProvider.ts"/>
-    /// and <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/CodeActions/CodeActionHelpers.cs"/>
-    /// </remarks>
-    public async Task<string?> ProvideCodeActionsAsync(string modelUri, string? rangeJson, CancellationToken cancellationToken)
+    /// <param name="razorCode">
+    /// Text of the model if it is a Razor input (those are not part of our workspace).
+    /// </param>
+    public async Task<string?> ProvideSelectionRangesAsync(string modelUri, string? razorCode, string positionsJson, CancellationToken cancellationToken)
     {
-        if (!TryGetDocument(modelUri, out var document))
-        {
-            return null;
-        }
-
         var sw = Stopwatch.StartNew();
-        var range = rangeJson is null ? null : JsonSerializer.Deserialize(rangeJson, BlazorMonacoJsonContext.Default.Range);
+        var positions = JsonSerializer.Deserialize(positionsJson, BlazorMonacoJsonContext.Default.ImmutableArrayPosition);
         try
         {
-            var text = await document.GetTextAsync(cancellationToken);
-            var lines = text.Lines;
-            var span = range is null ? text.FullRange : range.ToSpan(lines);
+            var result = ImmutableArray.CreateBuilder<ImmutableArray<MonacoRange>>(positions.Length);
 
-            var result = (await document.GetCodeActionsAsync(span, cancellationToken)).ToImmutableArray();
-            var time1 = sw.ElapsedMilliseconds;
-            sw.Restart();
+            if (razorCode != null)
+            {
+                var lines = SourceText.From(razorCode).Lines;
+                var codeBlocks = RazorStructure.GetCodeBlocks(razorCode, cancellationToken).ToImmutableArray();
+                foreach (var position in positions)
+                {
+                    int offset = lines.GetPosition(position.ToLinePosition());
+                    var ranges = ImmutableArray.CreateBuilder<MonacoRange>();
 
-            var converted = await ToCodeActionsAsync(result, document, cancellationToken);
+                    // Outside code blocks, Monaco's default word and bracket based selection ranges are used.
+                    foreach (var codeBlock in codeBlocks)
+                    {
+                        if (codeBlock.Span.Contains(offset))
+                        {
+                            var root = await codeBlock.Syntax.SyntaxTree.GetRootAsync(cancellationToken);
+                            foreach (var span in GetSelectionSpans(root, codeBlock.GetSyntaxPosition(offset)))
+                            {
+                                if (codeBlock.TryGetRazorSpan(span, out var razorSpan))
+                                {
+                                    ranges.Add(razorSpan.ToRange(lines));
+                                }
+                            }
 
-            var json = JsonSerializer.Serialize(converted, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoCodeAction);
+                            ranges.Add(codeBlock.Span.ToRange(lines));
+                            break;
+                        }
+                    }
 
-            var time2 = sw.ElapsedMilliseconds;
-            logger.LogDebug("Got code actions ({Count}) for {Range} in {Time1} + {Time2} ms", converted.Length, range.Stringify(), time1.SeparateThousands(), time2.SeparateThousands());
+                    result.Add(ranges.DrainToImmutable());
+                }
+            }
+            else if (TryGetDocument(modelUri, out var document))
+            {
+                var text = await document.GetTextAsync(cancellationToken);
+                var root = await document.GetSyntaxRootAsync(cancellationToken);
+                foreach (var position in positions)
+                {
+                    int offset = text.Lines.GetPosition(position.ToLinePosition());
+                    result.Add(GetSelectionSpans(root!, offset).Select(span => span.ToRange(text.Lines)).ToImmutableArray());
+                }
+            }
+            else
+            {
+                return "[]";
+            }
+
+            var json = JsonSerializer.Serialize(result.DrainToImmutable(), BlazorMonacoJsonContext.Default.ImmutableArrayImmutableArrayRange);
+
+            logger.LogDebug("Got selection ranges for {Count} positions in {ModelUri} in {Time} ms", positions.Length, modelUri, sw.ElapsedMilliseconds.SeparateThousands());
 
             return json;
         }
         catch (OperationCanceledException)
         {
-            logger.LogDebug("Canceled code actions for {Range} in {Time} ms", range.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+            logger.LogDebug("Canceled selection ranges for {ModelUri} in {Time} ms", modelUri, sw.ElapsedMilliseconds.SeparateThousands());
 
-            // `null` will be transformed into an exception at the front end.
             return null;
         }
     }
 
-    private async Task<ImmutableArray<MonacoCodeAction>> ToCodeActionsAsync(ImmutableArray<RoslynCodeAction> codeActions, Document sourceDocument, CancellationToken cancellationToken)
+    /// <summary>
+    /// Gets spans of syntax nodes and tokens surrounding <paramref name="position"/> from the innermost to the outermost
+    /// (so expanding selection steps through the same nodes as displayed in the Syntax output).
+    /// </summary>
+    private static IEnumerable<TextSpan> GetSelectionSpans(SyntaxNode root, int position)
     {
-        var solution = sourceDocument.Project.Solution;
-        var textDiffService = solution.Services.GetDocumentTextDifferencingService();
-
-        var result = ImmutableArray.CreateBuilder<MonacoCodeAction>();
+        var token = root.FindToken(position);
 
-        foreach (var (prefix, codeAction) in flatten(null, codeActions))
+        // Comments are trivia (not part of any node).
+        var trivia = root.FindTrivia(position);
+        if (trivia.Span.Contains(position) &&
+            trivia.Kind() is SyntaxKind.SingleLineCommentTrivia or SyntaxKind.MultiLineCommentTrivia
+                or SyntaxKind.SingleLineDocumentationCommentTrivia or SyntaxKind.MultiLineDocumentationCommentTrivia)
         {
-            cancellationToken.ThrowIfCancellationRequested();
+            yield return trivia.Span;
+        }
 
-            var operations = await codeAction.GetOperationsAsync(solution, NullProgress<CodeAnalysisProgress>.Instance, cancellationToken);
+        // Contents of a string literal without the quotes.
+        if (token.IsKind(SyntaxKind.StringLiteralToken) && token.Text is ['"', .., '"'] && token.Span.Length > 2)
+        {
+            yield return TextSpan.FromBounds(token.SpanStart + 1, token.Span.End - 1);
+        }
 
-            var edits = ImmutableArray.CreateBuilder<WorkspaceTextEdit>();
+        var last = token.Span;
+        if (!last.IsEmpty)
+        {
+            yield return last;
+        }
 
-            foreach (var operation in operations)
+        for (var node = token.Parent; node != null; node = node.Parent)
+        {
+            if (node.Span != last && !node.Span.IsEmpty)
             {
-                if (operation is not ApplyChangesOperation applyChangesOperation)
-                {
-                    continue;
-                }
+                last = node.Span;
+                yield return last;
+            }
+        }
+    }
 
-                cancellationToken.ThrowIfCancellationRequested();
+    /// <returns>
+    /// JSON-serialized list of <see cref="MonacoInlayHint"/>s.
+    /// We serialize here to avoid serializing twice unnecessarily
+    /// (first on Worker to App interface, then on App to Monaco interface).
+    /// </returns>
+    /// <remarks>
+    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/InlayHint/InlayHintHandler.cs"/>.
+    /// </remarks>
+    public async Task<string?> ProvideInlayHintsAsync(string modelUri, string rangeJson, InlayHintsOptions options, CancellationToken cancellationToken)
+    {
+        if (!TryGetDocument(modelUri, out var document))
+        {
+            return "[]";
+        }
 
-                var changes = applyChangesOperation.ChangedSolution.GetChanges(solution);
-                var newSolution = await applyChangesOperation.ChangedSolution.WithMergedLinkedFileChangesAsync(solution, changes, cancellationToken);
-                changes = newSolution.GetChanges(solution);
+        var sw = Stopwatch.StartNew();
+        var range = JsonSerializer.Deserialize(rangeJson, BlazorMonacoJsonContext.Default.Range)!;
+        try
+        {
+            var text = await document.GetTextAsync(cancellationToken);
+            var span = range.ToSpan(text.Lines);
+            var result = ImmutableArray.CreateBuilder<MonacoInlayHint>();
 
-                var projectChanges = changes.GetProjectChanges();
+            if (options.ParameterNames)
+            {
+                var hints = await document.GetInlineHintsAsync(span,
+                    parameterNames: true,
+                    implicitVariableTypes: false,
+                    lambdaParameterTypes: false,
+                    cancellationToken);
 
-                foreach (var documentId in projectChanges.SelectMany(pc => pc.GetChangedDocuments()))
+                foreach (var hint in hints)
                 {
-                    var newDocument = newSolution.GetDocument(documentId);
-                    var oldDocument = solution.GetDocument(documentId);
+                    result.Add(toInlayHint(hint, MonacoInlayHintKind.Parameter, text.Lines));
+                }
+            }
 
-                    if (oldDocument is null || newDocument is null ||
-                        !modelUris.TryGetValue(newDocument.Id, out var newUri))
+            if (options.VariableTypes || options.PatternVariableTypes || options.LambdaParameterTypes)
+            {
+                var hints = await document.GetInlineHintsAsync(span,
+                    parameterNames: false,
+                    implicitVariableTypes: options.VariableTypes || options.PatternVariableTypes,
+                    lambdaParameterTypes: options.LambdaParameterTypes,
+                    cancellationToken);
+
+                // Roslyn does not distinguish `var` patterns from other implicitly-typed variables, so we filter them here.
+                var root = options.VariableTypes != options.PatternVariableTypes
+                    ? await document.GetSyntaxRootAsync(cancellationToken)
+                    : null;
+
+                foreach (var hint in hints)
+                {
+                    if (root != null &&
+                        root.FindToken(hint.Span.Start) is var token &&
+                        token.Parent is not ParameterSyntax &&
+                        isInVarPattern(token) != options.PatternVariableTypes)
                     {
                         continue;
                     }
 
-                    cancellationToken.ThrowIfCancellationRequested();
-
-                    var textChanges = await textDiffService.GetTextChangesAsync(oldDocument, newDocument, cancellationToken);
-
-                    var oldText = await oldDocument.GetTextAsync(cancellationToken);
-
-                    foreach (var textChange in textChanges)
-                    {
-                        edits.Add(new WorkspaceTextEdit
-                        {
-                            ResourceUri = newUri,
-                            TextEdit = new()
-                            {
-                                Text = textChange.NewText ?? string.Empty,
-                                Range = textChange.Span.ToRange(oldText.Lines),
-                            },
-                        });
-                    }
+                    result.Add(toInlayHint(hint, MonacoInlayHintKind.Type, text.Lines));
                 }
             }
 
-            if (edits.Count != 0)
-            {
-                result.Add(new()
-                {
-                    Title = addPrefix(prefix, codeAction.Title),
-                    Kind = MonacoCodeActionKind.QuickFix,
-                    Edit = new()
-                    {
-                        Edits = edits.DrainToImmutable(),
-                    },
-                });
-            }
-        }
+            var converted = result.DrainToImmutable();
+            var json = JsonSerializer.Serialize(converted, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoInlayHint);
 
-        return result.DrainToImmutable();
+            logger.LogDebug("Got inlay hints ({Count}) for {Range} in {Time} ms", converted.Length, range.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
 
-        static IEnumerable<(string? Prefix, RoslynCodeAction Action)> flatten(string? prefix, ImmutableArray<RoslynCodeAction> codeActions)
+            return json;
+        }
+        catch (OperationCanceledException)
         {
-            foreach (var codeAction in codeActions)
-            {
-                if (codeAction.NestedActions.IsDefaultOrEmpty)
-                {
-                    yield return (prefix, codeAction);
-                    continue;
-                }
+            logger.LogDebug("Canceled inlay hints for {Range} in {Time} ms", range.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
 
-                var nestedPrefix = addPrefix(prefix, codeAction.Title);
-                foreach (var nestedCodeAction in flatten(nestedPrefix, codeAction.NestedActions))
-                {
-                    yield return nestedCodeAction;
-                }
-            }
+            return null;
         }
 
-        static string addPrefix(string? prefix, string nested)
+        static MonacoInlayHint toInlayHint(InlineHintPublic hint, MonacoInlayHintKind kind, TextLineCollection lines)
         {
-            if (string.IsNullOrEmpty(prefix))
+            return new MonacoInlayHint
             {
-                return nested;
-            }
+                Label = hint.Text.Trim(),
+                Position = lines.GetLinePosition(hint.Span.Start).ToPosition(),
+                Kind = kind,
+                PaddingLeft = hint.Text.StartsWith(' '),
+                PaddingRight = hint.Text.EndsWith(' '),
+                // Double-clicking the hint inserts it (e.g., replaces `var` with the explicit type).
+                TextEdits = hint.ReplacementTextChange is { } change
+                    ? [new() { Range = change.Span.ToRange(lines), Text = change.NewText ?? string.Empty }]
+                    : null,
+            };
+        }
 
-            return $"{prefix}: {nested}";
+        static bool isInVarPattern(SyntaxToken token)
+        {
+            return token.Parent is SingleVariableDesignationSyntax designation &&
+                designation.Ancestors().SkipWhile(static n => n is VariableDesignationSyntax).FirstOrDefault() is VarPatternSyntax;
         }
     }
 
+    /// <param name="code">
+    /// Current text of the model (sent along so formatting does not depend on the workspace being up to date).
+    /// </param>
+    /// <param name="onType">
+    /// Whether <paramref name="span"/> is a just typed trigger character.
+    /// </param>
     /// <returns>
-    /// Markdown or <see langword="null"/> if cancelled.
+    /// The whole formatted <paramref name="code"/> or <see langword="null"/> if the model should not be formatted.
     /// </returns>
-    /// <remarks>
-    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/Hover/HoverHandler.cs#L26"/>.
-    /// </remarks>
-    public async Task<string?> ProvideHoverAsync(string modelUri, string positionJson, CancellationToken cancellationToken)
+    public async Task<string?> ProvideFormattingAsync(string modelUri, string code, StringSpan? span, bool onType, CancellationToken cancellationToken)
     {
-        if (!TryGetDocument(modelUri, out var document))
+        // Output models (e.g., decompiled C#) are not formattable.
+        if (!CompiledAssembly.TryParseInputModelUri(modelUri, out var fileName) ||
+            !fileName.IsCSharpFileName(out bool isScript))
         {
-            return "";
+            return null;
         }
 
         var sw = Stopwatch.StartNew();
-        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
         try
         {
-            var text = await document.GetTextAsync(cancellationToken);
-            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
-            var quickInfoService = document.Project.Services.GetRequiredService<QuickInfoService>();
-            var quickInfo = await quickInfoService.GetQuickInfoAsync(document, caretPosition, cancellationToken);
-            if (quickInfo == null)
+            var syntaxTree = Compiler.ParseForFormatting(code, isScript);
+
+            // A trigger character typed inside a string or comment does not end a statement.
+            if (onType && span is { } s &&
+                isInStringOrComment(await syntaxTree.GetRootAsync(cancellationToken), s.Start))
             {
-                return "";
+                return null;
             }
 
-            // Insert line breaks in between sections to ensure we get double spacing between sections.
-            var tags = quickInfo.Sections.SelectMany(static s =>
-                s.TaggedParts.Add(new TaggedText(TextTags.LineBreak, Environment.NewLine)));
-
-            var markdown = MonacoConversions.GetMarkdown(tags, document.Project.Language);
+            var formatted = Compiler.FormatCode(syntaxTree, span, cancellationToken);
 
-            logger.LogDebug("Got hover ({Length}) for {Position} in {Time} ms", markdown.Length, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+            logger.LogDebug("Formatted {Span} in {Time} ms", span?.ToString() ?? "document", sw.ElapsedMilliseconds.SeparateThousands());
 
-            return markdown;
+            return formatted;
         }
         catch (OperationCanceledException)
         {
-            logger.LogDebug("Canceled hover for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+            logger.LogDebug("Canceled formatting in {Time} ms", sw.ElapsedMilliseconds.SeparateThousands());
 
             return null;
         }
+
+        static bool isInStringOrComment(SyntaxNode root, int position)
+        {
+            var trivia = root.FindTrivia(position);
+            if (trivia.Span.Contains(position) &&
+                !trivia.IsKind(SyntaxKind.WhitespaceTrivia) &&
+                !trivia.IsKind(SyntaxKind.EndOfLineTrivia))
+            {
+                return true;
+            }
+
+            var token = root.FindToken(position);
+            return token.Span.Contains(position) && token.Kind() is
+                SyntaxKind.StringLiteralToken or
+                SyntaxKind.Utf8StringLiteralToken or
+                SyntaxKind.CharacterLiteralToken or
+                SyntaxKind.InterpolatedStringTextToken or
+                SyntaxKind.SingleLineRawStringLiteralToken or
+                SyntaxKind.MultiLineRawStringLiteralToken or
+                SyntaxKind.Utf8SingleLineRawStringLiteralToken or
+                SyntaxKind.Utf8MultiLineRawStringLiteralToken;
+        }
     }
 
-    /// <returns>
-    /// JSON-serialized <see cref="SignatureHelp"/>.
-    /// We serialize here to avoid serializing twice unnecessarily
-    /// (first on Worker to App interface, then on App to Monaco interface).
-    /// </returns>
-    /// <remarks>
-    /// For inspiration, see <see href="https://github.com/dotnet/roslyn/blob/ad14335550de1134f0b5a59b6cd040001d0d8c8d/src/LanguageServer/Protocol/Handler/SignatureHelp/SignatureHelpHandler.cs#L25"/>.
-    /// </remarks>
-    public async Task<string?> ProvideSignatureHelpAsync(string modelUri, string positionJson, string contextJson, CancellationToken cancellationToken)
+    /// <summary>
+    /// Adds <c>@code</c> blocks of Razor inputs as documents of project <paramref name="projectId"/>
+    /// together with their <c>@using</c> directives (as global usings).
+    /// </summary>
+    private static (Solution Solution, ImmutableArray<(string ModelUri, DocumentId DocumentId, RazorCodeBlock CodeBlock)> Documents) AddRazorCodeBlocks(
+        Solution solution,
+        ProjectId projectId,
+        ImmutableDictionary<string, string> razorCodes,
+        CancellationToken cancellationToken)
     {
-        if (!TryGetDocument(modelUri, out var document))
+        var documents = ImmutableArray.CreateBuilder<(string, DocumentId, RazorCodeBlock)>();
+        var usings = new StringBuilder();
+
+        foreach (var (razorUri, razorCode) in razorCodes)
         {
-            return "null";
+            foreach (var codeBlock in RazorStructure.GetCodeBlocks(razorCode, cancellationToken))
+            {
+                // The syntax tree contains the rest of the Razor file after the block, so cut that off.
+                var codeBlockText = codeBlock.Syntax.SyntaxTree.GetText(cancellationToken).GetSubText(TextSpan.FromBounds(0, codeBlock.Syntax.Span.End));
+                var codeBlockDocument = solution.GetProject(projectId)!.AddDocument("RazorCodeBlock.cs", codeBlockText);
+                solution = codeBlockDocument.Project.Solution;
+                documents.Add((razorUri, codeBlockDocument.Id, codeBlock));
+            }
+
+            foreach (var import in RazorStructure.GetUsings(razorCode))
+            {
+                usings.AppendLine($"global using {import};");
+            }
         }
 
-        var sw = Stopwatch.StartNew();
-        var position = JsonSerializer.Deserialize(positionJson, BlazorMonacoJsonContext.Default.Position)!;
-        try
+        if (usings.Length != 0)
         {
-            var text = await document.GetTextAsync(cancellationToken);
-            int caretPosition = text.Lines.GetPosition(position.ToLinePosition());
-            var context = JsonSerializer.Deserialize(contextJson, BlazorMonacoJsonContext.Default.SignatureHelpContext)!;
-            var signatureHelp = await document.GetSignatureHelpAsync(caretPosition, context.ToReason(), context.TriggerCharacter, cancellationToken);
-            var signatureHelpJson = JsonSerializer.Serialize(signatureHelp, BlazorMonacoJsonContext.Default.SignatureHelp);
+            solution = solution.GetProject(projectId)!.AddDocument("RazorUsings.cs", usings.ToString()).Project.Solution;
+        }
 
-            logger.LogDebug("Got signature help ({Length}) for {Position} in {Time} ms", signatureHelpJson.Length, position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+        return (solution, documents.DrainToImmutable());
+    }
 
-            return signatureHelpJson;
+    /// <summary>
+    /// Maps renames in <c>@code</c> blocks (see <see cref="AddRazorCodeBlocks"/>) back to Razor inputs
+    /// and renames references to a renamed type in their markup (component tags and directives).
+    /// </summary>
+    private static async Task AddRazorRenameEditsAsync(
+        ImmutableArray<WorkspaceTextEdit>.Builder edits,
+        ISymbol symbol,
+        string newName,
+        ImmutableDictionary<string, string> razorCodes,
+        ImmutableArray<(string ModelUri, DocumentId DocumentId, RazorCodeBlock CodeBlock)> razorDocuments,
+        Solution oldSolution,
+        Solution newSolution,
+        CancellationToken cancellationToken)
+    {
+        var textDiffService = oldSolution.Services.GetDocumentTextDifferencingService();
+
+        foreach (var (razorUri, razorCode) in razorCodes)
+        {
+            var lines = SourceText.From(razorCode).Lines;
+            var codeBlocks = ImmutableArray.CreateBuilder<RazorCodeBlock>();
+
+            foreach (var (_, documentId, codeBlock) in razorDocuments.Where(d => d.ModelUri == razorUri))
+            {
+                codeBlocks.Add(codeBlock);
+
+                var oldDocument = oldSolution.GetDocument(documentId)!;
+                var newDocument = newSolution.GetDocument(documentId)!;
+                foreach (var textChange in await textDiffService.GetTextChangesAsync(oldDocument, newDocument, cancellationToken))
+                {
+                    if (codeBlock.TryGetRazorSpan(textChange.Span, out var razorSpan))
+                    {
+                        addEdit(razorSpan, textChange.NewText ?? string.Empty);
+                    }
+                }
+            }
+
+            var type = symbol switch
+            {
+                INamedTypeSymbol namedType => namedType,
+                // Renaming a constructor renames its type.
+                IMethodSymbol { MethodKind: MethodKind.Constructor } constructor => constructor.ContainingType,
+                _ => null,
+            };
+
+            if (type != null)
+            {
+                foreach (var span in RazorStructure.FindTypeReferences(razorCode, type.Name, codeBlocks.DrainToImmutable()))
+                {
+                    addEdit(span, newName);
+                }
+            }
+
+            void addEdit(TextSpan span, string text)
+            {
+                edits.Add(new WorkspaceTextEdit
+                {
+                    ResourceUri = razorUri,
+                    TextEdit = new()
+                    {
+                        Text = text,
+                        Range = span.ToRange(lines),
+                    },
+                });
+            }
         }
-        catch (OperationCanceledException)
+    }
+
+    private static async Task<(ISymbol? Symbol, SyntaxToken Token, string? RejectReason)> FindRenameTargetAsync(Document document, int position, CancellationToken cancellationToken)
+    {
+        var root = await document.GetSyntaxRootAsync(cancellationToken);
+        if (root == null)
         {
-            logger.LogDebug("Canceled signature help for {Position} in {Time} ms", position.Stringify(), sw.ElapsedMilliseconds.SeparateThousands());
+            return (null, default, "You cannot rename this element.");
+        }
 
-            return null;
+        // The caret can be right after the identifier.
+        var token = root.FindToken(position);
+        if (!token.IsKind(SyntaxKind.IdentifierToken) && position > 0)
+        {
+            token = root.FindToken(position - 1);
+        }
+
+        if (!token.IsKind(SyntaxKind.IdentifierToken))
+        {
+            return (null, token, "You cannot rename this element.");
+        }
+
+        var symbol = await SymbolFinder.FindSymbolAtPositionAsync(document, token.SpanStart, cancellationToken);
+        if (symbol == null)
+        {
+            return (null, token, "You cannot rename this element.");
+        }
+
+        if (!symbol.Locations.Any(static l => l.IsInSource))
+        {
+            return (symbol, token, "You cannot rename elements that are defined in metadata.");
         }
+
+        return (symbol, token, null);
     }
 
     public void OnCachedCompilationLoaded(CompilerConfiguration config, CompiledAssembly output)
@@ -590,7 +1956,7 @@ internal sealed class LanguageServices : ILanguageServices
 
                 if (compiler.LastResult?.Output.ReferenceAssemblies is { } references)
                 {
-                    project = project.WithMetadataReferences(references);
+                    project = project.WithMetadataReferences(references.Metadata);
                 }
                 else
                 {
@@ -679,6 +2045,8 @@ internal sealed class LanguageServices : ILanguageServices
                         }
                         else
                         {
+                            semanticTokensCache.TryRemove(modelUri, out _);
+                            codeActionsCache.TryRemove(modelUri, out _);
                             ApplyChanges(doc.Project.RemoveDocument(docId).Solution);
                         }
                     }
@@ -692,6 +2060,8 @@ internal sealed class LanguageServices : ILanguageServices
                 {
                     // Document has been removed from `models`.
                     modelUris.Remove(docId);
+                    semanticTokensCache.TryRemove(modelUri, out _);
+                    codeActionsCache.TryRemove(modelUri, out _);
                     ApplyChanges(doc.Project.RemoveDocument(docId).Solution);
                 }
 
@@ -874,4 +2244,14 @@ internal sealed class LanguageServices : ILanguageServices
     {
         return workspace.CurrentSolution.GetProject(configuration ? configurationProjectId : projectId)!;
     }
+
+    /// <summary>
+    /// Code actions last provided for a model, kept so they can be resolved later.
+    /// </summary>
+    /// <param name="WithoutEdits">Titles of actions which turned out to produce no edits when resolved.</param>
+    private sealed record CodeActionList(
+        string ResultId,
+        Document Document,
+        ImmutableArray<(string Title, RoslynCodeAction Action)> Actions,
+        HashSet<string> WithoutEdits);
 }
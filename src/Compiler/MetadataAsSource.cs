@@ -0,0 +1,150 @@
+﻿using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
+using Microsoft.CodeAnalysis.Text;
+using Microsoft.Extensions.Logging;
+using System.Reflection.PortableExecutable;
+
+namespace DotNetLab;
+
+/// <summary>
+/// Decompiled view of referenced types for Go to Definition
+/// (like "metadata as source" in Visual Studio).
+/// </summary>
+internal static class MetadataAsSource
+{
+    private static ICSharpCode.Decompiler.DecompilerSettings Settings => field ??= new()
+    {
+        LoadInMemory = true,
+        ThrowOnAssemblyResolveErrors = false,
+    };
+
+    /// <summary>
+    /// Decompiles the top-level type containing <paramref name="symbol"/>.
+    /// </summary>
+    /// <param name="span">Declaration of <paramref name="symbol"/> in <paramref name="text"/>.</param>
+    public static bool TryDecompile(
+        ISymbol symbol,
+        ImmutableArray<RefAssembly> references,
+        ILoggerFactory loggerFactory,
+        [NotNullWhen(returnValue: true)] out string? modelUri,
+        [NotNullWhen(returnValue: true)] out string? text,
+        out TextSpan span)
+    {
+        modelUri = null;
+        text = null;
+        span = default;
+
+        var containingTypes = new List<INamedTypeSymbol>();
+        for (var type = symbol as INamedTypeSymbol ?? symbol.ContainingType; type != null; type = type.ContainingType)
+        {
+            containingTypes.Insert(0, type);
+        }
+
+        if (containingTypes is not [var topLevelType, ..] ||
+            topLevelType.ContainingAssembly is not { } assembly ||
+            references.FirstOrDefault(r => r.Name.Equals(assembly.Identity.Name, StringComparison.OrdinalIgnoreCase)) is not { Bytes.IsDefault: false } reference)
+        {
+            return false;
+        }
+
+        var fullTypeName = topLevelType.ContainingNamespace is { IsGlobalNamespace: false } ns
+            ? $"{ns.ToDisplayString()}.{topLevelType.MetadataName}"
+            : topLevelType.MetadataName;
+
+#pragma warning disable CA2000 // Dispose objects before losing scope - ownership transferred to PEFile
+        var peReader = new PEReader(reference.Bytes);
+#pragma warning restore CA2000
+        using var peFile = new ICSharpCode.Decompiler.Metadata.PEFile(reference.FileName, peReader);
+        var resolver = new DecompilerAssemblyResolver(loggerFactory.CreateLogger<DecompilerAssemblyResolver>(), references);
+        var decompiler = new ICSharpCode.Decompiler.CSharp.CSharpDecompiler(peFile, resolver, Settings);
+        var decompiled = decompiler.DecompileTypeAsString(new ICSharpCode.Decompiler.TypeSystem.FullTypeName(fullTypeName));
+
+        text = $"""
+            // {reference.FileName} ({assembly.Identity})
+            // Decompiled with ICSharpCode.Decompiler
+
+            {decompiled}
+            """;
+        modelUri = CompiledAssembly.GetMetadataModelUri(assembly.Identity.Name, fullTypeName);
+        span = FindDeclaration(CSharpSyntaxTree.ParseText(text).GetRoot(), containingTypes, symbol);
+        return true;
+    }
+
+    /// <summary>
+    /// Decompiled code is not part of any compilation, so declarations are matched syntactically by name
+    /// (the first overload wins; falls back to the containing type).
+    /// </summary>
+    private static TextSpan FindDeclaration(SyntaxNode root, List<INamedTypeSymbol> containingTypes, ISymbol symbol)
+    {
+        SyntaxNode container = root;
+        var result = default(TextSpan);
+
+        foreach (var type in containingTypes)
+        {
+            if (findMember(container, type.Name) is not { } typeDeclaration)
+            {
+                return result;
+            }
+
+            container = typeDeclaration.Parent!;
+            result = typeDeclaration.Span;
+        }
+
+        if (symbol is INamedTypeSymbol)
+        {
+            return result;
+        }
+
+        var memberName = symbol switch
+        {
+            IMethodSymbol { MethodKind: MethodKind.Constructor or MethodKind.StaticConstructor } => symbol.ContainingType.Name,
+            IPropertySymbol { IsIndexer: true } => "this",
+            _ => symbol.Name,
+        };
+
+        return findMember(container, memberName)?.Span ?? result;
+
+        static SyntaxToken? findMember(SyntaxNode container, string name)
+        {
+            var members = container switch
+            {
+                CompilationUnitSyntax compilationUnit => compilationUnit.DescendantNodes(static n => n is CompilationUnitSyntax or BaseNamespaceDeclarationSyntax)
+                    .OfType<MemberDeclarationSyntax>(),
+                TypeDeclarationSyntax type => type.Members,
+                EnumDeclarationSyntax @enum => @enum.Members,
+                _ => [],
+            };
+
+            foreach (var member in members)
+            {
+                foreach (var identifier in getIdentifiers(member))
+                {
+                    if (identifier.ValueText == name)
+                    {
+                        return identifier;
+                    }
+                }
+            }
+
+            return null;
+        }
+
+        static IEnumerable<SyntaxToken> getIdentifiers(MemberDeclarationSyntax member)
+        {
+            return member switch
+            {
+                BaseTypeDeclarationSyntax t => [t.Identifier],
+                DelegateDeclarationSyntax d => [d.Identifier],
+                MethodDeclarationSyntax m => [m.Identifier],
+                ConstructorDeclarationSyntax c => [c.Identifier],
+                PropertyDeclarationSyntax p => [p.Identifier],
+                EventDeclarationSyntax e => [e.Identifier],
+                IndexerDeclarationSyntax i => [i.ThisKeyword],
+                EnumMemberDeclarationSyntax e => [e.Identifier],
+                BaseFieldDeclarationSyntax f => f.Declaration.Variables.Select(static v => v.Identifier),
+                _ => [],
+            };
+        }
+    }
+}
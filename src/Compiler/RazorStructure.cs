@@ -0,0 +1,315 @@
+﻿using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
+using Microsoft.CodeAnalysis.Text;
+using System.Collections.Frozen;
+using System.Text.RegularExpressions;
+
+namespace DotNetLab;
+
+/// <summary>
+/// Approximates structure of Razor inputs (those are not part of the language services workspace).
+/// </summary>
+internal static partial class RazorStructure
+{
+    /// <summary>
+    /// The class keyword and name which are prepended to each code block to parse its contents as a class body.
+    /// </summary>
+    public const string CodeBlockClassPrefix = "class _";
+
+    [GeneratedRegex("""@(code|functions)\s*\{""")]
+    private static partial Regex CodeBlockStart { get; }
+
+    [GeneratedRegex("""@\*.*?\*@""", RegexOptions.Singleline)]
+    private static partial Regex Comment { get; }
+
+    /// <summary>
+    /// Razor, HTML and C# comments and double-quoted strings (e.g., attribute values) which can contain text looking like a code block.
+    /// </summary>
+    [GeneratedRegex("""@\*.*?\*@|<!--.*?-->|"(?:[^"\\\n]|\\.)*"|/\*.*?\*/|//[^\n]*""", RegexOptions.Singleline)]
+    private static partial Regex CommentOrString { get; }
+
+    /// <summary>
+    /// Opening or closing tag (the attributes are skipped to find out whether the tag is self-closing).
+    /// </summary>
+    [GeneratedRegex("""<(?<close>/)?(?<name>[A-Za-z][\w.:-]*)(?:"[^"]*"|'[^']*'|[^'">])*?(?<selfClosing>/)?>""")]
+    private static partial Regex Tag { get; }
+
+    /// <summary>
+    /// HTML elements which never have a closing tag.
+    /// </summary>
+    private static readonly FrozenSet<string> voidElements = FrozenSet.Create(StringComparer.OrdinalIgnoreCase,
+        "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr");
+
+    [GeneratedRegex("""^\s*@(addTagHelper|attribute|implements|inherits|inject|layout|model|namespace|page|preservewhitespace|rendermode|typeparam|using)\b""")]
+    private static partial Regex Directive { get; }
+
+    [GeneratedRegex("""^[ \t]*@using[ \t]+(?<import>[^;\r\n]*[^;\s])""", RegexOptions.Multiline)]
+    private static partial Regex UsingDirective { get; }
+
+    /// <summary>
+    /// Directives whose arguments can reference types.
+    /// </summary>
+    [GeneratedRegex("""^[ \t]*@(?<directive>attribute|implements|inherits|inject|layout|model|typeparam)\b(?<arguments>[^\r\n]*)""", RegexOptions.Multiline)]
+    private static partial Regex TypeDirective { get; }
+
+    /// <summary>
+    /// Parses C# in <c>@code</c> and <c>@functions</c> blocks.
+    /// </summary>
+    public static IEnumerable<RazorCodeBlock> GetCodeBlocks(string code, CancellationToken cancellationToken)
+    {
+        var commentsAndStrings = CommentOrString.Matches(code);
+        int previousBlockEnd = 0;
+
+        foreach (Match match in CodeBlockStart.Matches(code))
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            if (match.Index < previousBlockEnd ||
+                commentsAndStrings.Any(c => c.Index <= match.Index && match.Index < c.Index + c.Length))
+            {
+                continue;
+            }
+
+            int openBrace = match.Index + match.Length - 1;
+            var text = CodeBlockClassPrefix + code[openBrace..];
+            var root = CSharpSyntaxTree.ParseText(text, cancellationToken: cancellationToken).GetRoot(cancellationToken);
+            if (root.ChildNodes().FirstOrDefault() is ClassDeclarationSyntax syntax)
+            {
+                var block = new RazorCodeBlock(
+                    Span: TextSpan.FromBounds(match.Index, syntax.CloseBraceToken.Span.End + openBrace - CodeBlockClassPrefix.Length),
+                    Syntax: syntax,
+                    Offset: openBrace - CodeBlockClassPrefix.Length);
+                previousBlockEnd = block.Span.End;
+                yield return block;
+            }
+        }
+    }
+
+    /// <summary>
+    /// If <paramref name="position"/> is in a name of an opening or closing tag,
+    /// gets spans of the names of both the opening and the closing tag (in this order).
+    /// </summary>
+    public static (TextSpan Opening, TextSpan Closing)? GetMatchingTagNames(
+        string code,
+        int position,
+        ImmutableArray<RazorCodeBlock> codeBlocks)
+    {
+        var comments = Comment.Matches(code);
+        var openTags = new Stack<(string Name, TextSpan Span)>();
+
+        foreach (Match match in Tag.Matches(code))
+        {
+            if (match.Groups["selfClosing"].Success ||
+                codeBlocks.Any(b => b.Span.Contains(match.Index)) ||
+                comments.Any(c => c.Index <= match.Index && match.Index < c.Index + c.Length))
+            {
+                continue;
+            }
+
+            var nameGroup = match.Groups["name"];
+            var name = nameGroup.Value;
+            var span = new TextSpan(nameGroup.Index, nameGroup.Length);
+
+            if (!match.Groups["close"].Success)
+            {
+                if (!voidElements.Contains(name))
+                {
+                    openTags.Push((name, span));
+                }
+
+                continue;
+            }
+
+            // Tolerate unclosed tags (e.g., `<p>` in HTML) by skipping them.
+            if (!openTags.Any(t => t.Name == name))
+            {
+                continue;
+            }
+
+            (string Name, TextSpan Span) opening;
+            do
+            {
+                opening = openTags.Pop();
+            }
+            while (opening.Name != name);
+
+            if (isAt(opening.Span) || isAt(span))
+            {
+                return (opening.Span, span);
+            }
+        }
+
+        return null;
+
+        // The end is inclusive (the caret can be right after the name).
+        bool isAt(TextSpan nameSpan)
+        {
+            return nameSpan.Start <= position && position <= nameSpan.End;
+        }
+    }
+
+    /// <summary>
+    /// Gets namespaces (or aliases and <c>static</c> imports) of <c>@using</c> directives.
+    /// </summary>
+    public static IEnumerable<string> GetUsings(string code)
+    {
+        foreach (Match match in UsingDirective.Matches(code))
+        {
+            yield return match.Groups["import"].Value;
+        }
+    }
+
+    /// <summary>
+    /// Finds references to type <paramref name="typeName"/> outside of code blocks and comments.
+    /// This is only lexical: component tag names, arguments of directives like <c>@inherits</c>,
+    /// and implicit expressions like <c>@TypeName.Member</c>.
+    /// </summary>
+    public static IEnumerable<TextSpan> FindTypeReferences(string code, string typeName, ImmutableArray<RazorCodeBlock> codeBlocks)
+    {
+        var comments = Comment.Matches(code);
+        var regions = new List<TextSpan>();
+
+        foreach (Match match in Tag.Matches(code))
+        {
+            var nameGroup = match.Groups["name"];
+            regions.Add(new TextSpan(nameGroup.Index, nameGroup.Length));
+        }
+
+        foreach (Match match in TypeDirective.Matches(code))
+        {
+            var arguments = match.Groups["arguments"];
+            int length = arguments.Length;
+
+            // The last argument of `@inject` is the property name.
+            if (match.Groups["directive"].Value == "inject" &&
+                arguments.Value.TrimEnd().LastIndexOfAny([' ', '\t']) is >= 0 and var propertyStart)
+            {
+                length = propertyStart;
+            }
+
+            regions.Add(new TextSpan(arguments.Index, length));
+        }
+
+        foreach (Match match in Regex.Matches(code, $@"\b{Regex.Escape(typeName)}\b"))
+        {
+            if (codeBlocks.Any(b => b.Span.Contains(match.Index)) ||
+                comments.Any(c => c.Index <= match.Index && match.Index < c.Index + c.Length))
+            {
+                continue;
+            }
+
+            var span = new TextSpan(match.Index, match.Length);
+            if (regions.Any(r => r.Contains(span)) || isImplicitExpression(match.Index))
+            {
+                yield return span;
+            }
+        }
+
+        // `@` not preceded by a letter or digit (that would be an email address).
+        bool isImplicitExpression(int position)
+        {
+            return position > 0 && code[position - 1] == '@' &&
+                (position < 2 || !char.IsLetterOrDigit(code[position - 2]));
+        }
+    }
+
+    /// <summary>
+    /// Gets foldable regions outside of code blocks:
+    /// multi-line comments, groups of directives, and indented markup.
+    /// </summary>
+    public static IEnumerable<(int StartLine, int EndLine, BlockTypePublic Type)> GetMarkupFoldingRanges(
+        string code,
+        TextLineCollection lines,
+        ImmutableArray<RazorCodeBlock> codeBlocks)
+    {
+        foreach (Match match in Comment.Matches(code))
+        {
+            int startLine = lines.GetLineFromPosition(match.Index).LineNumber;
+            int endLine = lines.GetLineFromPosition(match.Index + match.Length).LineNumber;
+            if (startLine < endLine)
+            {
+                yield return (startLine, endLine, BlockTypePublic.Comment);
+            }
+        }
+
+        int? directivesStart = null;
+        for (int i = 0; i <= lines.Count; i++)
+        {
+            if (i < lines.Count && Directive.IsMatch(lines[i].ToString()))
+            {
+                directivesStart ??= i;
+            }
+            else if (directivesStart is { } start)
+            {
+                if (start < i - 1)
+                {
+                    yield return (start, i - 1, BlockTypePublic.Imports);
+                }
+
+                directivesStart = null;
+            }
+        }
+
+        // Indentation-based folding (that's what Monaco does by default) for markup.
+        var openLines = new Stack<(int Line, int Indentation)>();
+        int lastNonEmptyLine = -1;
+        for (int i = 0; i <= lines.Count; i++)
+        {
+            int? indentation = i < lines.Count ? getIndentation(lines[i]) : 0;
+            if (indentation is not { } currentIndentation)
+            {
+                continue;
+            }
+
+            while (openLines.TryPeek(out var open) && open.Indentation >= currentIndentation)
+            {
+                openLines.Pop();
+                if (open.Line < lastNonEmptyLine && !isInCodeBlock(lines[open.Line].Start))
+                {
+                    yield return (open.Line, lastNonEmptyLine, BlockTypePublic.Other);
+                }
+            }
+
+            openLines.Push((i, currentIndentation));
+            lastNonEmptyLine = i;
+        }
+
+        static int? getIndentation(TextLine line)
+        {
+            var text = line.Text!;
+            for (int i = line.Start; i < line.End; i++)
+            {
+                if (!char.IsWhiteSpace(text[i]))
+                {
+                    return i - line.Start;
+                }
+            }
+
+            // Empty lines do not affect folding.
+            return null;
+        }
+
+        bool isInCodeBlock(int position)
+        {
+            return codeBlocks.Any(b => b.Span.Contains(position));
+        }
+    }
+}
+
+/// <param name="Span">Span of the whole block including the <c>@code</c> keyword.</param>
+/// <param name="Syntax">C# of the block parsed as a class declaration (prefixed with <see cref="RazorStructure.CodeBlockClassPrefix"/>).</param>
+/// <param name="Offset">Add this to positions in <paramref name="Syntax"/> to get positions in the Razor file.</param>
+internal readonly record struct RazorCodeBlock(TextSpan Span, ClassDeclarationSyntax Syntax, int Offset)
+{
+    /// <summary>
+    /// Maps <paramref name="span"/> from <see cref="Syntax"/> to the Razor file
+    /// (fails for spans which are not inside the block, e.g., the artificial class declaration).
+    /// </summary>
+    public bool TryGetRazorSpan(TextSpan span, out TextSpan razorSpan)
+    {
+        razorSpan = new TextSpan(span.Start + Offset, span.Length);
+        return span.Start >= RazorStructure.CodeBlockClassPrefix.Length && Span.Contains(razorSpan);
+    }
+
+    public int GetSyntaxPosition(int razorPosition) => razorPosition - Offset;
+}
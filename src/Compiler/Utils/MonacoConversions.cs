@@ -450,6 +450,15 @@ public static class MonacoConversions
         return new LinePosition(position.LineNumber - 1, position.Column - 1);
     }
 
+    public static Position ToPosition(this LinePosition position)
+    {
+        return new Position
+        {
+            LineNumber = position.Line + 1,
+            Column = position.Character + 1,
+        };
+    }
+
     public static LinePositionSpan ToLinePositionSpan(this MonacoRange range)
     {
         return new LinePositionSpan(
@@ -473,22 +482,60 @@ public static class MonacoConversions
         return lines.GetLinePositionSpan(span).ToRange();
     }
 
+    public static MonacoSymbolKind ToSymbolKind(this ISymbol symbol)
+    {
+        return symbol switch
+        {
+            INamespaceSymbol => MonacoSymbolKind.Namespace,
+            INamedTypeSymbol { TypeKind: TypeKind.Interface } => MonacoSymbolKind.Interface,
+            INamedTypeSymbol { TypeKind: TypeKind.Struct } => MonacoSymbolKind.Struct,
+            INamedTypeSymbol { TypeKind: TypeKind.Enum } => MonacoSymbolKind.Enum,
+            INamedTypeSymbol { TypeKind: TypeKind.Delegate } => MonacoSymbolKind.Function,
+            INamedTypeSymbol => MonacoSymbolKind.Class,
+            IMethodSymbol { MethodKind: MethodKind.Constructor or MethodKind.StaticConstructor } => MonacoSymbolKind.Constructor,
+            IMethodSymbol { MethodKind: MethodKind.UserDefinedOperator or MethodKind.Conversion } => MonacoSymbolKind.Operator,
+            IMethodSymbol { MethodKind: MethodKind.LocalFunction } => MonacoSymbolKind.Function,
+            IMethodSymbol => MonacoSymbolKind.Method,
+            IPropertySymbol => MonacoSymbolKind.Property,
+            IFieldSymbol { ContainingType.TypeKind: TypeKind.Enum } => MonacoSymbolKind.EnumMember,
+            IFieldSymbol { IsConst: true } => MonacoSymbolKind.Constant,
+            IFieldSymbol => MonacoSymbolKind.Field,
+            IEventSymbol => MonacoSymbolKind.Event,
+            ITypeParameterSymbol => MonacoSymbolKind.TypeParameter,
+            _ => MonacoSymbolKind.Variable,
+        };
+    }
+
     public static SignatureHelpTriggerReasonPublic ToReason(this SignatureHelpContext context)
     {
-        if (context.IsRetrigger)
+        // Roslyn filters providers by the trigger character, so typing `,` while the help is shown
+        // must be reported as a trigger character (it is not a retrigger character for Roslyn).
+        if (context.TriggerCharacter is { } triggerCharacter &&
+            SignatureHelpContext.TriggerCharacters.Contains(triggerCharacter, StringComparison.Ordinal))
         {
-            return SignatureHelpTriggerReasonPublic.RetriggerCommand;
+            return SignatureHelpTriggerReasonPublic.TypeCharCommand;
         }
 
-        if (context.TriggerKind is SignatureHelpTriggerKind.TriggerCharacter
+        if (context.IsRetrigger || context.TriggerKind is SignatureHelpTriggerKind.TriggerCharacter
             or SignatureHelpTriggerKind.ContentChange)
         {
-            return SignatureHelpTriggerReasonPublic.TypeCharCommand;
+            return SignatureHelpTriggerReasonPublic.RetriggerCommand;
         }
 
         return SignatureHelpTriggerReasonPublic.InvokeSignatureHelpCommand;
     }
 
+    /// <summary>
+    /// Gets label of the signature which is currently shown (possibly selected by the user).
+    /// </summary>
+    public static string? GetActiveSignature(this SignatureHelpContext context)
+    {
+        return context is { IsRetrigger: true, ActiveSignatureHelp: { Signatures: { IsDefault: false } signatures, ActiveSignature: var index } } &&
+            index >= 0 && index < signatures.Length
+            ? signatures[index].Label
+            : null;
+    }
+
     public static TextSpan ToSpan(this MonacoRange range, TextLineCollection lines)
     {
         return lines.GetTextSpan(range.ToLinePositionSpan());
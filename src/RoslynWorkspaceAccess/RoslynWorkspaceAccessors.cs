@@ -1,14 +1,17 @@
 ﻿using Microsoft.CodeAnalysis;
 using Microsoft.CodeAnalysis.CodeActions;
 using Microsoft.CodeAnalysis.CodeFixes;
+using Microsoft.CodeAnalysis.CodeRefactorings;
 using Microsoft.CodeAnalysis.CSharp.Syntax;
 using Microsoft.CodeAnalysis.Diagnostics;
+using Microsoft.CodeAnalysis.DocumentHighlighting;
 using Microsoft.CodeAnalysis.ExternalAccess.Pythia.Api;
 using Microsoft.CodeAnalysis.ExtractClass;
 using Microsoft.CodeAnalysis.ExtractInterface;
 using Microsoft.CodeAnalysis.GenerateType;
 using Microsoft.CodeAnalysis.Host;
 using Microsoft.CodeAnalysis.Host.Mef;
+using Microsoft.CodeAnalysis.InlineHints;
 using Microsoft.CodeAnalysis.Internal.Log;
 using Microsoft.CodeAnalysis.LanguageService;
 using Microsoft.CodeAnalysis.Notification;
@@ -16,6 +19,7 @@ using Microsoft.CodeAnalysis.ProjectManagement;
 using Microsoft.CodeAnalysis.Serialization;
 using Microsoft.CodeAnalysis.SignatureHelp;
 using Microsoft.CodeAnalysis.Storage;
+using Microsoft.CodeAnalysis.Structure;
 using Microsoft.CodeAnalysis.Text;
 using System.Composition;
 
@@ -36,21 +40,59 @@ public static class RoslynWorkspaceAccessors
         var fixes = await codeFixService.GetFixesAsync(document, span, cancellationToken);
         return fixes.Where(static c => c.Fixes.Length != 0)
             .SelectMany(static c => c.Fixes.Select(static f => f.Action))
-            .Where(isSupportedCodeAction);
+            .Where(IsSupportedCodeAction);
+    }
 
-        // https://github.com/dotnet/roslyn/blob/8aa0e2e2ccb66c8b0fe0e002d80a92e870304665/src/LanguageServer/Protocol/Handler/CodeActions/CodeActionHelpers.cs#L96
-        static bool isSupportedCodeAction(CodeAction codeAction)
+    public static async Task<IEnumerable<(CodeAction Action, CodeRefactoringKindPublic Kind)>> GetCodeRefactoringsAsync(this Document document, TextSpan span, CancellationToken cancellationToken)
+    {
+        var codeRefactoringService = document.Project.Solution.Services.ExportProvider.GetExports<ICodeRefactoringService>().Single().Value;
+        var refactorings = await codeRefactoringService.GetRefactoringsAsync(document, span, cancellationToken);
+        return refactorings.SelectMany(static r =>
+        {
+            var kind = getKind(r.Provider.GetType().Name);
+            return r.CodeActions
+                .Where(static a => IsSupportedCodeAction(a.action))
+                .Select(a => (a.action, kind));
+        });
+
+        // There is no public categorization of refactorings, so we infer it from well-known provider names
+        // (e.g., CSharpInlineTemporaryCodeRefactoringProvider, GenerateConstructorFromMembersCodeRefactoringProvider).
+        static CodeRefactoringKindPublic getKind(string providerName)
         {
-            if ((codeAction is CodeActionWithOptions and not ExtractInterfaceCodeAction and not ExtractClassWithDialogCodeAction) ||
-                codeAction.Tags.Contains(CodeAction.RequiresNonDocumentChange))
+            if (providerName.Contains("Extract", StringComparison.Ordinal) ||
+                providerName.Contains("Introduce", StringComparison.Ordinal))
+            {
+                return CodeRefactoringKindPublic.Extract;
+            }
+
+            if (providerName.Contains("Inline", StringComparison.Ordinal))
+            {
+                return CodeRefactoringKindPublic.Inline;
+            }
+
+            if (providerName.Contains("Generate", StringComparison.Ordinal) ||
+                providerName.Contains("AddFileBanner", StringComparison.Ordinal) ||
+                providerName.Contains("MoveType", StringComparison.Ordinal))
             {
-                return false;
+                return CodeRefactoringKindPublic.Source;
             }
 
-            return true;
+            return CodeRefactoringKindPublic.Rewrite;
         }
     }
 
+    // https://github.com/dotnet/roslyn/blob/8aa0e2e2ccb66c8b0fe0e002d80a92e870304665/src/LanguageServer/Protocol/Handler/CodeActions/CodeActionHelpers.cs#L96
+    private static bool IsSupportedCodeAction(CodeAction codeAction)
+    {
+        if ((codeAction is CodeActionWithOptions and not ExtractInterfaceCodeAction and not ExtractClassWithDialogCodeAction) ||
+            codeAction.Tags.Contains(CodeAction.RequiresNonDocumentChange))
+        {
+            return false;
+        }
+
+        return true;
+    }
+
     public static async Task<ImmutableArray<DiagnosticData>> GetDiagnosticsAsync(this Document document)
     {
         var service = document.Project.Solution.Services.GetRequiredService<IDiagnosticAnalyzerService>();
@@ -90,13 +132,91 @@ public static class RoslynWorkspaceAccessors
             });
     }
 
+    /// <summary>
+    /// Gets semantic occurrences of the symbol at <paramref name="position"/> in <paramref name="document"/>.
+    /// </summary>
+    public static async Task<ImmutableArray<HighlightSpanPublic>> GetDocumentHighlightsAsync(this Document document, int position, CancellationToken cancellationToken)
+    {
+        var service = document.Project.Services.GetRequiredService<IDocumentHighlightsService>();
+        var highlights = await service.GetDocumentHighlightsAsync(
+            document,
+            position,
+            ImmutableHashSet.Create(document),
+            HighlightingOptions.Default,
+            cancellationToken);
+        return highlights
+            .Where(h => h.Document.Id == document.Id)
+            .SelectMany(static h => h.HighlightSpans)
+            .Select(static s => new HighlightSpanPublic(
+                s.TextSpan,
+                s.Kind switch
+                {
+                    HighlightSpanKind.Definition => HighlightSpanKindPublic.Definition,
+                    HighlightSpanKind.Reference => HighlightSpanKindPublic.Reference,
+                    HighlightSpanKind.WrittenReference => HighlightSpanKindPublic.WrittenReference,
+                    _ => HighlightSpanKindPublic.None,
+                }))
+            .ToImmutableArray();
+    }
+
+    /// <summary>
+    /// Gets collapsible regions (used for outlining in Visual Studio).
+    /// </summary>
+    public static async Task<ImmutableArray<BlockSpanPublic>> GetBlockSpansAsync(this Document document, CancellationToken cancellationToken)
+    {
+        var service = document.Project.Services.GetRequiredService<BlockStructureService>();
+        var structure = await service.GetBlockStructureAsync(document, BlockStructureOptions.Default, cancellationToken);
+        return structure.Spans
+            .Where(static s => s.IsCollapsible)
+            .Select(static s => new BlockSpanPublic(
+                s.TextSpan,
+                s.Type switch
+                {
+                    BlockTypes.Comment => BlockTypePublic.Comment,
+                    BlockTypes.Imports => BlockTypePublic.Imports,
+                    BlockTypes.PreprocessorRegion => BlockTypePublic.Region,
+                    _ => BlockTypePublic.Other,
+                }))
+            .ToImmutableArray();
+    }
+
     public static DocumentTextDifferencingService GetDocumentTextDifferencingService(this SolutionServices services)
     {
         var service = services.GetRequiredService<IDocumentTextDifferencingService>();
         return new DocumentTextDifferencingService(service);
     }
 
-    public static async Task<SignatureHelp?> GetSignatureHelpAsync(this Document document, int position, SignatureHelpTriggerReasonPublic reason, char? triggerCharacter, CancellationToken cancellationToken)
+    public static async Task<ImmutableArray<InlineHintPublic>> GetInlineHintsAsync(
+        this Document document,
+        TextSpan span,
+        bool parameterNames,
+        bool implicitVariableTypes,
+        bool lambdaParameterTypes,
+        CancellationToken cancellationToken)
+    {
+        var service = document.Project.Services.GetRequiredService<IInlineHintsService>();
+        var options = new InlineHintsOptions
+        {
+            ParameterOptions = InlineParameterHintsOptions.Default with
+            {
+                EnabledForParameters = parameterNames,
+            },
+            TypeOptions = InlineTypeHintsOptions.Default with
+            {
+                EnabledForTypes = implicitVariableTypes || lambdaParameterTypes,
+                ForImplicitVariableTypes = implicitVariableTypes,
+                ForLambdaParameterTypes = lambdaParameterTypes,
+            },
+        };
+        var hints = await service.GetInlineHintsAsync(document, span, options, displayAllOverride: false, cancellationToken);
+        return hints.SelectAsArray(static h => new InlineHintPublic(h.Span, h.DisplayParts.GetFullText(), h.ReplacementTextChange));
+    }
+
+    /// <param name="previousSignature">
+    /// Label of the signature which was active before retriggering (e.g., selected by the user).
+    /// It is kept active if it still fits the arguments.
+    /// </param>
+    public static async Task<SignatureHelp?> GetSignatureHelpAsync(this Document document, int position, SignatureHelpTriggerReasonPublic reason, char? triggerCharacter, string? previousSignature, CancellationToken cancellationToken)
     {
         var signatureHelpService = document.Project.Solution.Services.ExportProvider.GetExports<SignatureHelpService>().Single().Value;
         var triggerInfo = new SignatureHelpTriggerInfo((SignatureHelpTriggerReason)reason, triggerCharacter);
@@ -106,19 +226,23 @@ public static class RoslynWorkspaceAccessors
             return null;
         }
 
-        return new SignatureHelp
+        var signatures = bestItems.Items.SelectAsArray(i => new SignatureInformation
         {
-            ActiveSignature = getActiveSignature(bestItems),
-            ActiveParameter = bestItems.SemanticParameterIndex,
-            Signatures = bestItems.Items.SelectAsArray(i => new SignatureInformation
+            Label = getSignatureText(i),
+            Parameters = i.Parameters.SelectAsArray(static p => new ParameterInformation
             {
-                Label = getSignatureText(i),
-                Parameters = i.Parameters.SelectAsArray(static p => new ParameterInformation
-                {
-                    Label = p.Name,
-                }),
-                ActiveParameter = bestItems.SemanticParameterIndex,
+                Label = p.Name,
             }),
+            ActiveParameter = getActiveParameter(bestItems, i),
+        });
+
+        var activeSignature = getActiveSignature(bestItems, signatures, previousSignature);
+
+        return new SignatureHelp
+        {
+            ActiveSignature = activeSignature,
+            ActiveParameter = signatures.IsEmpty ? bestItems.SemanticParameterIndex : signatures[activeSignature].ActiveParameter!.Value,
+            Signatures = signatures,
         };
 
         static string getSignatureText(SignatureHelpItem item)
@@ -148,8 +272,19 @@ public static class RoslynWorkspaceAccessors
             return sb.ToString();
         }
 
-        static int getActiveSignature(SignatureHelpItems items)
+        static int getActiveSignature(SignatureHelpItems items, ImmutableArray<SignatureInformation> signatures, string? previousSignature)
         {
+            if (previousSignature != null)
+            {
+                for (var i = 0; i < signatures.Length; i++)
+                {
+                    if (signatures[i].Label == previousSignature && fits(items.Items[i], items.ArgumentCount))
+                    {
+                        return i;
+                    }
+                }
+            }
+
             if (items.SelectedItemIndex.HasValue)
             {
                 return items.SelectedItemIndex.Value;
@@ -158,6 +293,36 @@ public static class RoslynWorkspaceAccessors
             var matchingSignature = items.Items.FirstOrDefault(
                 sig => sig.Parameters.Length > items.SemanticParameterIndex);
             return matchingSignature != null ? items.Items.IndexOf(matchingSignature) : 0;
+
+            static bool fits(SignatureHelpItem item, int argumentCount)
+            {
+                return item.IsVariadic || item.Parameters.Length >= argumentCount;
+            }
+        }
+
+        // Named arguments can refer to different parameter positions in each overload
+        // (-1 means there is no parameter to highlight).
+        static int getActiveParameter(SignatureHelpItems items, SignatureHelpItem item)
+        {
+            if (items.ArgumentName is { } argumentName)
+            {
+                for (var i = 0; i < item.Parameters.Length; i++)
+                {
+                    if (item.Parameters[i].Name == argumentName)
+                    {
+                        return i;
+                    }
+                }
+
+                return -1;
+            }
+
+            if (item.IsVariadic && items.SemanticParameterIndex >= item.Parameters.Length)
+            {
+                return item.Parameters.Length - 1;
+            }
+
+            return items.SemanticParameterIndex;
         }
     }
 
@@ -263,6 +428,36 @@ public enum TaggedTextStylePublic
     PreserveWhitespace = 1 << 4,
 }
 
+public readonly record struct InlineHintPublic(TextSpan Span, string Text, TextChange? ReplacementTextChange);
+
+public readonly record struct HighlightSpanPublic(TextSpan TextSpan, HighlightSpanKindPublic Kind);
+
+public enum HighlightSpanKindPublic
+{
+    None,
+    Definition,
+    Reference,
+    WrittenReference,
+}
+
+public readonly record struct BlockSpanPublic(TextSpan TextSpan, BlockTypePublic Type);
+
+public enum BlockTypePublic
+{
+    Other,
+    Comment,
+    Imports,
+    Region,
+}
+
+public enum CodeRefactoringKindPublic
+{
+    Rewrite,
+    Extract,
+    Inline,
+    Source,
+}
+
 public enum SignatureHelpTriggerReasonPublic
 {
     InvokeSignatureHelpCommand,
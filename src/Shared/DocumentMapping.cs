@@ -39,6 +39,37 @@ public readonly struct DocumentMapping(IReadOnlyList<(StringSpan, StringSpan)> v
         return false;
     }
 
+    /// <summary>
+    /// Like <see cref="TryFind"/> but if no source span contains <paramref name="position"/>,
+    /// falls back to the first source span after it.
+    /// </summary>
+    public bool TryFindNearest(int position, out StringSpan source, out StringSpan target)
+    {
+        if (TryFind(position, out source, out target))
+        {
+            return true;
+        }
+
+        (StringSpan Source, StringSpan Target)? result = null;
+        foreach (var candidate in Values)
+        {
+            if (candidate.Source.Start >= position &&
+                (result is not { } previous || previous.Source.CompareTo(candidate.Source) > 0))
+            {
+                result = candidate;
+            }
+        }
+
+        if (result is { } found)
+        {
+            source = found.Source;
+            target = found.Target;
+            return true;
+        }
+
+        return false;
+    }
+
     public void Serialize(Stream stream)
     {
         using var writer = new BinaryWriter(stream, Encoding.UTF8, leaveOpen: true);
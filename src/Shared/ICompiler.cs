@@ -14,7 +14,10 @@ public interface ICompiler : IDisposable
         ImmutableDictionary<string, ImmutableArray<byte>>? builtInAssemblies,
         AssemblyLoadContext alc);
 
-    string FormatCode(string code, bool isScript);
+    /// <param name="span">
+    /// If specified, only statements and members intersecting this span are formatted.
+    /// </param>
+    string FormatCode(string code, bool isScript, StringSpan? span = null);
 }
 
 public sealed record CompilationInput
@@ -207,7 +210,9 @@ public sealed record CompiledAssembly(
     public const string DiagnosticsOutputType = "errors";
     public static readonly string DiagnosticsOutputLabel = "Error List";
     public static readonly string CSharpLanguageId = "csharp";
+    public static readonly string ILLanguageId = "il";
     public static readonly string OutputLanguageId = "output";
+    public static readonly string RazorLanguageId = "razor";
 
     public static CompiledAssembly Fail(string output)
     {
@@ -332,6 +337,30 @@ public sealed record CompiledAssembly(
         inputFileName = null;
         return false;
     }
+
+    /// <summary>
+    /// URI of a read-only model with decompiled source of a referenced type (used by Go to Definition).
+    /// </summary>
+    public static string GetMetadataModelUri(string assemblyName, string typeName)
+    {
+        return $"file:///metadata/{assemblyName}/{typeName}.cs";
+    }
+
+    public static bool TryParseMetadataModelUri(string modelUri,
+        [NotNullWhen(returnValue: true)] out string? assemblyName,
+        [NotNullWhen(returnValue: true)] out string? typeName)
+    {
+        if (Util.MetadataModelUri.Match(modelUri) is { Success: true } match)
+        {
+            assemblyName = match.Groups["assembly"].Value;
+            typeName = match.Groups["type"].Value;
+            return true;
+        }
+
+        assemblyName = null;
+        typeName = null;
+        return false;
+    }
 }
 
 public sealed record CompiledFile(ImmutableArray<CompiledFileOutput> Outputs)
@@ -1,6 +1,41 @@
-﻿namespace DotNetLab;
+﻿using System.Text.RegularExpressions;
+
+namespace DotNetLab;
 
 public interface IJitAsmDisassembler
 {
     string Disassemble(MemoryStream emitStream, ImmutableArray<RefAssembly> references);
 }
+
+public static partial class JitAsmLanguage
+{
+    public static readonly string X86LanguageId = "x86";
+    public static readonly string X86AttLanguageId = "x86-att";
+    public static readonly string Arm64LanguageId = "arm64";
+
+    /// <summary>
+    /// Matches the header which the JIT emits for each method, e.g., <c>; Emitting BLENDED_CODE for generic ARM64 - Apple</c>.
+    /// </summary>
+    [GeneratedRegex("""^; Emitting .* for .*\bARM64\b""", RegexOptions.Multiline | RegexOptions.IgnoreCase)]
+    private static partial Regex Arm64Header { get; }
+
+    /// <summary>
+    /// Matches an instruction with a <c>%</c>-prefixed register operand, e.g., <c>movq %rsp, %rbp</c> (the JIT itself emits the Intel syntax).
+    /// </summary>
+    [GeneratedRegex("""^[ \t]*[a-z][a-z0-9.]*[ \t]+[^;#\r\n]*%[a-z][a-z0-9]*\b""", RegexOptions.Multiline | RegexOptions.IgnoreCase)]
+    private static partial Regex AttInstruction { get; }
+
+    /// <summary>
+    /// Gets the Monaco language of JIT disassembly based on the target architecture mentioned in it
+    /// (and for x86, on the syntax it uses).
+    /// </summary>
+    public static string GetLanguageId(string text)
+    {
+        if (Arm64Header.IsMatch(text))
+        {
+            return Arm64LanguageId;
+        }
+
+        return AttInstruction.IsMatch(text) ? X86AttLanguageId : X86LanguageId;
+    }
+}
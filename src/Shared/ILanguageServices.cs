@@ -10,9 +10,25 @@ public interface ILanguageServices : IDisposable
     Task<string> ProvideCompletionItemsAsync(string modelUri, Position position, BlazorMonaco.Languages.CompletionContext context, CancellationToken cancellationToken);
     Task<string?> ResolveCompletionItemAsync(MonacoCompletionItem item, CancellationToken cancellationToken);
     Task<string?> ProvideSemanticTokensAsync(string modelUri, string? rangeJson, bool debug, CancellationToken cancellationToken);
+    Task<string?> ProvideSemanticTokensEditsAsync(string modelUri, string? previousResultId, bool debug, CancellationToken cancellationToken);
+    void ReleaseSemanticTokens(string resultId);
     Task<string?> ProvideCodeActionsAsync(string modelUri, string? rangeJson, CancellationToken cancellationToken);
+    Task<string?> ResolveCodeActionAsync(MonacoCodeAction action, CancellationToken cancellationToken);
     Task<string?> ProvideHoverAsync(string modelUri, string positionJson, CancellationToken cancellationToken);
     Task<string?> ProvideSignatureHelpAsync(string modelUri, string positionJson, string contextJson, CancellationToken cancellationToken);
+    Task<string?> ProvideDefinitionAsync(string modelUri, string positionJson, CancellationToken cancellationToken);
+    Task<string?> ProvideReferencesAsync(string modelUri, string positionJson, bool includeDeclaration, CancellationToken cancellationToken);
+    Task<string?> ResolveRenameLocationAsync(string modelUri, string positionJson, CancellationToken cancellationToken);
+    Task<string?> ProvideRenameEditsAsync(string modelUri, string positionJson, string newName, ImmutableDictionary<string, string> razorCodes, CancellationToken cancellationToken);
+    Task<string?> ProvideDocumentSymbolsAsync(string modelUri, string? razorCode, CancellationToken cancellationToken);
+    Task<string?> ProvideCodeLensesAsync(string modelUri, CancellationToken cancellationToken);
+    Task<string?> ProvideWorkspaceSymbolsAsync(string query, CancellationToken cancellationToken);
+    Task<string?> ProvideFoldingRangesAsync(string modelUri, string? razorCode, CancellationToken cancellationToken);
+    Task<string?> ProvideSelectionRangesAsync(string modelUri, string? razorCode, string positionsJson, CancellationToken cancellationToken);
+    Task<string?> ProvideDocumentHighlightsAsync(string modelUri, string positionJson, CancellationToken cancellationToken);
+    Task<string?> ProvideLinkedEditingRangesAsync(string modelUri, string? razorCode, string positionJson, CancellationToken cancellationToken);
+    Task<string?> ProvideInlayHintsAsync(string modelUri, string rangeJson, InlayHintsOptions options, CancellationToken cancellationToken);
+    Task<string?> ProvideFormattingAsync(string modelUri, string code, StringSpan? span, bool onType, CancellationToken cancellationToken);
     void OnCompilationFinished();
     Task OnDidChangeWorkspaceAsync(ImmutableArray<ModelInfo> models, bool refresh = false);
     Task OnDidChangeModelContentAsync(string modelUri, ModelContentChangedEvent args);
@@ -30,6 +46,34 @@ public sealed record ModelInfo(string Uri, string FileName)
     public bool IsConfiguration { get; init; }
 }
 
+/// <summary>
+/// Which kinds of inlay hints should be displayed.
+/// </summary>
+public sealed record InlayHintsOptions
+{
+    public static InlayHintsOptions Default { get; } = new();
+
+    /// <summary>
+    /// Parameter names at call sites.
+    /// </summary>
+    public bool ParameterNames { get; init; } = true;
+
+    /// <summary>
+    /// Types of <see langword="var"/> declarations (including deconstructions and <c>out var</c>s).
+    /// </summary>
+    public bool VariableTypes { get; init; } = true;
+
+    /// <summary>
+    /// Types of implicitly-typed lambda parameters.
+    /// </summary>
+    public bool LambdaParameterTypes { get; init; } = true;
+
+    /// <summary>
+    /// Types of variables declared in <see langword="var"/> patterns.
+    /// </summary>
+    public bool PatternVariableTypes { get; init; } = true;
+}
+
 public interface ICompilerAssemblyLoader
 {
     public Task<ImmutableDictionary<string, ImmutableArray<byte>>> LoadBuiltInCompilerAssembliesAsync();
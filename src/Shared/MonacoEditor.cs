@@ -32,6 +32,7 @@ public sealed class MonacoCompletionItem
     public required string Label { get; init; }
     public required CompletionItemKind Kind { get; init; }
     public string? InsertText { get; set; }
+    public CompletionItemInsertTextRule InsertTextRules { get; init; }
     public string? FilterText { get; init; }
     public string? SortText { get; init; }
     public string? Documentation { get; set; }
@@ -46,9 +47,20 @@ public sealed class MonacoCompletionItem
 /// </remarks>
 public sealed class MonacoCodeAction
 {
+    /// <summary>
+    /// Identifies the list of actions this action belongs to (together with <see cref="ModelUri"/>),
+    /// so an action from an outdated list is not resolved.
+    /// </summary>
+    public string? ResultId { get; init; }
+    public string? ModelUri { get; init; }
+
+    /// <summary>
+    /// Identifies the action when it is being resolved (its <see cref="Edit"/> is computed lazily).
+    /// </summary>
+    public int Index { get; init; }
     public required string Title { get; init; }
     public string? Kind { get; init; }
-    public MonacoWorkspaceEdit? Edit { get; init; }
+    public MonacoWorkspaceEdit? Edit { get; set; }
 }
 
 /// <remarks>
@@ -58,11 +70,255 @@ public static class MonacoCodeActionKind
 {
     public const string QuickFix = "quickfix";
     public const string Refactor = "refactor";
+    public const string RefactorExtract = "refactor.extract";
+    public const string RefactorInline = "refactor.inline";
+    public const string RefactorRewrite = "refactor.rewrite";
+    public const string Source = "source";
 }
 
 public sealed class MonacoWorkspaceEdit
 {
     public required ImmutableArray<WorkspaceTextEdit> Edits { get; init; }
+
+    /// <summary>
+    /// Set when the edit cannot be performed (e.g., a rename to an invalid identifier).
+    /// </summary>
+    public string? RejectReason { get; init; }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.RenameLocation.html"/>
+/// and <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.Rejection.html"/>.
+/// </remarks>
+public sealed class MonacoRenameLocation
+{
+    public BlazorMonaco.Range? Range { get; init; }
+    public string? Text { get; init; }
+    public string? RejectReason { get; init; }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.Location.html"/>.
+/// </remarks>
+public sealed class MonacoLocation
+{
+    public required string Uri { get; init; }
+    public required BlazorMonaco.Range Range { get; init; }
+}
+
+/// <summary>
+/// Result of Go to Definition.
+/// </summary>
+public sealed class MonacoDefinition
+{
+    public required ImmutableArray<MonacoLocation> Locations { get; init; }
+
+    /// <summary>
+    /// Decompiled source of a metadata type which <see cref="Locations"/> point to
+    /// (a read-only model with this text needs to be created first).
+    /// </summary>
+    public string? MetadataSourceText { get; init; }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.Hover.html"/>.
+/// </remarks>
+public sealed class MonacoHover
+{
+    /// <summary>
+    /// Markdown sections (signature, documentation, links, etc.).
+    /// They can contain <c>command:</c> links (see <see cref="MonacoCommands"/>).
+    /// </summary>
+    public required ImmutableArray<string> Contents { get; init; }
+
+    /// <summary>
+    /// Range of the hovered token (Monaco keeps the hover open while the mouse is within this range).
+    /// </summary>
+    public BlazorMonaco.Range? Range { get; init; }
+}
+
+/// <summary>
+/// Commands which can be invoked via <c>command:</c> links in markdown (e.g., in <see cref="MonacoHover"/>).
+/// </summary>
+public static class MonacoCommands
+{
+    /// <summary>
+    /// Displays an output, see <see cref="MonacoShowOutputArguments"/>.
+    /// </summary>
+    public const string ShowOutput = "dotnetlab.showOutput";
+
+    public static string GetShowOutputLink(string label, MonacoShowOutputArguments arguments)
+    {
+        var argumentsJson = JsonSerializer.Serialize(arguments, BlazorMonacoJsonContext.Default.MonacoShowOutputArguments);
+        return $"[{label}](command:{ShowOutput}?{Uri.EscapeDataString(argumentsJson)})";
+    }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.CodeLens.html"/>.
+/// </remarks>
+public sealed class MonacoCodeLens
+{
+    public required BlazorMonaco.Range Range { get; init; }
+    public required MonacoCommand Command { get; init; }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.Command.html"/>.
+/// </remarks>
+public sealed class MonacoCommand
+{
+    /// <summary>
+    /// One of <see cref="MonacoCommands"/>.
+    /// </summary>
+    public required string Id { get; init; }
+    public required string Title { get; init; }
+    public string? Tooltip { get; init; }
+    public ImmutableArray<MonacoShowOutputArguments> Arguments { get; init; }
+}
+
+public sealed class MonacoShowOutputArguments
+{
+    public required string OutputType { get; init; }
+
+    /// <summary>
+    /// Position in the current input which should be revealed in the output
+    /// (works only for outputs with input-to-output mapping, e.g., the syntax tree).
+    /// </summary>
+    public int? Position { get; init; }
+
+    /// <summary>
+    /// Metadata name of a member whose declaration should be revealed in the output (e.g., in IL).
+    /// </summary>
+    public string? MemberName { get; init; }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.DocumentHighlight.html"/>.
+/// </remarks>
+public sealed class MonacoDocumentHighlight
+{
+    public required BlazorMonaco.Range Range { get; init; }
+    public MonacoDocumentHighlightKind Kind { get; init; }
+}
+
+public enum MonacoDocumentHighlightKind
+{
+    Text = 0,
+    Read = 1,
+    Write = 2,
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.LinkedEditingRanges.html"/>.
+/// </remarks>
+public sealed class MonacoLinkedEditingRanges
+{
+    /// <summary>
+    /// Ranges which are edited together (all of the same length and content).
+    /// </summary>
+    public required ImmutableArray<BlazorMonaco.Range> Ranges { get; init; }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.InlayHint.html"/>.
+/// </remarks>
+public sealed class MonacoInlayHint
+{
+    public required string Label { get; init; }
+    public required Position Position { get; init; }
+    public MonacoInlayHintKind Kind { get; init; }
+    public bool PaddingLeft { get; init; }
+    public bool PaddingRight { get; init; }
+    public List<TextEdit>? TextEdits { get; init; }
+}
+
+public enum MonacoInlayHintKind
+{
+    Type = 1,
+    Parameter = 2,
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.DocumentSymbol.html"/>.
+/// </remarks>
+public sealed class MonacoDocumentSymbol
+{
+    public required string Name { get; init; }
+    public string? Detail { get; init; }
+    public MonacoSymbolKind Kind { get; init; }
+    public required BlazorMonaco.Range Range { get; init; }
+    public required BlazorMonaco.Range SelectionRange { get; init; }
+    public ImmutableArray<MonacoDocumentSymbol> Children { get; init; }
+}
+
+/// <summary>
+/// Result of a workspace symbol search (Monaco does not have a workspace symbol provider).
+/// </summary>
+/// <remarks>
+/// VSCode docs: <see href="https://code.visualstudio.com/api/references/vscode-api#SymbolInformation"/>.
+/// </remarks>
+public sealed class MonacoSymbolInformation
+{
+    public required string Name { get; init; }
+    public string? ContainerName { get; init; }
+    public MonacoSymbolKind Kind { get; init; }
+    public required MonacoLocation Location { get; init; }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#enums/editor_editor_api.languages.SymbolKind.html"/>.
+/// </remarks>
+public enum MonacoSymbolKind
+{
+    File = 0,
+    Module = 1,
+    Namespace = 2,
+    Package = 3,
+    Class = 4,
+    Method = 5,
+    Property = 6,
+    Field = 7,
+    Constructor = 8,
+    Enum = 9,
+    Interface = 10,
+    Function = 11,
+    Variable = 12,
+    Constant = 13,
+    String = 14,
+    Number = 15,
+    Boolean = 16,
+    Array = 17,
+    Object = 18,
+    Key = 19,
+    Null = 20,
+    EnumMember = 21,
+    Struct = 22,
+    Event = 23,
+    Operator = 24,
+    TypeParameter = 25,
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.FoldingRange.html"/>.
+/// </remarks>
+public sealed class MonacoFoldingRange
+{
+    /// <summary>
+    /// One-based line number.
+    /// </summary>
+    public required int Start { get; init; }
+
+    /// <summary>
+    /// One-based line number.
+    /// </summary>
+    public required int End { get; init; }
+
+    /// <summary>
+    /// <c>comment</c>, <c>imports</c>, or <c>region</c>
+    /// (see <see href="https://microsoft.github.io/monaco-editor/docs.html#classes/editor_editor_api.languages.FoldingRangeKind.html"/>).
+    /// </summary>
+    public string? Kind { get; init; }
 }
 
 /// <remarks>
@@ -74,6 +330,43 @@ public sealed class SemanticTokensLegend
     public ImmutableArray<string> TokenModifiers { get; init; }
 }
 
+/// <summary>
+/// Either full <see cref="Data"/> or <see cref="Edits"/> to the tokens previously returned for the same model.
+/// </summary>
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.SemanticTokens.html"/>
+/// and <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.SemanticTokensEdits.html"/>.
+/// </remarks>
+public sealed class MonacoSemanticTokens
+{
+    public string? ResultId { get; init; }
+
+    /// <summary>
+    /// Base64-encoded int32 array.
+    /// </summary>
+    public string? Data { get; init; }
+
+    public ImmutableArray<MonacoSemanticTokensEdit> Edits { get; init; }
+}
+
+/// <remarks>
+/// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.SemanticTokensEdit.html"/>.
+/// </remarks>
+public sealed class MonacoSemanticTokensEdit
+{
+    /// <summary>
+    /// Index into the int32 array (not into the tokens).
+    /// </summary>
+    public required int Start { get; init; }
+
+    public required int DeleteCount { get; init; }
+
+    /// <summary>
+    /// Base64-encoded int32 array.
+    /// </summary>
+    public string? Data { get; init; }
+}
+
 /// <remarks>
 /// Monaco docs: <see href="https://microsoft.github.io/monaco-editor/docs.html#interfaces/editor_editor_api.languages.SignatureHelp.html"/>.
 /// </remarks>
@@ -98,9 +391,24 @@ public readonly struct ParameterInformation
 
 public sealed class SignatureHelpContext
 {
+    /// <summary>
+    /// Characters which show signature help (or update it if it is already shown).
+    /// </summary>
+    public const string TriggerCharacters = "(,<[";
+
+    /// <summary>
+    /// Characters which update signature help which is already shown (e.g., to switch to an outer call after <c>)</c>).
+    /// </summary>
+    public const string RetriggerCharacters = ")>]";
+
     public bool IsRetrigger { get; init; }
     public char? TriggerCharacter { get; init; }
     public SignatureHelpTriggerKind TriggerKind { get; init; }
+
+    /// <summary>
+    /// Signature help which is currently shown (when <see cref="IsRetrigger"/> is <see langword="true"/>).
+    /// </summary>
+    public SignatureHelp? ActiveSignatureHelp { get; init; }
 }
 
 public enum SignatureHelpTriggerKind
@@ -115,8 +423,25 @@ public enum SignatureHelpTriggerKind
 [JsonSerializable(typeof(CompletionContext))]
 [JsonSerializable(typeof(MonacoCompletionItem))]
 [JsonSerializable(typeof(MonacoCompletionList))]
+[JsonSerializable(typeof(MonacoCodeAction))]
 [JsonSerializable(typeof(ImmutableArray<MonacoCodeAction>))]
+[JsonSerializable(typeof(ImmutableArray<MonacoLocation>))]
+[JsonSerializable(typeof(MonacoWorkspaceEdit))]
+[JsonSerializable(typeof(MonacoRenameLocation))]
+[JsonSerializable(typeof(ImmutableArray<MonacoInlayHint>))]
+[JsonSerializable(typeof(MonacoHover))]
+[JsonSerializable(typeof(MonacoShowOutputArguments))]
+[JsonSerializable(typeof(ImmutableArray<MonacoCodeLens>))]
+[JsonSerializable(typeof(ImmutableArray<MonacoDocumentHighlight>))]
+[JsonSerializable(typeof(MonacoLinkedEditingRanges))]
+[JsonSerializable(typeof(ImmutableArray<MonacoDocumentSymbol>))]
+[JsonSerializable(typeof(ImmutableArray<MonacoSymbolInformation>))]
+[JsonSerializable(typeof(ImmutableArray<MonacoFoldingRange>))]
+[JsonSerializable(typeof(ImmutableArray<Position>))]
+[JsonSerializable(typeof(ImmutableArray<ImmutableArray<BlazorMonaco.Range>>))]
 [JsonSerializable(typeof(SemanticTokensLegend))]
+[JsonSerializable(typeof(MonacoSemanticTokens))]
+[JsonSerializable(typeof(MonacoDefinition))]
 [JsonSerializable(typeof(SignatureHelp))]
 [JsonSerializable(typeof(SignatureHelpContext))]
 [JsonSourceGenerationOptions(
@@ -22,6 +22,9 @@ public static partial class Util
     [GeneratedRegex("^file:///out/[^/]+/(?<type>[^/]+)(?<input>(/.*)?)$")]
     internal static partial Regex OutputModelUri { get; }
 
+    [GeneratedRegex("^file:///metadata/(?<assembly>[^/]+)/(?<type>[^/]+)\\.cs$")]
+    internal static partial Regex MetadataModelUri { get; }
+
     private static readonly AsyncLock ConsoleCaptureLock = new();
     private static readonly Lock ConsoleCaptureStateLock = new();
     private static List<string>? consoleCaptureDeferredLines;
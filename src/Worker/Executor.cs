@@ -139,6 +139,22 @@ public sealed class WorkerExecutor(
         return await languageServices.ProvideSemanticTokensAsync(message.ModelUri, message.RangeJson, message.Debug, cancellationToken);
     }
 
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideSemanticTokensEdits message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideSemanticTokensEditsAsync(message.ModelUri, message.PreviousResultId, message.Debug, cancellationToken);
+    }
+
+    public async Task<NoOutput> HandleAsync(WorkerInputMessage.ReleaseSemanticTokens message)
+    {
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        languageServices.ReleaseSemanticTokens(message.ResultId);
+        return NoOutput.Instance;
+    }
+
     public async Task<string?> HandleAsync(WorkerInputMessage.ProvideCodeActions message)
     {
         using var _ = GetCancellationToken(message, out var cancellationToken);
@@ -147,6 +163,14 @@ public sealed class WorkerExecutor(
         return await languageServices.ProvideCodeActionsAsync(message.ModelUri, message.RangeJson, cancellationToken);
     }
 
+    public async Task<string?> HandleAsync(WorkerInputMessage.ResolveCodeAction message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ResolveCodeActionAsync(message.Action, cancellationToken);
+    }
+
     public async Task<string?> HandleAsync(WorkerInputMessage.ProvideHover message)
     {
         using var _ = GetCancellationToken(message, out var cancellationToken);
@@ -163,6 +187,110 @@ public sealed class WorkerExecutor(
         return await languageServices.ProvideSignatureHelpAsync(message.ModelUri, message.PositionJson, message.ContextJson, cancellationToken);
     }
 
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideDefinition message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideDefinitionAsync(message.ModelUri, message.PositionJson, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideReferences message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideReferencesAsync(message.ModelUri, message.PositionJson, message.IncludeDeclaration, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ResolveRenameLocation message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ResolveRenameLocationAsync(message.ModelUri, message.PositionJson, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideRenameEdits message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideRenameEditsAsync(message.ModelUri, message.PositionJson, message.NewName, message.RazorCodes, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideDocumentSymbols message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideDocumentSymbolsAsync(message.ModelUri, message.RazorCode, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideCodeLenses message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideCodeLensesAsync(message.ModelUri, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideWorkspaceSymbols message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideWorkspaceSymbolsAsync(message.Query, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideFoldingRanges message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideFoldingRangesAsync(message.ModelUri, message.RazorCode, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideSelectionRanges message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideSelectionRangesAsync(message.ModelUri, message.RazorCode, message.PositionsJson, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideDocumentHighlights message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideDocumentHighlightsAsync(message.ModelUri, message.PositionJson, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideLinkedEditingRanges message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideLinkedEditingRangesAsync(message.ModelUri, message.RazorCode, message.PositionJson, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideInlayHints message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideInlayHintsAsync(message.ModelUri, message.RangeJson, message.Options, cancellationToken);
+    }
+
+    public async Task<string?> HandleAsync(WorkerInputMessage.ProvideFormatting message)
+    {
+        using var _ = GetCancellationToken(message, out var cancellationToken);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        return await languageServices.ProvideFormattingAsync(message.ModelUri, message.Code, message.Span, message.OnType, cancellationToken);
+    }
+
     public async Task<NoOutput> HandleAsync(WorkerInputMessage.OnDidChangeWorkspace message)
     {
         var compiler = services.GetRequiredService<CompilerProxy>();
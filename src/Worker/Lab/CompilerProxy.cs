@@ -95,12 +95,12 @@ internal sealed class CompilerProxy(
         return loaded.LanguageServices.Value;
     }
 
-    public async ValueTask<string> FormatCodeAsync(string code, bool isScript)
+    public async ValueTask<string> FormatCodeAsync(string code, bool isScript, StringSpan? span = null)
     {
         try
         {
             loaded ??= await LoadCompilerAsync(onlyLoadBuiltInCompiler: true);
-            return loaded.Compiler.FormatCode(code, isScript);
+            return loaded.Compiler.FormatCode(code, isScript, span);
         }
         catch (Exception ex)
         {
@@ -19,9 +19,25 @@ namespace DotNetLab;
 [JsonDerivedType(typeof(ProvideCompletionItems), nameof(ProvideCompletionItems))]
 [JsonDerivedType(typeof(ResolveCompletionItem), nameof(ResolveCompletionItem))]
 [JsonDerivedType(typeof(ProvideSemanticTokens), nameof(ProvideSemanticTokens))]
+[JsonDerivedType(typeof(ProvideSemanticTokensEdits), nameof(ProvideSemanticTokensEdits))]
+[JsonDerivedType(typeof(ReleaseSemanticTokens), nameof(ReleaseSemanticTokens))]
 [JsonDerivedType(typeof(ProvideCodeActions), nameof(ProvideCodeActions))]
+[JsonDerivedType(typeof(ResolveCodeAction), nameof(ResolveCodeAction))]
 [JsonDerivedType(typeof(ProvideHover), nameof(ProvideHover))]
 [JsonDerivedType(typeof(ProvideSignatureHelp), nameof(ProvideSignatureHelp))]
+[JsonDerivedType(typeof(ProvideDefinition), nameof(ProvideDefinition))]
+[JsonDerivedType(typeof(ProvideReferences), nameof(ProvideReferences))]
+[JsonDerivedType(typeof(ResolveRenameLocation), nameof(ResolveRenameLocation))]
+[JsonDerivedType(typeof(ProvideRenameEdits), nameof(ProvideRenameEdits))]
+[JsonDerivedType(typeof(ProvideDocumentSymbols), nameof(ProvideDocumentSymbols))]
+[JsonDerivedType(typeof(ProvideCodeLenses), nameof(ProvideCodeLenses))]
+[JsonDerivedType(typeof(ProvideWorkspaceSymbols), nameof(ProvideWorkspaceSymbols))]
+[JsonDerivedType(typeof(ProvideFoldingRanges), nameof(ProvideFoldingRanges))]
+[JsonDerivedType(typeof(ProvideSelectionRanges), nameof(ProvideSelectionRanges))]
+[JsonDerivedType(typeof(ProvideDocumentHighlights), nameof(ProvideDocumentHighlights))]
+[JsonDerivedType(typeof(ProvideLinkedEditingRanges), nameof(ProvideLinkedEditingRanges))]
+[JsonDerivedType(typeof(ProvideInlayHints), nameof(ProvideInlayHints))]
+[JsonDerivedType(typeof(ProvideFormatting), nameof(ProvideFormatting))]
 [JsonDerivedType(typeof(OnDidChangeWorkspace), nameof(OnDidChangeWorkspace))]
 [JsonDerivedType(typeof(OnDidChangeModelContent), nameof(OnDidChangeModelContent))]
 [JsonDerivedType(typeof(OnCachedCompilationLoaded), nameof(OnCachedCompilationLoaded))]
@@ -156,6 +172,22 @@ public abstract record WorkerInputMessage
         }
     }
 
+    public sealed record ProvideSemanticTokensEdits(string ModelUri, string? PreviousResultId, bool Debug) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ReleaseSemanticTokens(string ResultId) : WorkerInputMessage<NoOutput>
+    {
+        public override Task<NoOutput> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
     public sealed record ProvideCodeActions(string ModelUri, string? RangeJson) : WorkerInputMessage<string?>
     {
         public override Task<string?> HandleAsync(IExecutor executor)
@@ -164,6 +196,14 @@ public abstract record WorkerInputMessage
         }
     }
 
+    public sealed record ResolveCodeAction(MonacoCodeAction Action) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
     public sealed record ProvideHover(string ModelUri, string PositionJson) : WorkerInputMessage<string?>
     {
         public override Task<string?> HandleAsync(IExecutor executor)
@@ -180,6 +220,110 @@ public abstract record WorkerInputMessage
         }
     }
 
+    public sealed record ProvideDefinition(string ModelUri, string PositionJson) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideReferences(string ModelUri, string PositionJson, bool IncludeDeclaration) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ResolveRenameLocation(string ModelUri, string PositionJson) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideRenameEdits(string ModelUri, string PositionJson, string NewName, ImmutableDictionary<string, string> RazorCodes) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideDocumentSymbols(string ModelUri, string? RazorCode) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideCodeLenses(string ModelUri) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideWorkspaceSymbols(string Query) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideFoldingRanges(string ModelUri, string? RazorCode) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideSelectionRanges(string ModelUri, string? RazorCode, string PositionsJson) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideDocumentHighlights(string ModelUri, string PositionJson) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideLinkedEditingRanges(string ModelUri, string? RazorCode, string PositionJson) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideInlayHints(string ModelUri, string RangeJson, InlayHintsOptions Options) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
+    public sealed record ProvideFormatting(string ModelUri, string Code, StringSpan? Span, bool OnType) : WorkerInputMessage<string?>
+    {
+        public override Task<string?> HandleAsync(IExecutor executor)
+        {
+            return executor.HandleAsync(this);
+        }
+    }
+
     public sealed record OnDidChangeWorkspace(ImmutableArray<ModelInfo> Models, bool Refresh) : WorkerInputMessage<NoOutput>
     {
         public override Task<NoOutput> HandleAsync(IExecutor executor)
@@ -227,9 +371,25 @@ public abstract record WorkerInputMessage
         Task<string> HandleAsync(ProvideCompletionItems message);
         Task<string?> HandleAsync(ResolveCompletionItem message);
         Task<string?> HandleAsync(ProvideSemanticTokens message);
+        Task<string?> HandleAsync(ProvideSemanticTokensEdits message);
+        Task<NoOutput> HandleAsync(ReleaseSemanticTokens message);
         Task<string?> HandleAsync(ProvideCodeActions message);
+        Task<string?> HandleAsync(ResolveCodeAction message);
         Task<string?> HandleAsync(ProvideHover message);
         Task<string?> HandleAsync(ProvideSignatureHelp message);
+        Task<string?> HandleAsync(ProvideDefinition message);
+        Task<string?> HandleAsync(ProvideReferences message);
+        Task<string?> HandleAsync(ResolveRenameLocation message);
+        Task<string?> HandleAsync(ProvideRenameEdits message);
+        Task<string?> HandleAsync(ProvideDocumentSymbols message);
+        Task<string?> HandleAsync(ProvideCodeLenses message);
+        Task<string?> HandleAsync(ProvideWorkspaceSymbols message);
+        Task<string?> HandleAsync(ProvideFoldingRanges message);
+        Task<string?> HandleAsync(ProvideSelectionRanges message);
+        Task<string?> HandleAsync(ProvideDocumentHighlights message);
+        Task<string?> HandleAsync(ProvideLinkedEditingRanges message);
+        Task<string?> HandleAsync(ProvideInlayHints message);
+        Task<string?> HandleAsync(ProvideFormatting message);
         Task<NoOutput> HandleAsync(OnDidChangeWorkspace message);
         Task<NoOutput> HandleAsync(OnDidChangeModelContent message);
         Task<NoOutput> HandleAsync(OnCachedCompilationLoaded message);
@@ -693,6 +693,36 @@ public class C
         }
     }
 
+    [TestMethod]
+    public async Task ILLabelReferences()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+
+        var code = """
+            class C
+            {
+                int M(bool b) => b ? 1 : 2;
+                int N(int i) { while (i > 0) i--; return i; }
+            }
+            """;
+
+        var compiled = await compiler.CompileAsync(new(new([new() { FileName = "Program.cs", Text = code }])));
+
+        var il = await compiled.GetRequiredGlobalOutput("il").LoadAsync();
+        var mapping = DocumentMapping.Deserialize(il.Metadata!.OutputToOutput!);
+        mapping.Values.Should().NotBeEmpty();
+        foreach (var (source, target) in mapping.Values)
+        {
+            // Branch targets link to the label definition in the same method.
+            var label = il.Text.Substring(source.Start, source.Length);
+            label.Should().StartWith("IL_");
+            il.Text.Substring(target.Start, target.Length).Should().Be(label);
+            il.Text[target.End].Should().Be(':');
+            il.Text[Math.Min(source.Start, target.Start)..Math.Max(source.End, target.End)].Should().NotContain(".method");
+        }
+    }
+
     [TestMethod, CombinatorialData]
     public async Task Directives_Configuration(bool debug)
     {
@@ -1061,6 +1091,57 @@ public class C
 
         Assert.AreEqual(expected, formatted);
     }
+
+    [TestMethod]
+    public async Task FormatCode_Span()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+
+        var unformatted = """
+            class Test
+            {
+                void M()
+                {
+                    var x=1;
+                    if(x>0){
+                    x++;
+                    }
+                    var y  =  2;
+                }
+            }
+            """.ReplaceLineEndings("\n");
+
+        // Format selection.
+        var start = unformatted.IndexOf("var x", StringComparison.Ordinal);
+        var end = unformatted.IndexOf("var y", StringComparison.Ordinal);
+        var formatted = await compiler.FormatCodeAsync(unformatted, isScript: false, new() { Start = start, Length = end - start });
+
+        var expected = """
+            class Test
+            {
+                void M()
+                {
+                    var x = 1;
+                    if (x > 0)
+                    {
+                        x++;
+                    }
+                    var y  =  2;
+                }
+            }
+            """.ReplaceLineEndings("\n");
+
+        Assert.AreEqual(expected, formatted);
+
+        // Format on type (after `;`).
+        start = formatted.IndexOf("2;", StringComparison.Ordinal) + 1;
+        formatted = await compiler.FormatCodeAsync(formatted, isScript: false, new() { Start = start, Length = 1 });
+
+        expected = expected.Replace("var y  =  2;", "var y = 2;", StringComparison.Ordinal);
+
+        Assert.AreEqual(expected, formatted);
+    }
 }
 
 internal sealed partial class MockHttpMessageHandler : HttpClientHandler
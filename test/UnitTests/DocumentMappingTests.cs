@@ -0,0 +1,23 @@
+﻿namespace DotNetLab;
+
+[TestClass]
+public sealed class DocumentMappingTests
+{
+    [TestMethod]
+    [DataRow(12, "[20..25)")] // Inside a source span.
+    [DataRow(0, "[20..25)")] // Before all source spans.
+    [DataRow(16, "[40..45)")] // Between source spans.
+    [DataRow(40, null)] // After all source spans.
+    public void TryFindNearest(int position, string? expectedTarget)
+    {
+        var mapping = new DocumentMapping(
+        [
+            (new StringSpan { Start = 10, Length = 5 }, new StringSpan { Start = 20, Length = 5 }),
+            (new StringSpan { Start = 30, Length = 5 }, new StringSpan { Start = 40, Length = 5 }),
+        ]);
+
+        var found = mapping.TryFindNearest(position, out _, out var target);
+
+        Assert.AreEqual(expectedTarget, found ? target.ToString() : null);
+    }
+}
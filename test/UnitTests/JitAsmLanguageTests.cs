@@ -0,0 +1,41 @@
+﻿namespace DotNetLab;
+
+[TestClass]
+public sealed class JitAsmLanguageTests
+{
+    [TestMethod]
+    [DataRow("; Emitting BLENDED_CODE for generic ARM64 - Apple", "arm64")]
+    [DataRow("; Emitting BLENDED_CODE for arm64 on Windows", "arm64")]
+    [DataRow("; Emitting BLENDED_CODE for X64 with AVX - Windows", "x86")]
+    [DataRow("; Emitting BLENDED_CODE for generic X86 - Windows", "x86")]
+    [DataRow("; Emitting BLENDED_CODE for X64 with AVX512 - Unix\n; comment mentioning ARM64", "x86")]
+    [DataRow("", "x86")]
+    public void GetLanguageId(string header, string expected)
+    {
+        var text = $"""
+            ; Assembly listing for method C:M():int (FullOpts)
+            {header}
+            ; FullOpts code
+            """;
+
+        Assert.AreEqual(expected, JitAsmLanguage.GetLanguageId(text));
+    }
+
+    [TestMethod]
+    [DataRow("       mov      rax, qword ptr [rbp-0x08]", "x86")]
+    [DataRow("       call     [System.Console:WriteLine(System.String)] ; 100% hot", "x86")]
+    [DataRow("       movq     %rsp, %rbp", "x86-att")]
+    [DataRow("       addl     $0x10, -8(%rbp,%rcx,4)", "x86-att")]
+    public void GetLanguageId_Syntax(string instruction, string expected)
+    {
+        var text = $"""
+            ; Assembly listing for method C:M():int (FullOpts)
+            ; Emitting BLENDED_CODE for X64 with AVX - Unix
+
+            G_M000_IG01:
+            {instruction}
+            """;
+
+        Assert.AreEqual(expected, JitAsmLanguage.GetLanguageId(text));
+    }
+}
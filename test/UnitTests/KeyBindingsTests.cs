@@ -0,0 +1,77 @@
+﻿using DotNetLab.Lab;
+
+namespace DotNetLab;
+
+[TestClass]
+public sealed class KeyBindingsTests
+{
+    [TestMethod]
+    [DataRow("Ctrl+S", "Ctrl+S")]
+    [DataRow("shift+ctrl+s", "Ctrl+Shift+S")]
+    [DataRow(" Cmd + Alt + , ", "Ctrl+Alt+,")]
+    [DataRow("alt+pagedown", "Alt+PageDown")]
+    [DataRow("f5", "F5")]
+    [DataRow("?", "?")]
+    public void TryParseShortcut(string text, string expected)
+    {
+        Assert.IsTrue(KeyBindings.TryParseShortcut(text, out var shortcut, out var error));
+        Assert.IsNull(error);
+        Assert.AreEqual(expected, shortcut);
+    }
+
+    [TestMethod]
+    [DataRow("Ctrl")]
+    [DataRow("Ctrl+")]
+    [DataRow("Ctrl+Foo")]
+    [DataRow("S+Ctrl")]
+    [DataRow("Shift+;")]
+    public void TryParseShortcut_Invalid(string text)
+    {
+        Assert.IsFalse(KeyBindings.TryParseShortcut(text, out var shortcut, out var error));
+        Assert.IsNotNull(error);
+        Assert.IsNull(shortcut);
+    }
+
+    [TestMethod]
+    public void DefaultsAreNormalized()
+    {
+        foreach (var command in KeyBindings.Commands)
+        {
+            Assert.IsTrue(KeyBindings.TryParseShortcut(command.DefaultShortcut, out var shortcut, out _), command.Id);
+            Assert.AreEqual(command.DefaultShortcut, shortcut, command.Id);
+        }
+    }
+
+    [TestMethod]
+    public void ParseOverrides()
+    {
+        var overrides = KeyBindings.ParseOverrides("""
+            { "compile": "Ctrl+Shift+S", "format": "", "unknown": "Ctrl+K", "copy-url": "not a shortcut" }
+            """);
+
+        Assert.HasCount(2, overrides);
+        Assert.AreEqual("Ctrl+Shift+S", overrides[LabCommand.Compile]);
+        Assert.AreEqual("", overrides[LabCommand.Format]);
+
+        var active = KeyBindings.GetActiveShortcuts(overrides);
+        Assert.AreEqual("Ctrl+Shift+S", active[LabCommand.Compile]);
+        Assert.AreEqual("Ctrl+;", active[LabCommand.CopyUrl]);
+        Assert.IsFalse(active.ContainsKey(LabCommand.Format));
+
+        Assert.IsEmpty(KeyBindings.ParseOverrides("{"));
+    }
+
+    [TestMethod]
+    public void Conflicts()
+    {
+        Assert.IsTrue(KeyBindings.Commands.All(static c =>
+            KeyBindings.GetConflicts(c.Id, KeyBindings.GetActiveShortcuts(ImmutableDictionary<string, string>.Empty)).IsEmpty));
+
+        var active = KeyBindings.GetActiveShortcuts(ImmutableDictionary<string, string>.Empty
+            .Add(LabCommand.Compile, "Ctrl+F")
+            .Add(LabCommand.Format, "Ctrl+;"));
+
+        CollectionAssert.AreEqual(new[] { "Overrides editor command 'Find'." }, KeyBindings.GetConflicts(LabCommand.Compile, active).ToArray());
+        CollectionAssert.AreEqual(new[] { "Same as lab command 'Format document'." }, KeyBindings.GetConflicts(LabCommand.CopyUrl, active).ToArray());
+    }
+}
@@ -2,6 +2,7 @@
 using BlazorMonaco;
 using DotNetLab.Lab;
 using Microsoft.Extensions.DependencyInjection;
+using System.Runtime.InteropServices;
 using System.Text.Json;
 
 namespace DotNetLab;
@@ -36,6 +37,50 @@ public sealed class LanguageServiceTests
         codeActions.Select(c => c.Title).Should().Contain(expectedCodeActionTitle);
     }
 
+    [TestMethod]
+    public async Task CodeActions_Refactoring()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync([new("test.cs", "test.cs") { NewContent = "class C { int M() { var x = 1; return x; } }" }]);
+
+        var rangeJson = """{"startLineNumber":1,"startColumn":25,"endLineNumber":1,"endColumn":26}""";
+        var codeActionsJson = await languageServices.ProvideCodeActionsAsync("test.cs", rangeJson, TestContext.CancellationToken);
+        var codeActions = JsonSerializer.Deserialize(codeActionsJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoCodeAction);
+
+        TestContext.WriteLine($"Code actions:\n{codeActions.Select(c => $"{c.Title} ({c.Kind})").JoinToString("\n")}");
+
+        // Edits are computed lazily.
+        codeActions.Should().AllSatisfy(static c => c.Edit.Should().BeNull());
+        var inline = codeActions.Should().ContainSingle(static c => c.Kind == MonacoCodeActionKind.RefactorInline).Subject;
+
+        var resolvedJson = await languageServices.ResolveCodeActionAsync(inline, TestContext.CancellationToken);
+        var resolved = JsonSerializer.Deserialize(resolvedJson!, BlazorMonacoJsonContext.Default.MonacoCodeAction)!;
+
+        resolved.Edit!.Edits.Should().NotBeEmpty();
+        resolved.Edit.Edits.Should().AllSatisfy(static e => e.ResourceUri.Should().Be("test.cs"));
+    }
+
+    [TestMethod]
+    public async Task CodeActions_ResolveOutdated()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync([new("test.cs", "test.cs") { NewContent = "class C { int M() { var x = 1; return x; } }" }]);
+
+        var rangeJson = """{"startLineNumber":1,"startColumn":25,"endLineNumber":1,"endColumn":26}""";
+        var codeActionsJson = await languageServices.ProvideCodeActionsAsync("test.cs", rangeJson, TestContext.CancellationToken);
+        var codeActions = JsonSerializer.Deserialize(codeActionsJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoCodeAction);
+        var inline = codeActions.Should().ContainSingle(static c => c.Kind == MonacoCodeActionKind.RefactorInline).Subject;
+
+        // A newer list replaces the old one.
+        await languageServices.ProvideCodeActionsAsync("test.cs", null, TestContext.CancellationToken);
+
+        (await languageServices.ResolveCodeActionAsync(inline, TestContext.CancellationToken)).Should().BeNull();
+    }
+
     /// <summary>
     /// Compiler and IDE diagnostics should be merged without duplicates and without dropping any.
     /// </summary>
@@ -381,6 +426,44 @@ public sealed class LanguageServiceTests
         await VerifyDiagnosticsAsync(languageServices, "test.csx", [], modelUri);
     }
 
+    [TestMethod]
+    public async Task Hover()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var code = """
+            C.M(1 + 2);
+            class C { /// <summary>Does nothing.</summary>
+            public static void M(int x) { } }
+            """;
+        var file = "test.cs";
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = code }]);
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 4 }, BlazorMonacoJsonContext.Default.Position);
+        var hoverJson = await languageServices.ProvideHoverAsync(file, positionJson, TestContext.CancellationToken);
+        var hover = JsonSerializer.Deserialize(hoverJson!, BlazorMonacoJsonContext.Default.MonacoHover)!;
+
+        hover.Range.Should().NotBeNull();
+        $"({hover.Range!.StartLineNumber},{hover.Range.StartColumn})-({hover.Range.EndLineNumber},{hover.Range.EndColumn})".Should().Be("(1,3)-(1,4)");
+        hover.Contents.Should().HaveCount(3);
+        hover.Contents[0].Should().Be("""
+            ```csharp
+            void C.M(int x)
+            ```
+
+            """.ReplaceLineEndings());
+        hover.Contents[1].Should().Be("Does nothing.");
+        hover.Contents[2].Should().StartWith("[Show IL for this member](command:dotnetlab.showOutput?")
+            .And.Contain("[Show in Symbols output](command:dotnetlab.showOutput?");
+
+        positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 7 }, BlazorMonacoJsonContext.Default.Position);
+        hoverJson = await languageServices.ProvideHoverAsync(file, positionJson, TestContext.CancellationToken);
+        hover = JsonSerializer.Deserialize(hoverJson!, BlazorMonacoJsonContext.Default.MonacoHover)!;
+
+        hover.Contents.Should().Contain("Constant value: `3`");
+    }
+
     [TestMethod]
     public async Task SignatureHelp()
     {
@@ -402,4 +485,544 @@ public sealed class LanguageServiceTests
         signatureHelp!.Signatures.Should().ContainSingle()
             .Which.Label.Should().Be("void C.M(int x)");
     }
+
+    [TestMethod]
+    public async Task SignatureHelp_Retrigger()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var code = """
+            C.M(y: 1, 
+            class C
+            {
+                public static void M(int x) { }
+                public static void M(int x, int y) { }
+                public static void M(int x, int y, int z) { }
+            }
+            """;
+        var file = "test.cs";
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = code }]);
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 9 }, BlazorMonacoJsonContext.Default.Position);
+        var contextJson = JsonSerializer.Serialize(new SignatureHelpContext { TriggerKind = SignatureHelpTriggerKind.Invoke }, BlazorMonacoJsonContext.Default.SignatureHelpContext);
+        var signatureHelp = await getSignatureHelpAsync(contextJson);
+
+        // The named argument is highlighted in each overload which has it.
+        signatureHelp.Signatures.Select(static s => s.ActiveParameter).Should().Equal([-1, 1, 1]);
+
+        // The overload selected by the user is kept when retriggered.
+        contextJson = JsonSerializer.Serialize(new SignatureHelpContext
+        {
+            TriggerKind = SignatureHelpTriggerKind.ContentChange,
+            IsRetrigger = true,
+            ActiveSignatureHelp = new()
+            {
+                ActiveSignature = 2,
+                ActiveParameter = 1,
+                Signatures = signatureHelp.Signatures,
+            },
+        }, BlazorMonacoJsonContext.Default.SignatureHelpContext);
+        signatureHelp = await getSignatureHelpAsync(contextJson);
+
+        signatureHelp.ActiveSignature.Should().Be(2);
+        signatureHelp.Signatures[2].Label.Should().Be("void C.M(int x, int y, int z)");
+
+        async Task<SignatureHelp> getSignatureHelpAsync(string contextJson)
+        {
+            var signatureHelpJson = await languageServices.ProvideSignatureHelpAsync(file, positionJson, contextJson, TestContext.CancellationToken);
+            return JsonSerializer.Deserialize(signatureHelpJson!, BlazorMonacoJsonContext.Default.SignatureHelp)!;
+        }
+    }
+
+    [TestMethod]
+    public async Task Definition_OtherInput()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync(
+        [
+            new("a.cs", "a.cs") { NewContent = "class C { public static void M() { } }" },
+            new("b.cs", "b.cs") { NewContent = "C.M();" },
+        ]);
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 3 }, BlazorMonacoJsonContext.Default.Position);
+        var definitionJson = await languageServices.ProvideDefinitionAsync("b.cs", positionJson, TestContext.CancellationToken);
+        var definition = JsonSerializer.Deserialize(definitionJson!, BlazorMonacoJsonContext.Default.MonacoDefinition)!;
+
+        definition.MetadataSourceText.Should().BeNull();
+        definition.Locations.Select(static l => $"{l.Uri}({l.Range.StartLineNumber},{l.Range.StartColumn})")
+            .Should().Equal(["a.cs(1,30)"]);
+    }
+
+    [TestMethod]
+    public async Task Definition_Metadata()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync(
+        [
+            new("a.cs", "a.cs") { NewContent = "System.Console.WriteLine();" },
+        ]);
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 17 }, BlazorMonacoJsonContext.Default.Position);
+        var definitionJson = await languageServices.ProvideDefinitionAsync("a.cs", positionJson, TestContext.CancellationToken);
+        var definition = JsonSerializer.Deserialize(definitionJson!, BlazorMonacoJsonContext.Default.MonacoDefinition)!;
+
+        definition.MetadataSourceText.Should().Contain("public static class Console");
+        var location = definition.Locations.Should().ContainSingle().Subject;
+        location.Uri.Should().Be("file:///metadata/System.Console/System.Console.cs");
+        var lines = definition.MetadataSourceText!.Split('\n');
+        lines[location.Range.StartLineNumber - 1][(location.Range.StartColumn - 1)..].Should().StartWith("WriteLine(");
+    }
+
+    [TestMethod]
+    [DataRow(true, new[] { "a.cs(1,30)", "a.cs(1,50)", "b.cs(1,3)" })]
+    [DataRow(false, new[] { "a.cs(1,50)", "b.cs(1,3)" })]
+    public async Task References(bool includeDeclaration, string[] expectedLocations)
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync(
+        [
+            new("a.cs", "a.cs") { NewContent = "class C { public static void M() { } void N() => M(); }" },
+            new("b.cs", "b.cs") { NewContent = "C.M();" },
+        ]);
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 3 }, BlazorMonacoJsonContext.Default.Position);
+        var referencesJson = await languageServices.ProvideReferencesAsync("b.cs", positionJson, includeDeclaration, TestContext.CancellationToken);
+        var references = JsonSerializer.Deserialize(referencesJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoLocation);
+
+        references.Select(static l => $"{l.Uri}({l.Range.StartLineNumber},{l.Range.StartColumn})").Order()
+            .Should().Equal(expectedLocations);
+    }
+
+    [TestMethod]
+    public async Task Rename()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync(
+        [
+            new("a.cs", "a.cs") { NewContent = "class C { public static void M() { } void N() => M(); }" },
+            new("b.cs", "b.cs") { NewContent = "C.M();" },
+        ]);
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 4 }, BlazorMonacoJsonContext.Default.Position);
+
+        var locationJson = await languageServices.ResolveRenameLocationAsync("b.cs", positionJson, TestContext.CancellationToken);
+        var location = JsonSerializer.Deserialize(locationJson!, BlazorMonacoJsonContext.Default.MonacoRenameLocation)!;
+        location.RejectReason.Should().BeNull();
+        location.Text.Should().Be("M");
+
+        var editJson = await languageServices.ProvideRenameEditsAsync("b.cs", positionJson, "Renamed", razorCodes: ImmutableDictionary<string, string>.Empty, TestContext.CancellationToken);
+        var edit = JsonSerializer.Deserialize(editJson!, BlazorMonacoJsonContext.Default.MonacoWorkspaceEdit)!;
+        edit.RejectReason.Should().BeNull();
+        edit.Edits.Select(static e => $"{e.ResourceUri}({e.TextEdit.Range.StartLineNumber},{e.TextEdit.Range.StartColumn}): {e.TextEdit.Text}").Order()
+            .Should().Equal("a.cs(1,30): Renamed", "a.cs(1,50): Renamed", "b.cs(1,3): Renamed");
+
+        editJson = await languageServices.ProvideRenameEditsAsync("b.cs", positionJson, "1x", razorCodes: ImmutableDictionary<string, string>.Empty, TestContext.CancellationToken);
+        edit = JsonSerializer.Deserialize(editJson!, BlazorMonacoJsonContext.Default.MonacoWorkspaceEdit)!;
+        edit.RejectReason.Should().NotBeNull();
+        edit.Edits.Should().BeEmpty();
+
+        // Symbols from metadata cannot be renamed.
+        await languageServices.OnDidChangeWorkspaceAsync([new("b.cs", "b.cs") { NewContent = "System.Console.WriteLine();" }]);
+        positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 18 }, BlazorMonacoJsonContext.Default.Position);
+        locationJson = await languageServices.ResolveRenameLocationAsync("b.cs", positionJson, TestContext.CancellationToken);
+        location = JsonSerializer.Deserialize(locationJson!, BlazorMonacoJsonContext.Default.MonacoRenameLocation)!;
+        location.RejectReason.Should().NotBeNull();
+    }
+
+    [TestMethod]
+    public async Task Rename_Razor()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync(
+        [
+            new("a.cs", "a.cs") { NewContent = "namespace N;\npublic class Widget { public static int Max => 1; }" },
+        ]);
+
+        var razorCode = """
+            @using N
+            @* <Widget /> *@
+            <Widget Value="1" />
+            <p>@Widget.Max</p>
+            @code {
+                Widget w = new Widget();
+            }
+            """;
+        var razorCodes = ImmutableDictionary<string, string>.Empty.Add(CompiledAssembly.GetInputModelUri("Counter.razor"), razorCode);
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = 2, Column = 15 }, BlazorMonacoJsonContext.Default.Position);
+        var editJson = await languageServices.ProvideRenameEditsAsync("a.cs", positionJson, "Gadget", razorCodes, TestContext.CancellationToken);
+        var edit = JsonSerializer.Deserialize(editJson!, BlazorMonacoJsonContext.Default.MonacoWorkspaceEdit)!;
+        edit.RejectReason.Should().BeNull();
+        edit.Edits.Select(static e => $"{Path.GetFileName(e.ResourceUri)}({e.TextEdit.Range.StartLineNumber},{e.TextEdit.Range.StartColumn}): {e.TextEdit.Text}").Order()
+            .Should().Equal(
+                "a.cs(2,14): Gadget",
+                "Counter.razor(3,2): Gadget",
+                "Counter.razor(4,5): Gadget",
+                "Counter.razor(6,20): Gadget",
+                "Counter.razor(6,5): Gadget");
+    }
+
+    [TestMethod]
+    public async Task DocumentSymbols()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var code = """
+            namespace N;
+            class C
+            {
+                int f, g;
+                public int P { get; set; }
+                void M(int x) { void Local() { } }
+            }
+            """;
+        var file = "test.cs";
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = code }]);
+
+        var symbolsJson = await languageServices.ProvideDocumentSymbolsAsync(file, razorCode: null, TestContext.CancellationToken);
+        var symbols = JsonSerializer.Deserialize(symbolsJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoDocumentSymbol);
+
+        flatten(symbols).Should().Equal(
+            "Namespace N (1,11)",
+            "  Class C (2,7)",
+            "    Field f (4,9)",
+            "    Field g (4,12)",
+            "    Property P (5,16)",
+            "    Method M (6,10)",
+            "      Function Local (6,26)");
+
+        var razorCode = """
+            <button @onclick="Increment" title="@code { void InString() { } }">Click</button>
+            @* @code { void InComment() { } } *@
+            @code {
+                private int count;
+                void Increment() => count++;
+            }
+            """;
+        symbolsJson = await languageServices.ProvideDocumentSymbolsAsync(CompiledAssembly.GetInputModelUri("Counter.razor"), razorCode, TestContext.CancellationToken);
+        symbols = JsonSerializer.Deserialize(symbolsJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoDocumentSymbol);
+
+        flatten(symbols).Should().Equal(
+            "Class Counter (1,1)",
+            "  Field count (4,17)",
+            "  Method Increment (5,10)");
+
+        static IEnumerable<string> flatten(ImmutableArray<MonacoDocumentSymbol> symbols, string indent = "")
+        {
+            if (symbols.IsDefault)
+            {
+                yield break;
+            }
+
+            foreach (var symbol in symbols)
+            {
+                yield return $"{indent}{symbol.Kind} {symbol.Name} ({symbol.SelectionRange.StartLineNumber},{symbol.SelectionRange.StartColumn})";
+
+                foreach (var child in flatten(symbol.Children, indent + "  "))
+                {
+                    yield return child;
+                }
+            }
+        }
+    }
+
+    [TestMethod]
+    public async Task WorkspaceSymbols()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync(
+        [
+            new("a.cs", "a.cs") { NewContent = "class Counter { void Increment() { } }" },
+            new("b.cs", "b.cs") { NewContent = "namespace N; class Other { int IncludedField; }" },
+        ]);
+
+        var symbolsJson = await languageServices.ProvideWorkspaceSymbolsAsync("Inc", TestContext.CancellationToken);
+        var symbols = JsonSerializer.Deserialize(symbolsJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoSymbolInformation);
+
+        symbols.Select(static s => $"{s.Kind} {s.Name} in {s.ContainerName} at {s.Location.Uri}({s.Location.Range.StartLineNumber},{s.Location.Range.StartColumn})")
+            .Should().Equal(
+                "Field IncludedField in N.Other at b.cs(1,32)",
+                "Method Increment() in Counter at a.cs(1,22)");
+    }
+
+    [TestMethod]
+    public async Task SemanticTokensEdits()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var file = "test.cs";
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = "class C { void M() { } }" }]);
+
+        var first = await getTokensAsync(previousResultId: null);
+        first.ResultId.Should().NotBeNull();
+        first.Edits.IsDefault.Should().BeTrue();
+        var previousData = decode(first.Data);
+
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = "class C { int f; void M() { } }" }]);
+
+        var second = await getTokensAsync(previousResultId: first.ResultId);
+        second.ResultId.Should().NotBe(first.ResultId);
+        var edit = second.Edits.Should().ContainSingle().Which;
+        int[] editedData = [.. previousData[..edit.Start], .. decode(edit.Data), .. previousData[(edit.Start + edit.DeleteCount)..]];
+
+        var full = await getTokensAsync(previousResultId: null);
+        editedData.Should().Equal(decode(full.Data));
+
+        // No changes.
+        var third = await getTokensAsync(previousResultId: full.ResultId);
+        third.Edits.Should().BeEmpty();
+
+        // Released tokens cannot be used as the base for edits.
+        languageServices.ReleaseSemanticTokens(third.ResultId!);
+        var fourth = await getTokensAsync(previousResultId: third.ResultId);
+        fourth.Edits.IsDefault.Should().BeTrue();
+        decode(fourth.Data).Should().Equal(decode(full.Data));
+
+        async Task<MonacoSemanticTokens> getTokensAsync(string? previousResultId)
+        {
+            var json = await languageServices.ProvideSemanticTokensEditsAsync(file, previousResultId, debug: false, TestContext.CancellationToken);
+            return JsonSerializer.Deserialize(json!, BlazorMonacoJsonContext.Default.MonacoSemanticTokens)!;
+        }
+
+        static int[] decode(string? base64)
+        {
+            return MemoryMarshal.Cast<byte, int>(Convert.FromBase64String(base64 ?? "")).ToArray();
+        }
+    }
+
+    [TestMethod]
+    public async Task FoldingRanges()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var code = """
+            using System;
+            using System.Linq;
+            /// <summary>
+            /// Doc
+            /// </summary>
+            class C
+            {
+                #region R
+                void M()
+                {
+                }
+                #endregion
+            }
+            """;
+        var file = "test.cs";
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = code }]);
+
+        var rangesJson = await languageServices.ProvideFoldingRangesAsync(file, razorCode: null, TestContext.CancellationToken);
+        var ranges = JsonSerializer.Deserialize(rangesJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoFoldingRange);
+
+        ranges.Select(format).Should().Contain(["1-2 imports", "3-5 comment", "6-13", "8-12 region", "9-11"]);
+
+        var razorCode = """
+            @using System
+            @using System.Linq
+            <div>
+                <span>x</span>
+            </div>
+            @code {
+                void M()
+                {
+                }
+            }
+            """;
+        rangesJson = await languageServices.ProvideFoldingRangesAsync(CompiledAssembly.GetInputModelUri("Counter.razor"), razorCode, TestContext.CancellationToken);
+        ranges = JsonSerializer.Deserialize(rangesJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoFoldingRange);
+
+        ranges.Select(format).Should().BeEquivalentTo(["1-2 imports", "3-4", "6-10", "7-9"]);
+
+        static string format(MonacoFoldingRange range)
+        {
+            return range.Kind is { } kind ? $"{range.Start}-{range.End} {kind}" : $"{range.Start}-{range.End}";
+        }
+    }
+
+    [TestMethod]
+    public async Task SelectionRanges()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var code = """
+            class C { void M() { var s = "hello"; } }
+            """;
+        var file = "test.cs";
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = code }]);
+
+        var positionsJson = JsonSerializer.Serialize(ImmutableArray.Create(new Position { LineNumber = 1, Column = code.IndexOf("ello") + 1 }), BlazorMonacoJsonContext.Default.ImmutableArrayPosition);
+        var rangesJson = await languageServices.ProvideSelectionRangesAsync(file, razorCode: null, positionsJson, TestContext.CancellationToken);
+        var ranges = JsonSerializer.Deserialize(rangesJson!, BlazorMonacoJsonContext.Default.ImmutableArrayImmutableArrayRange);
+
+        ranges.Should().ContainSingle().Which.Select(getText).Should().Equal(
+            "hello",
+            "\"hello\"",
+            "= \"hello\"",
+            "s = \"hello\"",
+            "var s = \"hello\"",
+            "var s = \"hello\";",
+            "{ var s = \"hello\"; }",
+            "void M() { var s = \"hello\"; }",
+            code);
+
+        string getText(BlazorMonaco.Range range)
+        {
+            return code[(range.StartColumn - 1)..(range.EndColumn - 1)];
+        }
+    }
+
+    [TestMethod]
+    [DataRow(true, true, true, true, new[] { "1: Parameter x:", "2: Type string", "3: Type string", "4: Type int" })]
+    [DataRow(false, true, true, false, new[] { "2: Type string", "4: Type int" })]
+    [DataRow(true, false, false, true, new[] { "1: Parameter x:", "3: Type string" })]
+    public async Task InlayHints(bool parameterNames, bool variableTypes, bool lambdaParameterTypes, bool patternVariableTypes, string[] expectedHints)
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var code = """
+            M(1);
+            var s = "";
+            if (s is var t) { }
+            System.Func<int, int> f = y => y;
+            static void M(int x) { }
+            """;
+        var file = "test.cs";
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = code }]);
+
+        var rangeJson = JsonSerializer.Serialize(new BlazorMonaco.Range { StartLineNumber = 1, StartColumn = 1, EndLineNumber = 5, EndColumn = 25 }, BlazorMonacoJsonContext.Default.Range);
+        var options = new InlayHintsOptions
+        {
+            ParameterNames = parameterNames,
+            VariableTypes = variableTypes,
+            LambdaParameterTypes = lambdaParameterTypes,
+            PatternVariableTypes = patternVariableTypes,
+        };
+        var hintsJson = await languageServices.ProvideInlayHintsAsync(file, rangeJson, options, TestContext.CancellationToken);
+        var hints = JsonSerializer.Deserialize(hintsJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoInlayHint);
+
+        hints.OrderBy(static h => h.Position.LineNumber).Select(static h => $"{h.Position.LineNumber}: {h.Kind} {h.Label}")
+            .Should().Equal(expectedHints);
+    }
+
+    [TestMethod]
+    [DataRow("""class C { void M() { var x  =  "a;"; } }""", null)]
+    [DataRow("""class C { void M() { var x  =  1; } } // a;""", null)]
+    [DataRow("""class C { void M() { var x  =  1; /* a; */ } }""", null)]
+    [DataRow("""class C { void M() { var x  =  1; } }""", """class C { void M() { var x = 1; } }""")]
+    public async Task Formatting_OnType(string code, string? expected)
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+
+        // The `;` after `a` (or the last one if there is none) was just typed.
+        var position = code.IndexOf("a;", StringComparison.Ordinal) is >= 0 and var i ? i + 1 : code.LastIndexOf(';');
+        var span = new StringSpan { Start = position, Length = 1 };
+        var formatted = await languageServices.ProvideFormattingAsync(CompiledAssembly.GetInputModelUri("test.cs"), code, span, onType: true, TestContext.CancellationToken);
+
+        formatted.Should().Be(expected);
+    }
+
+    [TestMethod]
+    public async Task DocumentHighlights()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        await languageServices.OnDidChangeWorkspaceAsync([new("test.cs", "test.cs") { NewContent = "class C { void M(int x) { x = 1; M(x); } void M() { } }" }]);
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = 1, Column = 22 }, BlazorMonacoJsonContext.Default.Position);
+        var highlightsJson = await languageServices.ProvideDocumentHighlightsAsync("test.cs", positionJson, TestContext.CancellationToken);
+        var highlights = JsonSerializer.Deserialize(highlightsJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoDocumentHighlight);
+
+        highlights.Select(static h => $"({h.Range.StartLineNumber},{h.Range.StartColumn}) {h.Kind}").Order()
+            .Should().Equal(["(1,22) Write", "(1,27) Write", "(1,36) Read"]);
+    }
+
+    [TestMethod]
+    [DataRow(2, 7, "(2,6)-(2,13), (2,17)-(2,24)")]
+    [DataRow(5, 3, "(1,2)-(1,5), (5,3)-(5,6)")]
+    [DataRow(3, 6, null)]
+    [DataRow(4, 6, null)]
+    [DataRow(2, 14, null)]
+    public async Task LinkedEditingRanges(int line, int column, string? expectedRanges)
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var razorCode = """
+            <div>
+                <Counter>x</Counter>
+                <br>
+                <img />
+            </div>
+            """;
+
+        var positionJson = JsonSerializer.Serialize(new Position { LineNumber = line, Column = column }, BlazorMonacoJsonContext.Default.Position);
+        var rangesJson = await languageServices.ProvideLinkedEditingRangesAsync(CompiledAssembly.GetInputModelUri("Counter.razor"), razorCode, positionJson, TestContext.CancellationToken);
+
+        if (expectedRanges is null)
+        {
+            rangesJson.Should().BeNull();
+            return;
+        }
+
+        var ranges = JsonSerializer.Deserialize(rangesJson!, BlazorMonacoJsonContext.Default.MonacoLinkedEditingRanges)!;
+        ranges.Ranges.Select(static r => $"({r.StartLineNumber},{r.StartColumn})-({r.EndLineNumber},{r.EndColumn})").JoinToString(", ")
+            .Should().Be(expectedRanges);
+    }
+
+    [TestMethod]
+    public async Task CodeLenses()
+    {
+        var services = WorkerServices.CreateTest(TestContext);
+        var compiler = services.GetRequiredService<CompilerProxy>();
+        var languageServices = await compiler.GetLanguageServicesAsync();
+        var code = """
+            class C
+            {
+                public C() { }
+                int P => 1;
+                void M() { int local() => 2; }
+            }
+            """;
+        var file = "test.cs";
+        await languageServices.OnDidChangeWorkspaceAsync([new(file, file) { NewContent = code }]);
+
+        var lensesJson = await languageServices.ProvideCodeLensesAsync(file, TestContext.CancellationToken);
+        var lenses = JsonSerializer.Deserialize(lensesJson!, BlazorMonacoJsonContext.Default.ImmutableArrayMonacoCodeLens);
+
+        lenses.Select(static l => $"{l.Range.StartLineNumber} {l.Command.Title} {l.Command.Arguments.Single().OutputType}:{l.Command.Arguments.Single().MemberName}")
+            .Should().Equal([
+                "3 IL il:.ctor",
+                "3 JIT Asm asm:.ctor",
+                "3 Lowered C# cs:C",
+                "4 IL il:P",
+                "4 JIT Asm asm:get_P",
+                "4 Lowered C# cs:P",
+                "5 IL il:M",
+                "5 JIT Asm asm:M",
+                "5 Lowered C# cs:M",
+            ]);
+    }
 }
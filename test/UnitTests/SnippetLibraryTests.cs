@@ -0,0 +1,46 @@
+﻿using DotNetLab.Lab;
+
+namespace DotNetLab;
+
+[TestClass]
+public sealed class SnippetLibraryTests
+{
+    [TestMethod]
+    public void Parse()
+    {
+        var snippets = SnippetLibrary.Parse("""
+            [
+                { "prefix": "log", "body": "Console.WriteLine($1);" },
+                { "prefix": "p", "body": "<p>$0</p>", "language": "razor", "description": "Paragraph" }
+            ]
+            """, out var error);
+
+        Assert.IsNull(error);
+        Assert.HasCount(2, snippets);
+        Assert.AreEqual(new Snippet { Prefix = "log", Body = "Console.WriteLine($1);" }, snippets[0]);
+        Assert.AreEqual(CompiledAssembly.RazorLanguageId, snippets[1].Language);
+    }
+
+    [TestMethod]
+    [DataRow("""[{ "body": "x" }]""")]
+    [DataRow("""{ "prefix": "x" }""")]
+    [DataRow("[")]
+    public void Parse_Invalid(string json)
+    {
+        var snippets = SnippetLibrary.Parse(json, out var error);
+
+        Assert.IsNotNull(error);
+        Assert.IsEmpty(snippets);
+    }
+
+    [TestMethod]
+    public void CompletionList()
+    {
+        var cSharp = SnippetLibrary.GetCompletionList(SnippetLibrary.BuiltIn, CompiledAssembly.CSharpLanguageId);
+        var razor = SnippetLibrary.GetCompletionList(SnippetLibrary.BuiltIn, CompiledAssembly.RazorLanguageId);
+
+        CollectionAssert.AreEqual(new[] { "program", "generator", "refstruct" }, cSharp.Suggestions.Select(static s => s.Label).ToArray());
+        CollectionAssert.AreEqual(new[] { "component" }, razor.Suggestions.Select(static s => s.Label).ToArray());
+        Assert.IsTrue(cSharp.Suggestions.All(static s => s.InsertTextRules == BlazorMonaco.Languages.CompletionItemInsertTextRule.InsertAsSnippet));
+    }
+}